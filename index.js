@@ -2,51 +2,169 @@
 const { chromium, firefox, webkit } = require("playwright");
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { parseTimestamp } = require('./lib/timestamp');
+const { resolveFeed, feedForStartPath } = require('./lib/feeds');
+const { analyzeOrdering, createDefaultRegistry, loadRulesFile } = require('./lib/rules');
+const { formatJUnit, formatTAP } = require('./lib/ci-reporters');
+const { formatHTMLReport } = require('./lib/html-report');
+const { Logger } = require('./lib/logger');
+const { RetryableResponseError, resolveRetryPolicy, classifyResponse, problemError, fetchWithRetryClassification, withRetry } = require('./lib/retry');
+const { ConfigError, normalizeOptions } = require('./lib/config');
+const { STOP_REASONS, PolitenessLimitError, parseRobotsTxt, isAllowed, NavigationThrottle } = require('./lib/politeness');
+const { appendRun, readHistory, buildTrend, formatTrendText, formatTrendHTML } = require('./lib/history');
+const { articleKey, diffReports, formatDiffText, formatDiffHTML } = require('./lib/report-diff');
+const { splitByOverlap } = require('./lib/collections');
+const { MetricsRegistry, recordRunMetrics, writeTextfile } = require('./lib/metrics');
+const { resolveWebhook, describeWebhook, reportLinks, buildRunNotification, buildAlertNotification, formatPayload, sendWebhook } = require('./lib/notify');
+const { parseListing, extractArticle } = require('./lib/http-engine');
+const { HackerNewsApi, compareWithApi, itemsToFetch } = require('./lib/hn-api');
+const { installPerformanceObservers, collectPagePerformance, summarizePagePerformance, PAGE_METRICS, formatMetricValue, isSlow } = require('./lib/page-performance');
+
+// Report formats selectable through the `reporters` option, mapped to the method that writes each
+const REPORTERS = {
+  text: 'generateTextReport',
+  html: 'generateHTMLReport',
+  json: 'generateJSONReport',
+  junit: 'generateJUnitReport',
+  tap: 'generateTAPReport'
+};
+
+// Sent by the browsers and the http engine alike, so HN serves both the same markup
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+const ACCEPT_HEADERS = {
+  'Accept-Language': 'en-US,en;q=0.9',
+  'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8'
+};
+
+// Fields the engine cross-check compares; ranks, points and comment counts move between two fetches
+const ENGINE_COMPARED_FIELDS = ['title', 'url', 'domain', 'author', 'timestamp', 'isJob'];
+
+// Carries the feed, browser and page of the scrape currently executing so concurrent runs get tagged logs
+const logContext = new AsyncLocalStorage();
+
+
+// Runs worker over items with at most `limit` in flight, keeping results in input order
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const runners = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await worker(items[index], index);
+    }
+  });
 
+  await Promise.all(runners);
+  return results;
+}
 
 
 class HackerNewsScraper {
   constructor(options = {}) {
-    this.options = {
-      targetArticles: options.targetArticles || 100,
-      browsers: options.browsers || ['chromium'],
-      outputDir: options.outputDir || './reports',
-      enableScreenshots: options.enableScreenshots || true,
-      enablePerformanceMonitoring: options.enablePerformanceMonitoring || true,
-      maxConsecutiveErrors: options.maxConsecutiveErrors || 5,
-      pageTimeout: options.pageTimeout || 45000,
-      navigationTimeout: options.navigationTimeout || 60000,
-      ...options
-    };
+    // Defaults fill in only what's undefined; values are validated up front (see lib/config.js)
+    this.options = normalizeOptions(options);
+
+    this.ruleRegistry = createDefaultRegistry();
+    this.customRules = [];
+    if (this.options.rulesFile) {
+      const { customRules, config } = loadRulesFile(this.ruleRegistry, this.options.rulesFile);
+      this.customRules = customRules;
+      // Settings in the options win over the rules file
+      this.options.rules = { ...config, ...this.options.rules };
+    }
+
+    // An explicit startPath without feeds keeps the old single-listing behaviour
+    this.feeds = this.options.feeds
+      ? this.resolveFeeds(this.options.feeds)
+      : [feedForStartPath(this.options.startPath)];
+
+    this.webhooks = this.resolveWebhooks(this.options.webhooks);
+
+    // maxRetries (--max-retries) sets every operation's retry count; `retry` can still override per operation
+    this.retryPolicy = resolveRetryPolicy(this.options.maxRetries !== null
+      ? { retries: this.options.maxRetries, ...this.options.retry }
+      : this.options.retry);
+
+    // robots.txt and the shared navigation throttle, set up on first use by preparePoliteness()
+    this.robots = null;
+    this.throttle = null;
+    this.politenessReady = null;
+
+    this.logger = new Logger({ level: this.options.logLevel, showFeed: this.feeds.length > 1 });
 
     this.results = {
+      runId: null,
       testRuns: [],
       summary: null,
+      crossBrowser: null,
+      engineCheck: null,
+      apiCheck: null,
       startTime: null,
       endTime: null
     };
+
+    // Full article lists per feed and browser, used for the cross-browser consistency check
+    this.collectedArticles = {};
+
+    // Prometheus metrics for every run of this scraper; watch mode swaps in one registry shared by all runs
+    this.metrics = new MetricsRegistry();
+
+    // Browsers currently open, so shutdown() can close them from outside the scrape
+    this.activeBrowsers = new Set();
+    this.shuttingDown = false;
+
+    // Official API client for the apiCheck option; it only makes requests when asked
+    this.api = new HackerNewsApi({
+      baseUrl: this.options.apiBaseUrl,
+      onRetry: retry => this.log('WARN', `API request failed (${retry.reason}), retry ${retry.attempt}/${retry.retries} in ${retry.delayMs}ms`, {
+        error: retry.message
+      })
+    });
   }
 
  
-  log(level, message, metadata = {}) {
-    const logEntry = {
-      level,
-      timestamp: new Date().toISOString(),
-      message,
-      metadata
-    };
+  resolveWebhooks(specs) {
+    const problems = [];
+    const webhooks = specs.map((spec, index) => {
+      try {
+        return resolveWebhook(spec);
+      } catch (error) {
+        problems.push(`webhooks[${index}]: ${error.message}`);
+        return null;
+      }
+    });
+
+    if (problems.length > 0) {
+      throw new ConfigError(problems);
+    }
+    return webhooks;
+  }
 
-    const colorMap = {
-      'INFO': '\x1b[36m',    // Cyan
-      'WARN': '\x1b[33m',    // Yellow
-      'ERROR': '\x1b[31m',   // Red
-      'SUCCESS': '\x1b[32m', // Green
-      'RESET': '\x1b[0m'     // Reset
-    };
 
-    const color = colorMap[level] || colorMap['INFO'];
-    console.log(`${color}[${level}]${colorMap['RESET']} ${message}`,
-      metadata && Object.keys(metadata).length > 0 ? metadata : '');
+  resolveFeeds(specs) {
+    const problems = [];
+    const feeds = specs.map((spec, index) => {
+      try {
+        return resolveFeed(spec);
+      } catch (error) {
+        problems.push(`feeds[${index}]: ${error.message}`);
+        return null;
+      }
+    });
+
+    if (problems.length > 0) {
+      throw new ConfigError(problems);
+    }
+    return feeds;
+  }
+
+ 
+  log(level, message, metadata = {}) {
+    const { browser, feed, page } = logContext.getStore() || {};
+    this.logger.log(level, message, metadata, { runId: this.results.runId, feed, browser, page });
   }
 
  
@@ -54,14 +172,219 @@ class HackerNewsScraper {
     try {
       await fs.mkdir(this.options.outputDir, { recursive: true });
       await fs.mkdir(path.join(this.options.outputDir, 'screenshots'), { recursive: true });
-      this.log('INFO', 'Reporting directories initialized');
+      for (const feed of this.feeds) {
+        for (const browserType of this.options.browsers) {
+          await fs.mkdir(path.join(this.options.outputDir, 'screenshots', feed.name, browserType), { recursive: true });
+        }
+      }
+      if (this.options.sessionMode === 'record' && this.options.sessionDir) {
+        await fs.mkdir(this.options.sessionDir, { recursive: true });
+      }
+      this.log('DEBUG', 'Reporting directories initialized');
     } catch (error) {
       this.log('ERROR', 'Failed to initialize reporting directories', { error: error.message });
     }
   }
 
  
-  async safeNavigateToNext(page, currentPage) {
+  // Relative hrefs resolve against the current page; everything else against baseUrl
+  resolveUrl(href, currentUrl = null) {
+    if (currentUrl && currentUrl.startsWith('http')) {
+      return new URL(href, currentUrl).toString();
+    }
+
+    const base = this.options.baseUrl.replace(/\/+$/, '');
+    return href.startsWith('http') ? href : `${base}/${href.replace(/^\/+/, '')}`;
+  }
+
+
+  // Recorded sessions sit next to the JSON report unless sessionDir points elsewhere
+  getSessionPath(browserType, feed = this.feeds[0]) {
+    return path.join(this.options.sessionDir || this.options.outputDir, `session-${feed.name}-${browserType}.har`);
+  }
+
+
+  // Throws a RetryableResponseError when the page is HN's throttling page or the response an error status
+  async checkResponse(page, response = null) {
+    const bodyText = await page.evaluate(() => document.body?.innerText?.slice(0, 2000) || '').catch(() => '');
+    this.throwIfProblem(classifyResponse({
+      status: response ? response.status() : null,
+      headers: response ? response.headers() : {},
+      bodyText
+    }));
+  }
+
+
+  throwIfProblem(problem) {
+    if (problem) {
+      throw problemError(problem);
+    }
+  }
+
+
+  // Runs a navigation (operation: initialLoad, pagination or reload) under that operation's retry
+  // policy. Every attempt goes through the politeness checks; every retry is logged and recorded
+  // in performanceMetrics.errors.
+  async navigateWithRetry(page, { operation, url, pageNumber = null, crawl = null, performanceMetrics = null }, navigate) {
+    return withRetry(async () => {
+      await this.beforeNavigation(url, crawl);
+      const response = await navigate();
+      await this.checkResponse(page, response);
+      await this.waitForArticles(page);
+      return response;
+    }, {
+      policy: this.retryPolicy[operation],
+      onRetry: this.retryLogger(operation, pageNumber, performanceMetrics)
+    });
+  }
+
+
+  retryLogger(operation, pageNumber = null, performanceMetrics = null) {
+    return retry => {
+      this.log('WARN', `${operation} failed (${retry.reason}), retry ${retry.attempt}/${retry.retries} in ${retry.delayMs}ms`, {
+        status: retry.status,
+        retryAfterMs: retry.retryAfterMs,
+        error: retry.message
+      });
+      if (performanceMetrics) {
+        performanceMetrics.errors.push({ type: 'retry', operation, page: pageNumber, ...retry });
+      }
+    };
+  }
+
+
+  // The http engine's counterpart of navigateWithRetry: fetches and parses one listing page under
+  // the same retry policy and politeness checks. Resolves with the listing and the URL it came from.
+  async fetchListing({ operation, url, pageNumber = null, crawl = null, performanceMetrics = null }) {
+    return withRetry(async () => {
+      await this.beforeNavigation(url, crawl);
+      if (performanceMetrics) performanceMetrics.networkRequests++;
+
+      const { response, text: html, ttfbMs, durationMs } = await fetchWithRetryClassification(url, {
+        headers: { 'User-Agent': USER_AGENT, ...ACCEPT_HEADERS },
+        timeoutMs: this.options.navigationTimeout
+      });
+
+      // HN's throttling page can come with a 200
+      const listing = parseListing(html);
+      this.throwIfProblem(classifyResponse({
+        status: response.status,
+        headers: Object.fromEntries(response.headers),
+        bodyText: listing.bodyText
+      }));
+      if (listing.rows.length === 0) {
+        throw new Error(`No articles found on page (HTTP ${response.status})`);
+      }
+
+      this.log('DEBUG', `Found ${listing.rows.length} articles on page`);
+      // The parts of the browser's page measurements a plain request has; the rest stay null
+      const bytes = parseInt(response.headers.get('content-length'), 10) || Buffer.byteLength(html);
+      const measurements = {
+        url: response.url || url,
+        timing: { dns: null, connect: null, tls: null, ttfb: ttfbMs, download: durationMs - ttfbMs, domContentLoaded: null, load: null },
+        transfer: { document: bytes, total: bytes },
+        lcp: null,
+        longTasks: null,
+        resources: 0
+      };
+      return { listing, url: response.url || url, measurements };
+    }, {
+      policy: this.retryPolicy[operation],
+      onRetry: this.retryLogger(operation, pageNumber, performanceMetrics)
+    });
+  }
+
+
+  // Reads robots.txt once per scraper and sets up the navigation throttle all browsers share
+  preparePoliteness() {
+    if (!this.politenessReady) {
+      this.politenessReady = this.loadPoliteness();
+    }
+    return this.politenessReady;
+  }
+
+
+  async loadPoliteness() {
+    // A replayed session never reaches the site, so neither robots.txt nor pacing apply
+    const replaying = this.options.sessionMode === 'replay';
+    this.robots = this.options.respectRobotsTxt && !replaying ? await this.fetchRobotsTxt() : null;
+
+    const crawlDelayMs = this.robots?.crawlDelayMs ?? 0;
+    const intervalMs = replaying ? 0 : Math.max(this.options.minNavigationIntervalMs, crawlDelayMs);
+    this.throttle = new NavigationThrottle(intervalMs);
+
+    if (crawlDelayMs > this.options.minNavigationIntervalMs && !replaying) {
+      this.log('INFO', `robots.txt asks for ${crawlDelayMs / 1000}s between requests; navigations will be spaced accordingly`);
+    }
+  }
+
+
+  async fetchRobotsTxt() {
+    const robotsUrl = new URL('/robots.txt', this.options.baseUrl).href;
+
+    try {
+      const response = await fetch(robotsUrl, { signal: AbortSignal.timeout(10000) });
+      if (response.status >= 400 && response.status < 500) {
+        this.log('INFO', 'No robots.txt found, all paths allowed', { url: robotsUrl, status: response.status });
+        return null;
+      }
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const robots = parseRobotsTxt(await response.text());
+      this.log('INFO', 'robots.txt loaded', { url: robotsUrl, rules: robots.rules.length, crawlDelayMs: robots.crawlDelayMs });
+      return robots;
+    } catch (error) {
+      this.log('WARN', 'Could not read robots.txt, continuing without it', { url: robotsUrl, error: error.message });
+      return null;
+    }
+  }
+
+
+  // Gatekeeper for every navigation of a run: robots.txt, the request budget, then the pacing
+  async beforeNavigation(url, crawl = null) {
+    if (this.shuttingDown) {
+      throw new Error('Scraper is shutting down');
+    }
+    await this.preparePoliteness();
+
+    const target = new URL(url);
+    const targetPath = target.pathname + target.search;
+    if (this.robots && !isAllowed(this.robots, targetPath)) {
+      if (crawl) crawl.stoppedBy = 'robotsTxt';
+      throw new PolitenessLimitError(`robots.txt disallows ${targetPath}`, 'robotsTxt');
+    }
+
+    if (crawl && this.options.requestBudget !== null && crawl.navigations >= this.options.requestBudget) {
+      crawl.stoppedBy = 'requestBudget';
+      throw new PolitenessLimitError(`Request budget of ${this.options.requestBudget} navigations used up`, 'requestBudget');
+    }
+
+    await this.throttle.wait();
+    if (crawl) crawl.navigations++;
+  }
+
+
+  // What the browser measured for the page as loaded (see lib/page-performance.js)
+  async capturePagePerformance(page, pageNumber, performanceMetrics) {
+    if (!this.options.enablePerformanceMonitoring) return;
+    try {
+      const measurements = await collectPagePerformance(page);
+      performanceMetrics.pages.push({ page: pageNumber, ...measurements });
+      this.log('DEBUG', `Page ${pageNumber} performance`, {
+        ttfb: measurements.timing?.ttfb,
+        load: measurements.timing?.load,
+        lcp: measurements.lcp,
+        transferBytes: measurements.transfer.total
+      });
+    } catch (error) {
+      this.log('WARN', 'Could not capture page performance', { page: pageNumber, error: error.message });
+    }
+  }
+
+
+  async safeNavigateToNext(page, currentPage, { boundaries = null, performanceMetrics = null, crawl = null } = {}) {
     try {
       if (page.isClosed()) {
         throw new Error('Page is closed');
@@ -84,20 +407,32 @@ class HackerNewsScraper {
 
       this.log('INFO', `Navigating to page ${currentPage + 1}`, { href });
 
-      await page.waitForTimeout(2000);
+      if (boundaries) {
+        this.recordBoundary(boundaries, currentPage, href);
+      }
+
+      const fullUrl = this.resolveUrl(href, page.url());
 
       try {
-        const baseUrl = 'https://news.ycombinator.com';
-        const fullUrl = href.startsWith('http') ? href : `${baseUrl}/${href}`;
-
-        await page.goto(fullUrl, {
+        await this.navigateWithRetry(page, {
+          operation: 'pagination',
+          url: fullUrl,
+          pageNumber: currentPage + 1,
+          crawl,
+          performanceMetrics
+        }, () => page.goto(fullUrl, {
           waitUntil: 'domcontentloaded',
           timeout: this.options.navigationTimeout
-        });
+        }));
 
       } catch (gotoError) {
+        // Clicking the same link after backing off failed would only be throttled again, and
+        // politeness limits apply to clicks just the same
+        if (gotoError instanceof RetryableResponseError || gotoError instanceof PolitenessLimitError) throw gotoError;
+
         this.log('WARN', 'Direct navigation failed, trying click method', { error: gotoError.message });
 
+        await this.beforeNavigation(fullUrl, crawl);
         const currentUrl = page.url();
         await moreLink.click();
 
@@ -108,14 +443,18 @@ class HackerNewsScraper {
         );
 
         await page.waitForLoadState('domcontentloaded', { timeout: this.options.pageTimeout });
+        await this.waitForArticles(page);
       }
 
-      await this.waitForArticles(page);
-
       this.log('INFO', `Successfully navigated to page ${currentPage + 1}`);
       return true;
 
     } catch (error) {
+      if (error instanceof PolitenessLimitError) {
+        this.log('INFO', `Not navigating to page ${currentPage + 1}: ${error.message}`);
+        return false;
+      }
+
       this.log('ERROR', 'Navigation failed', {
         error: error.message,
         page: currentPage + 1,
@@ -136,9 +475,12 @@ class HackerNewsScraper {
         throw new Error('No articles found after selector wait');
       }
 
-      this.log('INFO', `Found ${articleCount} articles on page`);
+      this.log('DEBUG', `Found ${articleCount} articles on page`);
 
     } catch (selectorError) {
+      // A throttling page has no articles either; no fallback will change that
+      await this.checkResponse(page);
+
       this.log('WARN', 'Primary selector wait failed, trying fallback methods');
 
       // Fallback 1: Wait for network idle
@@ -177,20 +519,70 @@ class HackerNewsScraper {
   }
 
  
-  async scrapeArticlesWithBrowser(browserType) {
-    const performanceMetrics = {
-      browserType,
-      startTime: Date.now(),
-      pageLoadTimes: [],
-      articleProcessingTimes: [],
-      networkRequests: 0,
-      errors: []
-    };
+  // Everything else the title and subtext rows say about a post. Job postings have no score,
+  // author or comments link, so those come back null and isJob is set.
+  async extractArticleMetadata(row) {
+    return row.evaluate(node => {
+      const subtext = node.nextElementSibling?.querySelector('.subtext') || node.nextElementSibling;
+      const link = node.querySelector('.titleline > a') || node.querySelector('a.storylink');
+
+      const scoreText = subtext?.querySelector('.score')?.textContent || '';
+      const points = /\d+/.test(scoreText) ? parseInt(scoreText.match(/\d+/)[0], 10) : null;
+      const author = subtext?.querySelector('.hnuser')?.textContent?.trim() || null;
+
+      let commentCount = null;
+      const links = subtext ? Array.from(subtext.querySelectorAll('a')) : [];
+      for (const anchor of links.reverse()) {
+        const text = anchor.textContent.replace(/\u00a0/g, ' ').trim();
+        const match = text.match(/^(\d+)\s+comments?$/);
+        if (match) {
+          commentCount = parseInt(match[1], 10);
+          break;
+        }
+        if (text === 'discuss') {
+          commentCount = 0;
+          break;
+        }
+      }
+
+      return {
+        url: link?.href || null,
+        domain: node.querySelector('.sitestr')?.textContent?.trim() || null,
+        points,
+        author,
+        commentCount,
+        isJob: points === null && author === null
+      };
+    });
+  }
+
+ 
+  async scrapeArticlesWithBrowser(browserType, feed = this.feeds[0]) {
+    // Launching the browser counts towards the run's total time
+    const startTime = Date.now();
 
     let browser = null;
+    let context = null;
     let page = null;
 
+    const sessionMode = this.options.sessionMode;
+    const session = sessionMode === 'live' ? null : { mode: sessionMode, path: this.getSessionPath(browserType, feed) };
+
     try {
+      if (this.shuttingDown) {
+        throw new Error('Scraper is shutting down');
+      }
+
+      if (!['live', 'record', 'replay'].includes(sessionMode)) {
+        throw new Error(`Unknown session mode: ${sessionMode}`);
+      }
+
+      if (sessionMode === 'replay') {
+        await fs.access(session.path).catch(() => {
+          throw new Error(`No recorded session found at ${session.path}`);
+        });
+      }
+
       // Launch browser based on type
       const browsers = { chromium, firefox, webkit };
       browser = await browsers[browserType].launch({
@@ -204,19 +596,269 @@ class HackerNewsScraper {
           '--disable-extensions'
         ] : []
       });
+      this.activeBrowsers.add(browser);
+      if (this.shuttingDown) {
+        throw new Error('Scraper is shutting down');
+      }
 
-      const context = await browser.newContext({
-        userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+      context = await browser.newContext({
+        userAgent: USER_AGENT,
         viewport: { width: 1920, height: 1080 },
         // Add extra headers to appear more like a real browser
         extraHTTPHeaders: {
-          'Accept-Language': 'en-US,en;q=0.9',
-          'Accept-Encoding': 'gzip, deflate, br',
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8'
-        }
+          ...ACCEPT_HEADERS,
+          'Accept-Encoding': 'gzip, deflate, br'
+        },
+        // Every response is written to the HAR when the context closes
+        ...(sessionMode === 'record' ? {
+          recordHar: { path: session.path, content: 'embed', mode: 'full' }
+        } : {})
       });
 
+      if (sessionMode === 'replay') {
+        // Serve everything from the recording; anything it doesn't contain is aborted rather than fetched
+        await context.routeFromHAR(session.path, { notFound: 'abort' });
+        this.log('INFO', `Replaying recorded session for ${browserType}`, { path: session.path });
+      }
+
       page = await context.newPage();
+      return await this.scrapeArticlesWithPage(page, browserType, feed, { session, startTime });
+
+    } catch (error) {
+      return this.failedRun(browserType, feed, error, { session });
+    } finally {
+      // Cleanup with proper error handling
+      try {
+        if (page && !page.isClosed()) {
+          await page.close();
+        }
+      } catch (pageCloseError) {
+        this.log('WARN', 'Error closing page', { error: pageCloseError.message });
+      }
+
+      // Closing the context is what flushes a recorded HAR to disk
+      try {
+        if (context) {
+          await context.close();
+        }
+      } catch (contextCloseError) {
+        this.log('WARN', 'Error closing context', { error: contextCloseError.message });
+      }
+
+      try {
+        if (browser) {
+          this.activeBrowsers.delete(browser);
+          await browser.close();
+        }
+      } catch (browserCloseError) {
+        this.log('WARN', 'Error closing browser', { error: browserCloseError.message });
+      }
+    }
+  }
+
+
+  // Stops a run in progress: no new browsers or navigations, and every open browser is closed so
+  // the scrapes fail fast and finish their cleanup. runAllTests() then resolves with `interrupted` set.
+  async shutdown() {
+    this.shuttingDown = true;
+    const browsers = [...this.activeBrowsers];
+    this.activeBrowsers.clear();
+    await Promise.all(browsers.map(browser => browser.close().catch(error => {
+      this.log('WARN', 'Error closing browser during shutdown', { error: error.message });
+    })));
+  }
+
+
+  // What a run measures about itself; finishRun fills in the totals and averages
+  newPerformanceMetrics(browserType, startTime = Date.now()) {
+    return {
+      browserType,
+      startTime,
+      pageLoadTimes: [],
+      articleProcessingTimes: [],
+      networkRequests: 0,
+      errors: [],
+      // One entry per navigation: timing breakdown, transfer sizes, LCP and long tasks
+      pages: []
+    };
+  }
+
+
+  // The articles of one run, the item ids seen so far and where, rows seen again on a later page,
+  // and the page boundaries crossed; shared by both engines' scrape loops
+  newCollection() {
+    return { articles: [], seenItems: new Map(), duplicates: [], boundaries: [] };
+  }
+
+
+  // Adds a row's article stamped with its position, page, browser and feed, and returns it.
+  // A row already collected from an earlier page means the listing shifted under us: it is recorded
+  // in duplicates instead, and null comes back.
+  collectArticle(collection, article, { page, browserType, feed, capturedAt, articleStart }) {
+    const { articles, seenItems, duplicates } = collection;
+    if (article.id !== null && seenItems.has(article.id)) {
+      const firstSeen = seenItems.get(article.id);
+      if (firstSeen.page !== page) {
+        duplicates.push({ id: article.id, title: article.title, rank: article.rank, firstSeen, page });
+      }
+      return null;
+    }
+
+    const collected = {
+      ...article,
+      position: articles.length + 1,
+      page,
+      browser: browserType,
+      feed: feed.name,
+      capturedAt,
+      processingTime: Date.now() - articleStart
+    };
+    articles.push(collected);
+    if (article.id !== null) {
+      seenItems.set(article.id, { page, position: articles.length, rank: article.rank });
+    }
+    return collected;
+  }
+
+
+  // Keeps the more-link cursor so page boundaries can be checked for drift afterwards
+  recordBoundary(boundaries, fromPage, href) {
+    const params = new URL(href, 'http://localhost/').searchParams;
+    const cursor = parseInt(params.get('next'), 10);
+    const nextRank = parseInt(params.get('n'), 10);
+    boundaries.push({
+      fromPage,
+      toPage: fromPage + 1,
+      href,
+      cursor: Number.isNaN(cursor) ? null : cursor,
+      nextRank: Number.isNaN(nextRank) ? null : nextRank
+    });
+  }
+
+
+  // The browserless engine: fetches the listing pages over plain HTTP and reads the same rows the
+  // browser would, so its results validate and report like any browser's (as browser "http")
+  async scrapeArticlesWithHttp(feed = this.feeds[0]) {
+    const browserType = 'http';
+    const performanceMetrics = this.newPerformanceMetrics(browserType);
+    const crawl = { navigations: 0, stoppedBy: null };
+
+    try {
+      // Recording and replaying go through the browser's HAR support
+      if (this.options.sessionMode !== 'live') {
+        throw new Error(`Session mode "${this.options.sessionMode}" needs a browser; the http engine only runs live`);
+      }
+
+      this.log('INFO', 'Starting scrape over HTTP', {
+        targetArticles: this.options.targetArticles,
+        baseUrl: this.options.baseUrl,
+        feed: feed.name
+      });
+
+      let navigationStart = Date.now();
+      let { listing, url, measurements } = await this.fetchListing({
+        operation: 'initialLoad',
+        url: this.resolveUrl(feed.startPath),
+        pageNumber: 1,
+        crawl,
+        performanceMetrics
+      });
+
+      const collection = this.newCollection();
+      const { articles, boundaries } = collection;
+      let currentPage = 1;
+      while (articles.length < this.options.targetArticles && currentPage <= this.options.maxPages && !crawl.stoppedBy) {
+        const capturedAt = new Date(navigationStart).toISOString();
+        const logStore = logContext.getStore();
+        if (logStore) logStore.page = currentPage;
+        this.log('INFO', `Processing page ${currentPage}`, { articlesCollected: articles.length, browser: browserType });
+        if (this.options.enablePerformanceMonitoring) {
+          performanceMetrics.pages.push({ page: currentPage, ...measurements });
+        }
+
+        let pageArticlesProcessed = 0;
+        for (const row of listing.rows) {
+          if (articles.length >= this.options.targetArticles) break;
+
+          const articleStart = Date.now();
+          const { article, skipped } = extractArticle(row, url);
+          if (skipped) {
+            this.log('WARN', skipped);
+            continue;
+          }
+
+          const collected = this.collectArticle(collection, article, { page: currentPage, browserType, feed, capturedAt, articleStart });
+          if (collected) {
+            pageArticlesProcessed++;
+            performanceMetrics.articleProcessingTimes.push(collected.processingTime);
+          }
+        }
+
+        this.log('INFO', `Processed ${pageArticlesProcessed} articles on page ${currentPage}`);
+        performanceMetrics.pageLoadTimes.push(Date.now() - navigationStart);
+
+        if (articles.length >= this.options.targetArticles) break;
+        if (currentPage >= this.options.maxPages) {
+          crawl.stoppedBy = 'maxPages';
+          break;
+        }
+        if (!listing.moreHref) {
+          this.log('INFO', 'No more pages available');
+          break;
+        }
+
+        this.recordBoundary(boundaries, currentPage, listing.moreHref);
+        this.log('INFO', `Navigating to page ${currentPage + 1}`, { href: listing.moreHref });
+        try {
+          navigationStart = Date.now();
+          ({ listing, url, measurements } = await this.fetchListing({
+            operation: 'pagination',
+            url: this.resolveUrl(listing.moreHref, url),
+            pageNumber: currentPage + 1,
+            crawl,
+            performanceMetrics
+          }));
+          currentPage++;
+        } catch (error) {
+          if (error instanceof PolitenessLimitError) {
+            this.log('INFO', `Not navigating to page ${currentPage + 1}: ${error.message}`);
+          } else {
+            this.log('ERROR', 'Navigation failed', { error: error.message, page: currentPage + 1 });
+            this.log('WARN', 'Failed to navigate to next page, stopping');
+          }
+          break;
+        }
+      }
+
+      return await this.finishRun(browserType, feed, {
+        articles,
+        boundaries,
+        duplicates: collection.duplicates,
+        performanceMetrics,
+        crawl,
+        pagesProcessed: currentPage
+      });
+
+    } catch (error) {
+      return this.failedRun(browserType, feed, error, { crawl });
+    }
+  }
+
+
+  // Scrapes and validates one feed on a page the caller owns and closes: scrapeArticlesWithBrowser
+  // launches its own, the Playwright Test fixtures (lib/test-fixtures.js) pass theirs.
+  async scrapeArticlesWithPage(page, browserType, feed = this.feeds[0], { session = null, startTime = Date.now() } = {}) {
+    if (!logContext.getStore()) {
+      return logContext.run({ browser: browserType, feed: feed.name }, () =>
+        this.scrapeArticlesWithPage(page, browserType, feed, { session, startTime }));
+    }
+
+    const performanceMetrics = this.newPerformanceMetrics(browserType, startTime);
+
+    // Navigations made by this run (retries and reloads included) and the limit that ended it, if any
+    const crawl = { navigations: 0, stoppedBy: null };
+
+    try {
 
       // Monitor network requests
       page.on('request', () => performanceMetrics.networkRequests++);
@@ -224,32 +866,48 @@ class HackerNewsScraper {
       // Set timeouts
       page.setDefaultTimeout(this.options.pageTimeout);
       page.setDefaultNavigationTimeout(this.options.navigationTimeout);
+      if (this.options.enablePerformanceMonitoring) {
+        await page.addInitScript(installPerformanceObservers);
+      }
 
       this.log('INFO', `Starting scrape with ${browserType}`, {
-        targetArticles: this.options.targetArticles
+        targetArticles: this.options.targetArticles,
+        baseUrl: this.options.baseUrl,
+        feed: feed.name
       });
 
-      // Initial navigation
-      const navigationStart = Date.now();
-      await page.goto("https://news.ycombinator.com/newest", {
-        waitUntil: 'domcontentloaded',
-        timeout: this.options.navigationTimeout
+      // Initial navigation, timed from the start of the attempt that succeeded
+      let navigationStart = Date.now();
+      const startUrl = this.resolveUrl(feed.startPath);
+      await this.navigateWithRetry(page, {
+        operation: 'initialLoad',
+        url: startUrl,
+        pageNumber: 1,
+        crawl,
+        performanceMetrics
+      }, () => {
+        navigationStart = Date.now();
+        return page.goto(startUrl, {
+          waitUntil: 'domcontentloaded',
+          timeout: this.options.navigationTimeout
+        });
       });
       performanceMetrics.pageLoadTimes.push(Date.now() - navigationStart);
 
-      // Wait for initial articles
-      await this.waitForArticles(page);
-
-      const articles = [];
+      const collection = this.newCollection();
+      const { articles, boundaries } = collection;
       let currentPage = 1;
       let consecutiveErrors = 0;
-      let maxPages = 10; // Prevent infinite loops
-
       while (articles.length < this.options.targetArticles &&
         consecutiveErrors < this.options.maxConsecutiveErrors &&
-        currentPage <= maxPages) {
+        currentPage <= this.options.maxPages &&
+        !crawl.stoppedBy) {
 
         const pageProcessingStart = Date.now();
+        // Relative ages ("5 minutes ago") are only meaningful against the time the page was loaded
+        const capturedAt = new Date(pageProcessingStart).toISOString();
+        const logStore = logContext.getStore();
+        if (logStore) logStore.page = currentPage;
         this.log('INFO', `Processing page ${currentPage}`, {
           articlesCollected: articles.length,
           browser: browserType,
@@ -264,6 +922,7 @@ class HackerNewsScraper {
 
           // Wait for content to be ready
           await page.waitForLoadState('domcontentloaded', { timeout: 15000 });
+          await this.capturePagePerformance(page, currentPage, performanceMetrics);
 
           const articleRows = await page.$$('tr.athing');
           this.log('INFO', `Found ${articleRows.length} articles on page ${currentPage}`);
@@ -275,8 +934,13 @@ class HackerNewsScraper {
             // Try to refresh the page
             if (consecutiveErrors < 3) {
               this.log('INFO', 'Attempting to refresh page');
-              await page.reload({ waitUntil: 'domcontentloaded' });
-              await this.waitForArticles(page);
+              await this.navigateWithRetry(page, {
+                operation: 'reload',
+                url: page.url(),
+                pageNumber: currentPage,
+                crawl,
+                performanceMetrics
+              }, () => page.reload({ waitUntil: 'domcontentloaded' }));
               continue;
             } else {
               break;
@@ -287,7 +951,7 @@ class HackerNewsScraper {
           if (this.options.enableScreenshots) {
             try {
               await page.screenshot({
-                path: path.join(this.options.outputDir, 'screenshots', `page-${currentPage}-${browserType}.png`),
+                path: path.join(this.options.outputDir, 'screenshots', feed.name, browserType, `page-${currentPage}.png`),
                 fullPage: false
               });
             } catch (screenshotError) {
@@ -302,6 +966,15 @@ class HackerNewsScraper {
 
             const articleStart = Date.now();
             try {
+              // HN item IDs increase with submission time, so they order same-minute posts
+              const rawId = await row.getAttribute('id');
+              const id = rawId && /^\d+$/.test(rawId) ? parseInt(rawId, 10) : null;
+
+              const rank = await row.evaluate(node => {
+                const value = parseInt(node.querySelector('.rank')?.textContent || '', 10);
+                return Number.isNaN(value) ? null : value;
+              });
+
               const subtextRow = await row.evaluateHandle(node => node.nextElementSibling);
 
               if (!subtextRow) {
@@ -344,20 +1017,22 @@ class HackerNewsScraper {
                 continue;
               }
 
-              articles.push({
-                title,
-                timestamp: finalTimestamp,
-                position: articles.length + 1,
+              const metadata = await this.extractArticleMetadata(row);
+
+              const collected = this.collectArticle(collection, { id, rank, title, ...metadata, timestamp: finalTimestamp }, {
                 page: currentPage,
-                browser: browserType,
-                processingTime: Date.now() - articleStart
+                browserType,
+                feed,
+                capturedAt,
+                articleStart
               });
+              if (!collected) continue;
 
               pageArticlesProcessed++;
-              performanceMetrics.articleProcessingTimes.push(Date.now() - articleStart);
+              performanceMetrics.articleProcessingTimes.push(collected.processingTime);
 
               if (articles.length % 10 === 0) {
-                this.log('INFO', `Progress: ${articles.length}/${this.options.targetArticles} articles`);
+                this.log('DEBUG', `Progress: ${articles.length}/${this.options.targetArticles} articles`);
               }
 
             } catch (error) {
@@ -391,8 +1066,13 @@ class HackerNewsScraper {
           if (consecutiveErrors < 3 && !page.isClosed()) {
             try {
               this.log('INFO', 'Attempting page recovery');
-              await page.reload({ waitUntil: 'domcontentloaded' });
-              await this.waitForArticles(page);
+              await this.navigateWithRetry(page, {
+                operation: 'reload',
+                url: page.url(),
+                pageNumber: currentPage,
+                crawl,
+                performanceMetrics
+              }, () => page.reload({ waitUntil: 'domcontentloaded' }));
               continue;
             } catch (recoveryError) {
               this.log('ERROR', 'Page recovery failed', { error: recoveryError.message });
@@ -401,158 +1081,348 @@ class HackerNewsScraper {
         }
 
         // Navigate to next page if needed
-        if (articles.length < this.options.targetArticles && currentPage < maxPages) {
-          const navigationSuccess = await this.safeNavigateToNext(page, currentPage);
-          if (navigationSuccess) {
+        if (articles.length < this.options.targetArticles && !crawl.stoppedBy) {
+          if (currentPage >= this.options.maxPages) {
+            crawl.stoppedBy = 'maxPages';
+            break;
+          }
+
+          const navigationSuccess = await this.safeNavigateToNext(page, currentPage, { boundaries, performanceMetrics, crawl });
+          if (navigationSuccess) {
             currentPage++;
-          } else {
+          } else if (!crawl.stoppedBy) {
             this.log('WARN', 'Failed to navigate to next page, stopping');
             break;
           }
         }
       }
 
-      // Calculate performance metrics
-      performanceMetrics.endTime = Date.now();
-      performanceMetrics.totalTime = performanceMetrics.endTime - performanceMetrics.startTime;
-      performanceMetrics.averagePageLoadTime = performanceMetrics.pageLoadTimes.length > 0
-        ? performanceMetrics.pageLoadTimes.reduce((a, b) => a + b, 0) / performanceMetrics.pageLoadTimes.length
-        : 0;
-      performanceMetrics.averageArticleProcessingTime = performanceMetrics.articleProcessingTimes.length > 0
-        ? performanceMetrics.articleProcessingTimes.reduce((a, b) => a + b, 0) / performanceMetrics.articleProcessingTimes.length
-        : 0;
+      return await this.finishRun(browserType, feed, {
+        articles,
+        boundaries,
+        duplicates: collection.duplicates,
+        performanceMetrics,
+        crawl,
+        session,
+        pagesProcessed: currentPage
+      });
 
-      // Validate sorting
-      const sortingErrors = this.validateSorting(articles);
+    } catch (error) {
+      return this.failedRun(browserType, feed, error, { session, crawl });
+    }
+  }
+
+
+  // Validates what a run collected and builds its result; shared by the browser and http engines
+  async finishRun(browserType, feed, { articles, boundaries, duplicates, performanceMetrics, crawl, session = null, pagesProcessed }) {
+    if (crawl.stoppedBy) {
+      this.log('WARN', `Stopped by budget (${this.describeStopReason(crawl.stoppedBy)}) with ${articles.length}/${this.options.targetArticles} articles`, {
+        pages: pagesProcessed,
+        navigations: crawl.navigations
+      });
+    }
+
+    // Calculate performance metrics
+    performanceMetrics.endTime = Date.now();
+    performanceMetrics.totalTime = performanceMetrics.endTime - performanceMetrics.startTime;
+    performanceMetrics.averagePageLoadTime = performanceMetrics.pageLoadTimes.length > 0
+      ? performanceMetrics.pageLoadTimes.reduce((a, b) => a + b, 0) / performanceMetrics.pageLoadTimes.length
+      : 0;
+    performanceMetrics.averageArticleProcessingTime = performanceMetrics.articleProcessingTimes.length > 0
+      ? performanceMetrics.articleProcessingTimes.reduce((a, b) => a + b, 0) / performanceMetrics.articleProcessingTimes.length
+      : 0;
+
+    // Validate sorting; ranked listings (show, ask, front) are not expected to be chronological
+    const ordering = this.analyzeOrdering(articles);
+    const { ambiguousTies, resolvedTies, parseFailures } = ordering;
+    const checksOrder = this.getFeedRules(feed).includes('monotonicTimestamps') && this.options.rules.monotonicTimestamps !== false;
+    const sortingErrors = checksOrder ? ordering.violations : [];
+    const ruleResults = await this.evaluateRules(feed, articles, { browser: browserType, stoppedBy: crawl.stoppedBy });
+    const ruleErrors = ruleResults.reduce((sum, result) => sum + result.findings.filter(f => f.severity === 'error').length, 0);
+    const ruleWarnings = ruleResults.reduce((sum, result) => sum + result.findings.filter(f => f.severity === 'warning').length, 0);
+    const paginationFindings = this.detectPaginationDrift(articles, boundaries, duplicates);
+    this.collectedArticles[feed.name] = this.collectedArticles[feed.name] || {};
+    this.collectedArticles[feed.name][browserType] = articles;
+
+    // Error-severity findings from any rule fail the run; warnings are reported only
+    const passed = ruleResults.every(result => result.passed);
+
+    const testResult = {
+      browser: browserType,
+      feed: feed.name,
+      rules: this.getFeedRules(feed),
+      success: passed,
+      targetArticles: this.options.targetArticles,
+      articlesCollected: articles.length,
+      sortingErrors,
+      ruleResults,
+      ruleErrors,
+      ruleWarnings,
+      ambiguousTies,
+      resolvedTies,
+      paginationFindings,
+      timestampParseFailures: {
+        count: parseFailures.length,
+        unparsed: [...new Set(parseFailures.map(failure => String(failure.timestamp)))]
+      },
+      performanceMetrics,
+      articles, // Every collected article, so analyses can work from the JSON report alone
+      stoppedBy: crawl.stoppedBy,
+      navigations: crawl.navigations,
+      session,
+      timestamp: new Date().toISOString()
+    };
 
-      const testResult = {
-        browser: browserType,
-        success: sortingErrors.length === 0,
+    this.log(passed ? 'SUCCESS' : 'ERROR',
+      `${browserType} validation ${passed ? 'PASSED' : 'FAILED'}`,
+      {
         articlesCollected: articles.length,
-        sortingErrors,
-        performanceMetrics,
-        articles: articles.slice(0, 10), // Include first 10 articles in results
-        timestamp: new Date().toISOString()
-      };
+        sortingErrors: sortingErrors.length,
+        ruleErrors,
+        ruleWarnings,
+        ambiguousTies: ambiguousTies.length,
+        paginationFindings: paginationFindings.length,
+        timestampParseFailures: parseFailures.length,
+        totalTime: `${performanceMetrics.totalTime}ms`,
+        pagesProcessed
+      });
 
-      this.log(sortingErrors.length === 0 ? 'SUCCESS' : 'ERROR',
-        `${browserType} validation ${sortingErrors.length === 0 ? 'PASSED' : 'FAILED'}`,
-        {
-          articlesCollected: articles.length,
-          sortingErrors: sortingErrors.length,
-          totalTime: `${performanceMetrics.totalTime}ms`,
-          pagesProcessed: currentPage
-        });
+    return testResult;
+  }
 
-      return testResult;
 
-    } catch (error) {
+  // The result recorded for a run that failed before it could validate anything
+  failedRun(browserType, feed, error, { session = null, crawl = { navigations: 0, stoppedBy: null } } = {}) {
+    if (this.shuttingDown) {
+      this.log('WARN', `${browserType} interrupted by shutdown`, { error: error.message });
+    } else {
       this.log('ERROR', `Critical error in ${browserType}`, {
         error: error.message,
         stack: error.stack
       });
-      return {
-        browser: browserType,
-        success: false,
-        error: error.message,
-        timestamp: new Date().toISOString()
-      };
-    } finally {
-      // Cleanup with proper error handling
-      try {
-        if (page && !page.isClosed()) {
-          await page.close();
-        }
-      } catch (pageCloseError) {
-        this.log('WARN', 'Error closing page', { error: pageCloseError.message });
-      }
+    }
+    return {
+      browser: browserType,
+      feed: feed.name,
+      rules: this.getFeedRules(feed),
+      success: false,
+      error: error.message,
+      stoppedBy: crawl.stoppedBy,
+      navigations: crawl.navigations,
+      session,
+      timestamp: new Date().toISOString()
+    };
+  }
 
-      try {
-        if (browser) {
-          await browser.close();
-        }
-      } catch (browserCloseError) {
-        this.log('WARN', 'Error closing browser', { error: browserCloseError.message });
-      }
+
+  describeStopReason(stoppedBy) {
+    switch (stoppedBy) {
+      case 'maxPages':
+        return `page limit of ${this.options.maxPages} reached`;
+      case 'requestBudget':
+        return `request budget of ${this.options.requestBudget} navigations used up`;
+      case 'robotsTxt':
+        return 'next page disallowed by robots.txt';
+      default:
+        return stoppedBy;
     }
   }
 
 
   validateSorting(articles) {
-    const sortingErrors = [];
-
-    for (let i = 0; i < articles.length - 1; i++) {
-      // For proper date comparison, we need to handle different timestamp formats
-      const current = this.parseTimestamp(articles[i].timestamp);
-      const next = this.parseTimestamp(articles[i + 1].timestamp);
-
-      if (current && next && current < next) {
-        sortingErrors.push({
-          position: i + 1,
-          current: articles[i],
-          next: articles[i + 1]
+    return this.analyzeOrdering(articles).violations;
+  }
+
+
+  // See lib/rules.js; kept on the class so callers and overrides of parseTimestamp keep working
+  analyzeOrdering(articles) {
+    return analyzeOrdering(articles, (timestamp, referenceTime) => this.parseTimestamp(timestamp, referenceTime));
+  }
+
+
+  // Custom rules from the rules file apply to every feed unless they list the feeds they are for
+  getFeedRules(feed) {
+    const custom = this.customRules.filter(name => {
+      const rule = this.ruleRegistry.rules.get(name);
+      return !rule.feeds || rule.feeds.includes(feed.name) || rule.feeds.includes(feed.type);
+    });
+    return [...new Set([...feed.rules, ...custom])];
+  }
+
+
+  async evaluateRules(feed, articles, context = {}) {
+    return this.ruleRegistry.run(this.getFeedRules(feed), articles, {
+      feed,
+      targetArticles: this.options.targetArticles,
+      parseTimestamp: (timestamp, referenceTime) => this.parseTimestamp(timestamp, referenceTime),
+      ...context
+    }, this.getFeedRuleConfig(feed));
+  }
+
+
+  // A feed's own ruleConfig entries are merged over the `rules` option's for that feed
+  getFeedRuleConfig(feed) {
+    const ruleConfig = { ...this.options.rules };
+    Object.entries(feed.ruleConfig || {}).forEach(([name, config]) => {
+      ruleConfig[name] = config && ruleConfig[name] ? { ...ruleConfig[name], ...config } : config;
+    });
+    return ruleConfig;
+  }
+
+
+  // Findings caused by /newest moving while we page through it. These are not sorting errors:
+  // duplicates were already dropped from the article list, and gaps only mean rows went unseen.
+  detectPaginationDrift(articles, boundaries, duplicates = []) {
+    const findings = duplicates.map(duplicate => ({
+      type: 'duplicate',
+      pages: [duplicate.firstSeen.page, duplicate.page],
+      id: duplicate.id,
+      title: duplicate.title,
+      message: `Item ${duplicate.id} seen on page ${duplicate.firstSeen.page} appeared again on page ${duplicate.page}`
+    }));
+
+    boundaries.forEach(boundary => {
+      const pages = [boundary.fromPage, boundary.toPage];
+      const before = articles.filter(a => a.page === boundary.fromPage);
+      const after = articles.filter(a => a.page === boundary.toPage);
+      const last = before[before.length - 1];
+      const first = after[0];
+
+      if (!last || !first) return;
+
+      // HN's cursor is the ID of the last row shown; the next page should continue strictly below it
+      if (boundary.cursor !== null && Number.isInteger(last.id) && boundary.cursor !== last.id) {
+        findings.push({
+          type: boundary.cursor < last.id ? 'gap' : 'overlap',
+          pages,
+          reason: 'cursor_mismatch',
+          cursor: boundary.cursor,
+          lastId: last.id,
+          message: `More link cursor ${boundary.cursor} does not match last item ${last.id} on page ${boundary.fromPage}`
         });
       }
-    }
 
-    return sortingErrors;
-  }
+      if (boundary.cursor !== null && Number.isInteger(first.id) && first.id >= boundary.cursor) {
+        findings.push({
+          type: 'overlap',
+          pages,
+          reason: 'cursor_not_honoured',
+          cursor: boundary.cursor,
+          firstId: first.id,
+          message: `Page ${boundary.toPage} starts at item ${first.id}, not below cursor ${boundary.cursor}`
+        });
+      }
 
-  
-  parseTimestamp(timestamp) {
-    try {
-      // Handle ISO format
-      if (timestamp.includes('T')) {
-        return new Date(timestamp);
-      }
-
-      // Handle relative timestamps like "2 hours ago"
-      const now = new Date();
-      const timeMatch = timestamp.match(/(\d+)\s*(minute|hour|day)s?\s*ago/);
-      if (timeMatch) {
-        const value = parseInt(timeMatch[1]);
-        const unit = timeMatch[2];
-
-        switch (unit) {
-          case 'minute':
-            return new Date(now.getTime() - value * 60 * 1000);
-          case 'hour':
-            return new Date(now.getTime() - value * 60 * 60 * 1000);
-          case 'day':
-            return new Date(now.getTime() - value * 24 * 60 * 60 * 1000);
-        }
+      const expectedRank = boundary.nextRank ?? (Number.isInteger(last.rank) ? last.rank + 1 : null);
+      if (expectedRank !== null && Number.isInteger(first.rank) && first.rank > expectedRank) {
+        findings.push({
+          type: 'gap',
+          pages,
+          reason: 'rank_skipped',
+          expectedRank,
+          actualRank: first.rank,
+          missingRanks: first.rank - expectedRank,
+          message: `Ranks ${expectedRank}-${first.rank - 1} were skipped between page ${boundary.fromPage} and page ${boundary.toPage}`
+        });
       }
+    });
 
-      // Fallback to direct parsing
-      return new Date(timestamp);
-    } catch (error) {
-      return null;
-    }
+    return findings;
+  }
+
+
+  parseTimestamp(timestamp, referenceTime = null) {
+    return parseTimestamp(timestamp, referenceTime);
   }
 
 
   async runAllTests() {
+    this.results.runId = crypto.randomUUID();
     this.results.startTime = new Date().toISOString();
+
+    if (this.options.logFile) {
+      await fs.mkdir(this.options.outputDir, { recursive: true });
+      this.logger.openFile(this.getRunLogPath());
+    }
+
+    try {
+      return await this.executeRuns();
+    } finally {
+      await this.logger.closeFile();
+    }
+  }
+
+
+  getRunLogPath() {
+    return path.join(this.options.outputDir, `run-${this.results.runId}.log.jsonl`);
+  }
+
+
+  async executeRuns() {
     this.log('INFO', 'Starting comprehensive validation across all browsers', {
       browsers: this.options.browsers,
-      targetArticles: this.options.targetArticles
+      feeds: this.feeds.map(feed => feed.name),
+      targetArticles: this.options.targetArticles,
+      runId: this.results.runId,
+      logFile: this.options.logFile ? this.getRunLogPath() : null
     });
 
     await this.initializeReporting();
 
-    for (const browserType of this.options.browsers) {
-      this.log('INFO', `Testing with ${browserType}`);
-      const result = await this.scrapeArticlesWithBrowser(browserType);
-      this.results.testRuns.push(result);
+    const engines = {
+      browser: this.options.browsers,
+      http: ['http'],
+      both: [...this.options.browsers, 'http']
+    }[this.options.engine];
+    const tasks = this.feeds.flatMap(feed => engines.map(browserType => ({ feed, browserType })));
+
+    // Browsers run side by side so they see (as near as possible) the same snapshot of the listing
+    this.results.testRuns = await mapWithConcurrency(tasks, this.options.concurrency, ({ feed, browserType }) =>
+      logContext.run({ browser: browserType, feed: feed.name }, () => {
+        this.log('INFO', `Testing with ${browserType}`, { feed: feed.name });
+        return browserType === 'http'
+          ? this.scrapeArticlesWithHttp(feed)
+          : this.scrapeArticlesWithBrowser(browserType, feed);
+      })
+    );
+
+    this.results.crossBrowser = Object.fromEntries(
+      this.feeds.map(feed => [feed.name, this.checkCrossBrowserConsistency(feed.name)])
+    );
+    if (this.options.engine === 'both') {
+      this.results.engineCheck = Object.fromEntries(
+        this.feeds.map(feed => [feed.name, this.checkEngineConsistency(feed.name)])
+      );
+    }
+    if (this.options.apiCheck && !this.shuttingDown) {
+      this.results.apiCheck = {};
+      for (const feed of this.feeds) {
+        this.results.apiCheck[feed.name] = await this.checkAgainstApi(feed);
+      }
     }
-
     this.results.endTime = new Date().toISOString();
     this.results.summary = this.generateSummary();
 
-    // Generate reports
-    await this.generateTextReport();
-    await this.generateHTMLReport();
-    await this.generateJSONReport();
+    // A run cut short by shutdown() would only overwrite the last complete reports and skew the history
+    if (this.shuttingDown) {
+      this.results.interrupted = true;
+      this.log('WARN', 'Run interrupted by shutdown; reports and history were not written', {
+        runId: this.results.runId
+      });
+      return this.results;
+    }
+
+    await this.generateReports();
+    if (this.options.history) {
+      await this.recordHistory();
+    }
+    recordRunMetrics(this.metrics, this.results);
+    if (this.options.metricsFile) {
+      await this.writeMetricsFile();
+    }
+    if (this.webhooks.length > 0) {
+      await this.sendNotifications();
+    }
 
     this.log('SUCCESS', 'All tests completed successfully', {
       totalRuns: this.results.testRuns.length,
@@ -563,12 +1433,192 @@ class HackerNewsScraper {
     return this.results;
   }
 
+  // Compares every successful browser's article list for a feed against the first one, item by item
+  checkCrossBrowserConsistency(feedName = this.feeds[0].name) {
+    const collected = this.collectedArticles[feedName] || {};
+    // The http engine is compared separately (checkEngineConsistency)
+    const browsers = this.results.testRuns
+      .filter(run => run.feed === feedName && run.browser !== 'http' && !run.error && collected[run.browser])
+      .map(run => run.browser);
+
+    if (browsers.length < 2) {
+      return { checked: false, consistent: null, reference: browsers[0] || null, comparisons: [] };
+    }
+
+    const reference = browsers[0];
+    const referenceArticles = collected[reference];
+    const referenceKeys = referenceArticles.map(articleKey);
+
+    const comparisons = browsers.slice(1).map(browser => {
+      const articles = collected[browser];
+      const keys = articles.map(articleKey);
+
+      const missing = referenceArticles.filter(a => !keys.includes(articleKey(a))).map(a => a.title);
+      const extra = articles.filter(a => !referenceKeys.includes(articleKey(a))).map(a => a.title);
+
+      let orderMismatches = 0;
+      let firstMismatch = null;
+      for (let i = 0; i < Math.min(keys.length, referenceKeys.length); i++) {
+        if (keys[i] !== referenceKeys[i]) {
+          orderMismatches++;
+          if (!firstMismatch) {
+            firstMismatch = {
+              position: i + 1,
+              expected: referenceArticles[i].title,
+              actual: articles[i].title
+            };
+          }
+        }
+      }
+
+      return {
+        browser,
+        articlesCompared: Math.min(keys.length, referenceKeys.length),
+        consistent: missing.length === 0 && extra.length === 0 && orderMismatches === 0,
+        missing,
+        extra,
+        orderMismatches,
+        firstMismatch
+      };
+    });
+
+    const consistent = comparisons.every(c => c.consistent);
+    this.log(consistent ? 'SUCCESS' : 'WARN', `Cross-browser consistency ${consistent ? 'PASSED' : 'FAILED'}`, {
+      feed: feedName,
+      reference,
+      compared: comparisons.map(c => c.browser)
+    });
+
+    return { checked: true, consistent, reference, comparisons };
+  }
+
+
+  // With engine "both": what the http engine read against what each browser read. An article one
+  // side has and the other lacks, between articles both have, or a field that differs means the
+  // page no longer shows everything in its HTML. Articles past either end of the overlap are
+  // only counted: the listing moves between two fetches.
+  checkEngineConsistency(feedName = this.feeds[0].name) {
+    const collected = this.collectedArticles[feedName] || {};
+    const succeeded = browser => this.results.testRuns.some(run => run.feed === feedName && run.browser === browser && !run.error);
+    const browsers = this.options.browsers.filter(browser => succeeded(browser) && collected[browser]);
+
+    if (!succeeded('http') || !collected.http || browsers.length === 0) {
+      return { checked: false, consistent: null, comparisons: [] };
+    }
+
+    const httpArticles = collected.http;
+    const httpByKey = new Map(httpArticles.map(article => [articleKey(article), article]));
+    const describe = article => ({ id: article.id, position: article.position, title: article.title });
+
+    // Articles in `articles` the other list lacks: within the overlap, and outside it
+    const compareCoverage = (articles, otherKeys) => {
+      const { missing, before, after } = splitByOverlap(articles, otherKeys, articleKey);
+      return { missing: missing.map(({ item }) => describe(item)), outsideOverlap: before + after };
+    };
+
+    const comparisons = browsers.map(browser => {
+      const articles = collected[browser];
+      const browserKeys = new Set(articles.map(articleKey));
+      const onlyInBrowser = compareCoverage(articles, new Set(httpByKey.keys()));
+      const onlyInHttp = compareCoverage(httpArticles, browserKeys);
+
+      const fieldMismatches = [];
+      articles.forEach(article => {
+        const other = httpByKey.get(articleKey(article));
+        if (!other) return;
+        ENGINE_COMPARED_FIELDS.forEach(field => {
+          if ((article[field] ?? null) !== (other[field] ?? null)) {
+            fieldMismatches.push({ ...describe(article), field, browserValue: article[field] ?? null, httpValue: other[field] ?? null });
+          }
+        });
+      });
+
+      const shared = articles.length - onlyInBrowser.missing.length - onlyInBrowser.outsideOverlap;
+      return {
+        browser,
+        articlesCompared: shared,
+        // Nothing in common at all is a difference in itself
+        consistent: shared > 0 && onlyInBrowser.missing.length === 0 && onlyInHttp.missing.length === 0 && fieldMismatches.length === 0,
+        missingFromHttp: onlyInBrowser.missing,
+        missingFromBrowser: onlyInHttp.missing,
+        outsideOverlap: onlyInBrowser.outsideOverlap + onlyInHttp.outsideOverlap,
+        fieldMismatches
+      };
+    });
+
+    const consistent = comparisons.every(c => c.consistent);
+    this.log(consistent ? 'SUCCESS' : 'WARN', `Engine cross-check ${consistent ? 'PASSED' : 'FAILED'}`, {
+      feed: feedName,
+      compared: comparisons.map(c => `${c.browser}/http`),
+      fieldMismatches: comparisons.reduce((sum, c) => sum + c.fieldMismatches.length, 0)
+    });
+
+    return { checked: true, consistent, comparisons };
+  }
+
+
+  // With apiCheck: every successful run of a feed against the official API's list of the same items
+  // and their submission times. Feeds the API has no list for (front, from) are skipped, and an
+  // unreachable API is reported rather than failing the run.
+  async checkAgainstApi(feed) {
+    if (!feed.apiList) {
+      this.log('INFO', `API cross-check skipped: the API has no list for the ${feed.name} feed`);
+      return { checked: false, reason: `no API list for the ${feed.name} feed`, comparisons: [] };
+    }
+
+    const collected = this.collectedArticles[feed.name] || {};
+    const browsers = this.results.testRuns
+      .filter(run => run.feed === feed.name && !run.error && collected[run.browser])
+      .map(run => run.browser);
+    if (browsers.length === 0) {
+      return { checked: false, reason: 'no run collected any articles', comparisons: [] };
+    }
+
+    try {
+      const comparisons = [];
+      for (const browser of browsers) {
+        comparisons.push({ browser, ...(await this.verifyWithApi(feed, collected[browser])) });
+      }
+
+      const consistent = comparisons.every(c => c.consistent);
+      this.log(consistent ? 'SUCCESS' : 'WARN', `API cross-check ${consistent ? 'PASSED' : 'FAILED'}`, {
+        feed: feed.name,
+        list: feed.apiList,
+        missingFromApi: comparisons.reduce((sum, c) => sum + c.missingFromApi.length, 0),
+        missingFromScrape: comparisons.reduce((sum, c) => sum + c.missingFromScrape.length, 0),
+        timestampMismatches: comparisons.reduce((sum, c) => sum + c.timestampMismatches.length, 0),
+        orderDisagreements: comparisons.reduce((sum, c) => sum + c.orderDisagreements.length, 0)
+      });
+      return { checked: true, list: feed.apiList, toleranceSec: this.options.apiTimeToleranceSec, consistent, comparisons };
+    } catch (error) {
+      this.log('WARN', 'API cross-check could not run', { feed: feed.name, apiBaseUrl: this.options.apiBaseUrl, error: error.message });
+      return { checked: false, reason: error.message, comparisons: [] };
+    }
+  }
+
+
+  // One list of scraped articles against the API (see lib/hn-api.js)
+  async verifyWithApi(feed, articles) {
+    const listIds = await this.api.getList(feed.apiList);
+    const items = await this.api.getItems(itemsToFetch(articles, listIds));
+    return compareWithApi(articles, {
+      listIds,
+      items,
+      toleranceMs: this.options.apiTimeToleranceSec * 1000,
+      parseTimestamp: (timestamp, referenceTime) => this.parseTimestamp(timestamp, referenceTime)
+    });
+  }
+
   /**
    * Generate summary statistics
    */
   generateSummary() {
     const successfulRuns = this.results.testRuns.filter(r => r.success);
     const failedRuns = this.results.testRuns.filter(r => !r.success);
+    const feedNames = [...new Set(this.results.testRuns.map(r => r.feed))];
+    const crossBrowserChecks = Object.values(this.results.crossBrowser || {}).filter(check => check?.checked);
+    const engineChecks = Object.values(this.results.engineCheck || {}).filter(check => check?.checked);
+    const apiChecks = Object.values(this.results.apiCheck || {}).filter(check => check?.checked);
 
     return {
       totalRuns: this.results.testRuns.length,
@@ -578,11 +1628,58 @@ class HackerNewsScraper {
       browsers: this.results.testRuns.map(r => r.browser),
       averageArticlesCollected: this.results.testRuns.length > 0 ?
         this.results.testRuns.reduce((sum, r) => sum + (r.articlesCollected || 0), 0) / this.results.testRuns.length : 0,
-      totalSortingErrors: this.results.testRuns.reduce((sum, r) => sum + (r.sortingErrors?.length || 0), 0)
+      totalSortingErrors: this.results.testRuns.reduce((sum, r) => sum + (r.sortingErrors?.length || 0), 0),
+      totalAmbiguousTies: this.results.testRuns.reduce((sum, r) => sum + (r.ambiguousTies?.length || 0), 0),
+      totalPaginationFindings: this.results.testRuns.reduce((sum, r) => sum + (r.paginationFindings?.length || 0), 0),
+      timestampParseFailures: this.results.testRuns.reduce((sum, r) => sum + (r.timestampParseFailures?.count || 0), 0),
+      unparsedTimestamps: [...new Set(this.results.testRuns.flatMap(r => r.timestampParseFailures?.unparsed || []))],
+      totalRuleErrors: this.results.testRuns.reduce((sum, r) => sum + (r.ruleErrors || 0), 0),
+      totalRuleWarnings: this.results.testRuns.reduce((sum, r) => sum + (r.ruleWarnings || 0), 0),
+      stoppedByBudget: this.results.testRuns.filter(r => r.stoppedBy).length,
+      crossBrowserConsistent: crossBrowserChecks.length > 0 ? crossBrowserChecks.every(check => check.consistent) : null,
+      enginesConsistent: engineChecks.length > 0 ? engineChecks.every(check => check.consistent) : null,
+      apiConsistent: apiChecks.length > 0 ? apiChecks.every(check => check.consistent) : null,
+      pagePerformance: summarizePagePerformance(this.results.testRuns),
+      feeds: Object.fromEntries(feedNames.map(feedName => {
+        const runs = this.results.testRuns.filter(r => r.feed === feedName);
+        return [feedName, {
+          totalRuns: runs.length,
+          successful: runs.filter(r => r.success).length,
+          failed: runs.filter(r => !r.success).length,
+          sortingErrors: runs.reduce((sum, r) => sum + (r.sortingErrors?.length || 0), 0),
+          ruleErrors: runs.reduce((sum, r) => sum + (r.ruleErrors || 0), 0),
+          ruleWarnings: runs.reduce((sum, r) => sum + (r.ruleWarnings || 0), 0)
+        }];
+      }))
     };
   }
 
 
+  pagePerformanceSummaryLines(pagePerformance) {
+    if (!pagePerformance || pagePerformance.pages === 0) return [];
+    return [
+      '',
+      `PAGE PERFORMANCE (p50 / p95 over ${pagePerformance.pages} page loads)`,
+      ...PAGE_METRICS.map(metric => {
+        const { p50, p95, samples } = pagePerformance.metrics[metric.key];
+        if (samples === 0) return `  ${metric.label}: not measured`;
+        return `  ${metric.label}: ${formatMetricValue(metric, p50)} / ${formatMetricValue(metric, p95)}` +
+          (samples < pagePerformance.pages ? ` (${samples} of ${pagePerformance.pages} pages)` : '');
+      })
+    ];
+  }
+
+
+  // One page's measurements; values at or above the p95 of all page loads are flagged
+  pagePerformanceLine(page) {
+    const summary = this.results.summary?.pagePerformance;
+    const values = PAGE_METRICS
+      .filter(metric => Number.isFinite(metric.value(page)))
+      .map(metric => `${metric.label} ${formatMetricValue(metric, metric.value(page))}${isSlow(metric, page, summary) ? ' ⚠️' : ''}`);
+    return values.length > 0 ? values.join(', ') : 'no measurements';
+  }
+
+
   async generateTextReport() {
     const report = [
       '='.repeat(80),
@@ -598,34 +1695,159 @@ class HackerNewsScraper {
       `Failed: ${this.results.summary.failed}`,
       `Success Rate: ${this.results.summary.successRate.toFixed(2)}%`,
       `Average Articles Collected: ${this.results.summary.averageArticlesCollected.toFixed(0)}`,
-      `Total Sorting Errors: ${this.results.summary.totalSortingErrors}`,
+      `Total Sorting Errors (strict violations): ${this.results.summary.totalSortingErrors}`,
+      `Total Ambiguous Ties: ${this.results.summary.totalAmbiguousTies ?? 0}`,
+      `Total Pagination Drift Findings: ${this.results.summary.totalPaginationFindings ?? 0}`,
+      `Rule Errors: ${this.results.summary.totalRuleErrors ?? 0}`,
+      `Rule Warnings: ${this.results.summary.totalRuleWarnings ?? 0}`,
+      `Timestamp Parse Failures: ${this.results.summary.timestampParseFailures ?? 0}`,
+      `Runs Stopped By Budget: ${this.results.summary.stoppedByBudget ?? 0}`,
+      ...(this.results.summary.unparsedTimestamps || []).map(value => `  Unparsed: "${value}"`),
+      ...this.pagePerformanceSummaryLines(this.results.summary.pagePerformance),
       '',
-      'DETAILED RESULTS',
-      '-'.repeat(40)
+      'DETAILED RESULTS'
     ];
 
-    this.results.testRuns.forEach(run => {
-      report.push(`\n${run.browser.toUpperCase()} BROWSER:`);
-      report.push(`  Status: ${run.success ? '✅ PASSED' : '❌ FAILED'}`);
-      report.push(`  Articles Collected: ${run.articlesCollected || 0}`);
-      report.push(`  Sorting Errors: ${run.sortingErrors?.length || 0}`);
+    const feedNames = [...new Set(this.results.testRuns.map(run => run.feed))];
+
+    feedNames.forEach(feedName => {
+      const runs = this.results.testRuns.filter(run => run.feed === feedName);
+      report.push('', `FEED: ${feedName} (${(runs[0].rules || []).join(', ')})`, '-'.repeat(40));
+
+      runs.forEach(run => {
+        report.push(`\n${run.browser.toUpperCase()} BROWSER:`);
+        report.push(`  Status: ${run.success ? '✅ PASSED' : '❌ FAILED'}`);
+        report.push(`  Articles Collected: ${run.articlesCollected || 0}`);
+        report.push(`  Rule Errors: ${run.ruleErrors || 0}`);
+        report.push(`  Rule Warnings: ${run.ruleWarnings || 0}`);
+        report.push(`  Strict Violations: ${run.sortingErrors?.length || 0}`);
+        report.push(`  Ambiguous Ties: ${run.ambiguousTies?.length || 0}`);
+        report.push(`  Pagination Drift Findings: ${run.paginationFindings?.length || 0}`);
+        report.push(`  Timestamp Parse Failures: ${run.timestampParseFailures?.count || 0}`);
+
+        if (run.performanceMetrics) {
+          report.push(`  Total Time: ${run.performanceMetrics.totalTime}ms`);
+          report.push(`  Average Page Load: ${run.performanceMetrics.averagePageLoadTime?.toFixed(2)}ms`);
+          report.push(`  Network Requests: ${run.performanceMetrics.networkRequests}`);
+          (run.performanceMetrics.pages || []).forEach(page => {
+            report.push(`  Page ${page.page}: ${this.pagePerformanceLine(page)}`);
+          });
+        }
+
+        if (run.session) {
+          report.push(`  Session (${run.session.mode}): ${run.session.path}`);
+        }
+
+        if (run.stoppedBy) {
+          report.push(`  Stopped By Budget: ${STOP_REASONS[run.stoppedBy] || run.stoppedBy} after ${run.navigations} navigation(s)`);
+        }
+
+        if (run.error) {
+          report.push(`  Error: ${run.error}`);
+        }
 
-      if (run.performanceMetrics) {
-        report.push(`  Total Time: ${run.performanceMetrics.totalTime}ms`);
-        report.push(`  Average Page Load: ${run.performanceMetrics.averagePageLoadTime?.toFixed(2)}ms`);
-        report.push(`  Network Requests: ${run.performanceMetrics.networkRequests}`);
+        if (run.sortingErrors && run.sortingErrors.length > 0) {
+          report.push(`  First Sorting Error:`);
+          const error = run.sortingErrors[0];
+          report.push(`    Position: ${error.position}`);
+          report.push(`    Reason: ${error.reason === 'item_id' ? 'same timestamp, item IDs ascending' : 'timestamp newer than previous'}`);
+          report.push(`    Current: ${error.current.title}`);
+          report.push(`    Next: ${error.next.title}`);
+        }
+
+        if (run.ruleResults && run.ruleResults.length > 0) {
+          report.push(`  Rules:`);
+          run.ruleResults.forEach(result => {
+            const icon = !result.passed ? '❌' : result.findings.length > 0 ? '⚠️ ' : '✅';
+            report.push(`    ${icon} ${result.rule} (${result.severity}): ${result.findings.length} finding(s)`);
+            result.findings.forEach(finding => {
+              report.push(`      [${finding.severity}]${finding.position ? ` position ${finding.position}:` : ''} ${finding.message}`);
+            });
+          });
+        }
+
+        if (run.ambiguousTies && run.ambiguousTies.length > 0) {
+          report.push(`  Ambiguous Ties (same timestamp, no usable item IDs):`);
+          run.ambiguousTies.forEach(tie => {
+            report.push(`    Position ${tie.position}: ${tie.current.title} / ${tie.next.title}`);
+          });
+        }
+
+        if (run.paginationFindings && run.paginationFindings.length > 0) {
+          report.push(`  Pagination Drift (not counted as sorting errors):`);
+          run.paginationFindings.forEach(finding => {
+            report.push(`    [${finding.type}] pages ${finding.pages.join(' → ')}: ${finding.message}`);
+          });
+        }
+      });
+
+      const crossBrowser = this.results.crossBrowser?.[feedName];
+      if (crossBrowser?.checked) {
+        report.push('', `CROSS-BROWSER CONSISTENCY (${feedName})`);
+        report.push(`Reference Browser: ${crossBrowser.reference}`);
+        crossBrowser.comparisons.forEach(comparison => {
+          if (comparison.consistent) {
+            report.push(`  ${comparison.browser}: ✅ identical (${comparison.articlesCompared} articles compared)`);
+            return;
+          }
+          report.push(`  ${comparison.browser}: ❌ ${comparison.missing.length} missing, ${comparison.extra.length} extra, ${comparison.orderMismatches} out of order`);
+          if (comparison.firstMismatch) {
+            report.push(`    First Mismatch at Position ${comparison.firstMismatch.position}:`);
+            report.push(`      Expected: ${comparison.firstMismatch.expected}`);
+            report.push(`      Actual: ${comparison.firstMismatch.actual}`);
+          }
+        });
       }
 
-      if (run.error) {
-        report.push(`  Error: ${run.error}`);
+      const apiCheck = this.results.apiCheck?.[feedName];
+      if (apiCheck?.checked) {
+        report.push('', `API CROSS-CHECK (${feedName}, ${apiCheck.list}, time tolerance ${apiCheck.toleranceSec}s)`);
+        apiCheck.comparisons.forEach(comparison => {
+          const outside = comparison.outsideOverlap > 0 ? `, ${comparison.outsideOverlap} outside the overlap` : '';
+          if (comparison.consistent) {
+            report.push(`  ${comparison.browser}: ✅ agrees (${comparison.articlesCompared} items compared${outside})`);
+            return;
+          }
+          report.push(`  ${comparison.browser}: ❌ ${comparison.missingFromApi.length} missing from the API, ${comparison.missingFromScrape.length} missing from the page, ` +
+            `${comparison.timestampMismatches.length} time mismatches, ${comparison.orderDisagreements.length} order disagreements${outside}`);
+          comparison.missingFromApi.slice(0, 5).forEach(article => {
+            report.push(`    Not in ${apiCheck.list}: #${article.position} ${article.title} (${article.id})`);
+          });
+          comparison.missingFromScrape.slice(0, 5).forEach(item => {
+            const state = item.dead ? ' [dead]' : item.deleted ? ' [deleted]' : '';
+            report.push(`    Not on the page: API #${item.apiPosition} ${item.title ?? '(no title)'} (${item.id})${state}`);
+          });
+          comparison.timestampMismatches.slice(0, 5).forEach(mismatch => {
+            report.push(`    #${mismatch.position} ${mismatch.title}: page ${mismatch.rendered}, API ${mismatch.api} (${mismatch.differenceSec > 0 ? '+' : ''}${mismatch.differenceSec}s)`);
+          });
+          comparison.orderDisagreements.slice(0, 5).forEach(disagreement => {
+            report.push(`    #${disagreement.position} ${disagreement.title} before ${disagreement.next.title}, API has them at #${disagreement.apiPositions[0]} and #${disagreement.apiPositions[1]}`);
+          });
+        });
+      } else if (apiCheck) {
+        report.push('', `API CROSS-CHECK (${feedName}): not run, ${apiCheck.reason}`);
       }
 
-      if (run.sortingErrors && run.sortingErrors.length > 0) {
-        report.push(`  First Sorting Error:`);
-        const error = run.sortingErrors[0];
-        report.push(`    Position: ${error.position}`);
-        report.push(`    Current: ${error.current.title}`);
-        report.push(`    Next: ${error.next.title}`);
+      const engineCheck = this.results.engineCheck?.[feedName];
+      if (engineCheck?.checked) {
+        report.push('', `ENGINE CROSS-CHECK (${feedName}, browser vs http)`);
+        engineCheck.comparisons.forEach(comparison => {
+          const outside = comparison.outsideOverlap > 0 ? `, ${comparison.outsideOverlap} outside the overlap` : '';
+          if (comparison.consistent) {
+            report.push(`  ${comparison.browser}: ✅ identical (${comparison.articlesCompared} articles compared${outside})`);
+            return;
+          }
+          report.push(`  ${comparison.browser}: ❌ ${comparison.missingFromHttp.length} missing from http, ${comparison.missingFromBrowser.length} missing from ${comparison.browser}, ${comparison.fieldMismatches.length} field mismatches${outside}`);
+          comparison.missingFromHttp.slice(0, 5).forEach(article => {
+            report.push(`    Only in ${comparison.browser}: #${article.position} ${article.title}`);
+          });
+          comparison.missingFromBrowser.slice(0, 5).forEach(article => {
+            report.push(`    Only in http: #${article.position} ${article.title}`);
+          });
+          comparison.fieldMismatches.slice(0, 5).forEach(mismatch => {
+            report.push(`    #${mismatch.position} ${mismatch.field}: ${comparison.browser} ${JSON.stringify(mismatch.browserValue)}, http ${JSON.stringify(mismatch.httpValue)}`);
+          });
+        });
       }
     });
 
@@ -636,105 +1858,31 @@ class HackerNewsScraper {
 
 
 
+  // Screenshots saved for each run's pages, as paths relative to the report
+  async findScreenshots() {
+    const screenshots = {};
+
+    for (const run of this.results.testRuns) {
+      const pages = [...new Set((run.articles || []).map(article => article.page))];
+      for (const page of pages) {
+        const relativePath = path.posix.join('screenshots', run.feed || 'newest', run.browser, `page-${page}.png`);
+        try {
+          await fs.access(path.join(this.options.outputDir, relativePath));
+        } catch (error) {
+          continue;
+        }
+        screenshots[run.feed] = screenshots[run.feed] || {};
+        screenshots[run.feed][run.browser] = screenshots[run.feed][run.browser] || {};
+        screenshots[run.feed][run.browser][page] = relativePath;
+      }
+    }
+
+    return screenshots;
+  }
+
+
   async generateHTMLReport() {
-    const html = `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Hacker News Validation Report</title>
-    <style>
-        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 20px; background: #f5f5f5; }
-        .container { max-width: 1200px; margin: 0 auto; background: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
-        h1 { color: #ff6600; text-align: center; margin-bottom: 30px; }
-        .summary { background: #f8f9fa; padding: 20px; border-radius: 8px; margin-bottom: 30px; }
-        .metric { display: inline-block; margin: 10px 20px; text-align: center; }
-        .metric-value { font-size: 2em; font-weight: bold; color: #333; }
-        .metric-label { font-size: 0.9em; color: #666; }
-        .success { color: #28a745; }
-        .failure { color: #dc3545; }
-        .browser-result { border: 1px solid #ddd; margin: 20px 0; padding: 20px; border-radius: 8px; }
-        .browser-result.success { border-left: 5px solid #28a745; }
-        .browser-result.failure { border-left: 5px solid #dc3545; }
-        .performance-chart { margin: 20px 0; }
-        table { width: 100%; border-collapse: collapse; margin: 20px 0; }
-        th, td { text-align: left; padding: 12px; border-bottom: 1px solid #ddd; }
-        th { background: #f8f9fa; font-weight: 600; }
-        .timestamp { font-size: 0.9em; color: #666; }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <h1>🔍 Hacker News Sorting Validation Report</h1>
-        
-        <div class="summary">
-            <div class="metric">
-                <div class="metric-value ${this.results.summary.successRate === 100 ? 'success' : 'failure'}">
-                    ${this.results.summary.successRate.toFixed(1)}%
-                </div>
-                <div class="metric-label">Success Rate</div>
-            </div>
-            <div class="metric">
-                <div class="metric-value">${this.results.summary.totalRuns}</div>
-                <div class="metric-label">Total Tests</div>
-            </div>
-            <div class="metric">
-                <div class="metric-value">${this.results.summary.averageArticlesCollected.toFixed(0)}</div>
-                <div class="metric-label">Avg Articles</div>
-            </div>
-            <div class="metric">
-                <div class="metric-value ${this.results.summary.totalSortingErrors === 0 ? 'success' : 'failure'}">
-                    ${this.results.summary.totalSortingErrors}
-                </div>
-                <div class="metric-label">Sorting Errors</div>
-            </div>
-        </div>
-        
-        <h2>Test Results by Browser</h2>
-        ${this.results.testRuns.map(run => `
-            <div class="browser-result ${run.success ? 'success' : 'failure'}">
-                <h3>${run.browser.toUpperCase()} Browser</h3>
-                <p><strong>Status:</strong> <span class="${run.success ? 'success' : 'failure'}">${run.success ? '✅ PASSED' : '❌ FAILED'}</span></p>
-                <p><strong>Articles Collected:</strong> ${run.articlesCollected || 0}</p>
-                <p><strong>Sorting Errors:</strong> ${run.sortingErrors?.length || 0}</p>
-                
-                ${run.performanceMetrics ? `
-                    <h4>Performance Metrics</h4>
-                    <ul>
-                        <li>Total Execution Time: ${run.performanceMetrics.totalTime}ms</li>
-                        <li>Average Page Load Time: ${run.performanceMetrics.averagePageLoadTime?.toFixed(2)}ms</li>
-                        <li>Network Requests: ${run.performanceMetrics.networkRequests}</li>
-                        <li>Processing Errors: ${run.performanceMetrics.errors.length}</li>
-                    </ul>
-                ` : ''}
-                
-                ${run.sortingErrors && run.sortingErrors.length > 0 ? `
-                    <h4>Sorting Errors</h4>
-                    <table>
-                        <thead>
-                            <tr><th>Position</th><th>Current Article</th><th>Next Article</th></tr>
-                        </thead>
-                        <tbody>
-                            ${run.sortingErrors.slice(0, 5).map(error => `
-                                <tr>
-                                    <td>${error.position}</td>
-                                    <td>${error.current.title}</td>
-                                    <td>${error.next.title}</td>
-                                </tr>
-                            `).join('')}
-                        </tbody>
-                    </table>
-                ` : ''}
-            </div>
-        `).join('')}
-        
-        <div class="timestamp">
-            Report generated on ${new Date().toLocaleString()}
-        </div>
-    </div>
-</body>
-</html>`;
+    const html = formatHTMLReport(this.results, await this.findScreenshots());
 
     const reportPath = path.join(this.options.outputDir, 'validation-report.html');
     await fs.writeFile(reportPath, html);
@@ -742,6 +1890,133 @@ class HackerNewsScraper {
   }
 
 
+  async generateReports() {
+    for (const reporter of this.options.reporters) {
+      if (!REPORTERS[reporter]) {
+        this.log('WARN', `Unknown reporter "${reporter}" skipped`, { available: Object.keys(REPORTERS) });
+        continue;
+      }
+      await this[REPORTERS[reporter]]();
+    }
+  }
+
+
+  async generateJUnitReport() {
+    const reportPath = path.join(this.options.outputDir, 'validation-report.junit.xml');
+    await fs.writeFile(reportPath, formatJUnit(this.results));
+    this.log('INFO', 'JUnit XML report generated', { path: reportPath });
+  }
+
+
+  async generateTAPReport() {
+    const reportPath = path.join(this.options.outputDir, 'validation-report.tap');
+    await fs.writeFile(reportPath, formatTAP(this.results));
+    this.log('INFO', 'TAP report generated', { path: reportPath });
+  }
+
+
+  getHistoryPath() {
+    return this.options.historyFile || path.join(this.options.outputDir, 'history.jsonl');
+  }
+
+
+  async recordHistory() {
+    const historyPath = this.getHistoryPath();
+    try {
+      await appendRun(historyPath, this.results);
+      this.log('INFO', 'Run appended to history', { path: historyPath, runId: this.results.runId });
+    } catch (error) {
+      // Losing one history line shouldn't fail a run whose reports were written fine
+      this.log('WARN', 'Could not append run to history', { path: historyPath, error: error.message });
+    }
+  }
+
+
+  // Filters: browser, feed, since, until (anything Date.parse accepts)
+  async generateTrendReport(filters = {}) {
+    const historyPath = this.getHistoryPath();
+    const { entries, skipped } = await readHistory(historyPath);
+    if (skipped > 0) {
+      this.log('WARN', `Skipped ${skipped} unreadable history line(s)`, { path: historyPath });
+    }
+
+    const trend = buildTrend(entries, filters);
+
+    await fs.mkdir(this.options.outputDir, { recursive: true });
+    const textPath = path.join(this.options.outputDir, 'trend-report.txt');
+    const htmlPath = path.join(this.options.outputDir, 'trend-report.html');
+    await fs.writeFile(textPath, formatTrendText(trend));
+    await fs.writeFile(htmlPath, formatTrendHTML(trend));
+    this.log('INFO', 'Trend report generated', { runs: trend.points.length, text: textPath, html: htmlPath });
+
+    return trend;
+  }
+
+
+  // Compares two saved validation-report.json payloads; base is the earlier (last good) run
+  async generateDiffReport(base, head) {
+    const diff = diffReports(base, head);
+    const text = formatDiffText(diff);
+
+    await fs.mkdir(this.options.outputDir, { recursive: true });
+    const textPath = path.join(this.options.outputDir, 'validation-diff.txt');
+    const htmlPath = path.join(this.options.outputDir, 'validation-diff.html');
+    await fs.writeFile(textPath, text);
+    await fs.writeFile(htmlPath, formatDiffHTML(diff));
+    this.log('INFO', 'Diff report generated', { text: textPath, html: htmlPath });
+
+    return { diff, text };
+  }
+
+
+  async writeMetricsFile() {
+    try {
+      await writeTextfile(this.metrics, this.options.metricsFile);
+      this.log('INFO', 'Metrics file written', { path: this.options.metricsFile });
+    } catch (error) {
+      this.log('WARN', 'Could not write metrics file', { path: this.options.metricsFile, error: error.message });
+    }
+  }
+
+
+  // Sends the run summary to every webhook that wants it. Delivery problems are logged, never thrown:
+  // a broken chat integration must not fail the validation run.
+  async sendNotifications() {
+    const notification = buildRunNotification(this.results, {
+      links: reportLinks(this.options.reporters, this.options.outputDir, this.options.reportUrl)
+    });
+    const webhooks = this.webhooks.filter(webhook => webhook.on === 'always' || notification.status === 'fail');
+    return Promise.all(webhooks.map(webhook => this.deliver(webhook, notification)));
+  }
+
+
+  // Watch mode (lib/watch.js) sends its alerts to every webhook instead of a message per run
+  async sendAlert(alert) {
+    const notification = buildAlertNotification(alert, {
+      links: reportLinks(this.options.reporters, this.options.outputDir, this.options.reportUrl)
+    });
+    return Promise.all(this.webhooks.map(webhook => this.deliver(webhook, notification)));
+  }
+
+
+  async deliver(webhook, notification) {
+    const target = describeWebhook(webhook);
+    try {
+      const { status, attempts } = await sendWebhook(webhook, formatPayload(webhook.format, notification), {
+        onRetry: retry => this.log('WARN', `Notification to ${target} failed (${retry.reason}), retry ${retry.attempt}/${retry.retries} in ${retry.delayMs}ms`, {
+          status: retry.status,
+          error: retry.message
+        })
+      });
+      this.log('INFO', `Notification sent to ${target}`, { status, attempts });
+      return { webhook: target, sent: true, status, attempts };
+    } catch (error) {
+      this.log('WARN', `Notification to ${target} failed`, { error: error.message });
+      return { webhook: target, sent: false, error: error.message };
+    }
+  }
+
+
   async generateJSONReport() {
     const reportPath = path.join(this.options.outputDir, 'validation-report.json');
     await fs.writeFile(reportPath, JSON.stringify(this.results, null, 2));
@@ -751,39 +2026,14 @@ class HackerNewsScraper {
 
 
 async function main() {
-  const scraper = new HackerNewsScraper({
-    targetArticles: 100,
-    browsers: ['chromium'], // Add 'firefox', 'webkit' for multi-browser testing
-    enableScreenshots: true,
-    enablePerformanceMonitoring: true,
-    outputDir: './reports'
-  });
-
-  try {
-    const results = await scraper.runAllTests();
-
-    // Console summary
-    console.log('\n' + '='.repeat(80));
-    console.log('FINAL RESULTS SUMMARY');
-    console.log('='.repeat(80));
-    console.log(`✅ Success Rate: ${results.summary.successRate.toFixed(1)}%`);
-    console.log(`📊 Total Tests: ${results.summary.totalRuns}`);
-    console.log(`🎯 Average Articles: ${results.summary.averageArticlesCollected.toFixed(0)}`);
-    console.log(`❌ Total Sorting Errors: ${results.summary.totalSortingErrors}`);
-    console.log(`📁 Reports saved to: ./reports/`);
-
-    // Exit with appropriate code
-    process.exit(results.summary.totalSortingErrors === 0 ? 0 : 1);
-
-  } catch (error) {
-    console.error('❌ CRITICAL ERROR:', error.message);
-    process.exit(1);
-  }
+  // Loaded lazily: the CLI module itself requires HackerNewsScraper from this file
+  const { runCli } = require('./lib/cli');
+  process.exit(await runCli(process.argv.slice(2)));
 }
 
+module.exports = { HackerNewsScraper };
+
 // Run if this file is executed directly
 if (require.main === module) {
   main();
 }
-
-module.exports = { HackerNewsScraper };
@@ -0,0 +1,165 @@
+const { escapeHtml } = require('./html');
+
+// escapeHtml's entity set (&amp; &lt; &gt; &quot; &#39;) is valid XML as well
+const escapeXml = escapeHtml;
+
+
+function suiteName(run) {
+  return `${run.feed || 'newest'} / ${run.browser}`;
+}
+
+
+function describeSortingError(error) {
+  const problem = error.reason === 'item_id'
+    ? 'shares its timestamp with, but has a lower item ID than,'
+    : 'is older than';
+  return `Position ${error.position}: "${error.current.title}" (${error.current.timestamp}) ${problem} the next article "${error.next.title}" (${error.next.timestamp})`;
+}
+
+
+// One test case per validation rule, except that the ordering rule is split into one
+// failing case per sorting error so CI dashboards show each misplaced pair on its own.
+function buildTestCases(run) {
+  if (run.error) {
+    return [{
+      name: 'scrape',
+      passed: false,
+      error: true,
+      message: run.error,
+      details: { error: run.error }
+    }];
+  }
+
+  const cases = [];
+  // Reports written before the rule engine only carry sortingErrors
+  const ruleResults = run.ruleResults || [{
+    rule: 'monotonicTimestamps',
+    severity: 'error',
+    passed: (run.sortingErrors || []).length === 0,
+    findings: []
+  }];
+
+  ruleResults.forEach(result => {
+    const errors = result.findings.filter(finding => finding.severity === 'error');
+    const notes = result.findings.filter(finding => finding.severity !== 'error');
+
+    if (result.rule === 'monotonicTimestamps' && (run.sortingErrors || []).length > 0) {
+      run.sortingErrors.forEach(error => {
+        cases.push({
+          name: `monotonicTimestamps: sorting error at position ${error.position}`,
+          passed: false,
+          message: describeSortingError(error),
+          details: {
+            position: error.position,
+            reason: error.reason,
+            current: { title: error.current.title, timestamp: error.current.timestamp, id: error.current.id ?? null },
+            next: { title: error.next.title, timestamp: error.next.timestamp, id: error.next.id ?? null }
+          }
+        });
+      });
+      return;
+    }
+
+    cases.push({
+      name: result.rule,
+      passed: result.passed,
+      message: errors.map(finding => finding.message).join('\n'),
+      details: { severity: result.severity, findings: errors.length },
+      notes: notes.map(finding => `[${finding.severity}] ${finding.message}`)
+    });
+  });
+
+  return cases;
+}
+
+
+function formatJUnit(results) {
+  const suites = results.testRuns.map(run => {
+    const cases = buildTestCases(run);
+    const failures = cases.filter(c => !c.passed && !c.error).length;
+    const errors = cases.filter(c => c.error).length;
+    const seconds = ((run.performanceMetrics?.totalTime || 0) / 1000).toFixed(3);
+    const classname = `hn-scraper.${run.feed || 'newest'}.${run.browser}`;
+
+    const testcases = cases.map(c => {
+      const body = [];
+      if (c.error) {
+        body.push(`      <error message="${escapeXml(c.message)}" type="ScrapeError">${escapeXml(c.message)}</error>`);
+      } else if (!c.passed) {
+        body.push(`      <failure message="${escapeXml(c.message.split('\n')[0])}" type="ValidationFailure">${escapeXml(c.message)}</failure>`);
+      }
+      if (c.notes && c.notes.length > 0) {
+        body.push(`      <system-out>${escapeXml(c.notes.join('\n'))}</system-out>`);
+      }
+      return body.length === 0
+        ? `    <testcase classname="${escapeXml(classname)}" name="${escapeXml(c.name)}" time="0"/>`
+        : `    <testcase classname="${escapeXml(classname)}" name="${escapeXml(c.name)}" time="0">\n${body.join('\n')}\n    </testcase>`;
+    });
+
+    return [
+      `  <testsuite name="${escapeXml(suiteName(run))}" tests="${cases.length}" failures="${failures}" errors="${errors}" skipped="0" time="${seconds}" timestamp="${escapeXml(run.timestamp || '')}">`,
+      '    <properties>',
+      `      <property name="browser" value="${escapeXml(run.browser)}"/>`,
+      `      <property name="feed" value="${escapeXml(run.feed || 'newest')}"/>`,
+      `      <property name="articlesCollected" value="${run.articlesCollected || 0}"/>`,
+      '    </properties>',
+      ...testcases,
+      '  </testsuite>'
+    ].join('\n');
+  });
+
+  const allCases = results.testRuns.flatMap(buildTestCases);
+  const totalSeconds = results.testRuns.reduce((sum, run) => sum + (run.performanceMetrics?.totalTime || 0), 0) / 1000;
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="Hacker News sorting validation" tests="${allCases.length}" failures="${allCases.filter(c => !c.passed && !c.error).length}" errors="${allCases.filter(c => c.error).length}" time="${totalSeconds.toFixed(3)}">`,
+    ...suites,
+    '</testsuites>',
+    ''
+  ].join('\n');
+}
+
+
+// JSON strings are valid YAML scalars, which keeps the diagnostic blocks parseable
+function yamlBlock(details, indent) {
+  const pad = ' '.repeat(indent);
+  const lines = [`${pad}---`];
+  Object.entries(details).forEach(([key, value]) => {
+    if (value && typeof value === 'object') {
+      lines.push(`${pad}${key}:`);
+      Object.entries(value).forEach(([innerKey, innerValue]) => {
+        lines.push(`${pad}  ${innerKey}: ${JSON.stringify(innerValue)}`);
+      });
+    } else {
+      lines.push(`${pad}${key}: ${JSON.stringify(value)}`);
+    }
+  });
+  lines.push(`${pad}...`);
+  return lines;
+}
+
+
+function formatTAP(results) {
+  const lines = ['TAP version 14', `1..${results.testRuns.length}`];
+
+  results.testRuns.forEach((run, runIndex) => {
+    const cases = buildTestCases(run);
+    const suitePassed = cases.every(c => c.passed);
+
+    lines.push(`# Subtest: ${suiteName(run)}`);
+    lines.push(`    1..${cases.length}`);
+    cases.forEach((c, caseIndex) => {
+      lines.push(`    ${c.passed ? 'ok' : 'not ok'} ${caseIndex + 1} - ${c.name}`);
+      if (!c.passed) {
+        lines.push(...yamlBlock({ message: c.message, ...c.details }, 6));
+      }
+      (c.notes || []).forEach(note => lines.push(`    # ${note}`));
+    });
+    lines.push(`${suitePassed ? 'ok' : 'not ok'} ${runIndex + 1} - ${suiteName(run)}`);
+  });
+
+  return lines.join('\n') + '\n';
+}
+
+module.exports = { buildTestCases, formatJUnit, formatTAP };
@@ -0,0 +1,584 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { HackerNewsScraper } = require('../index');
+const { hasRegressions } = require('./report-diff');
+const { ConfigError, loadOptions } = require('./config');
+const { resolveFeed } = require('./feeds');
+const { createSchedule } = require('./schedule');
+const { Watcher } = require('./watch');
+const { MetricsRegistry, startMetricsServer } = require('./metrics');
+
+const EXIT_CODES = {
+  SUCCESS: 0,           // Every run passed / no sorting errors
+  VALIDATION_FAILED: 1, // A run failed or sorting errors were found (diff: new ones appeared)
+  USAGE_ERROR: 2,       // Unknown command, unknown flag or bad flag value
+  RUNTIME_ERROR: 3      // Unreadable input, unwritable output or a crash
+};
+
+// One entry per HackerNewsScraper option; drives both parsing and --help. `global` entries
+// configure the CLI itself and land on the parsed result rather than in options.
+const OPTIONS = [
+  { flag: 'config', key: 'configFile', type: 'string', global: true, description: 'Config file (default: ./hn-scraper.config.js or .json if present)' },
+  { flag: 'target-articles', key: 'targetArticles', type: 'integer', description: 'Articles to collect per browser (default: 100)' },
+  { flag: 'browsers', key: 'browsers', type: 'list', description: 'Comma-separated list of chromium, firefox, webkit (default: chromium)' },
+  { flag: 'engine', key: 'engine', type: 'string', choices: ['browser', 'http', 'both'], description: 'browser, http (no browser needed) or both, compared article by article (default: browser)' },
+  { flag: 'concurrency', key: 'concurrency', type: 'integer', description: 'Browsers to run at the same time (default: 3)' },
+  { flag: 'output-dir', key: 'outputDir', type: 'string', description: 'Directory for reports and screenshots (default: ./reports)' },
+  { flag: 'screenshots', key: 'enableScreenshots', type: 'boolean', description: 'Save a screenshot of every page (default: on)' },
+  { flag: 'performance-monitoring', key: 'enablePerformanceMonitoring', type: 'boolean', description: 'Collect performance metrics (default: on)' },
+  { flag: 'max-consecutive-errors', key: 'maxConsecutiveErrors', type: 'integer', description: 'Page errors in a row before giving up (default: 5)' },
+  { flag: 'page-timeout', key: 'pageTimeout', type: 'integer', description: 'Default page operation timeout in ms (default: 45000)' },
+  { flag: 'navigation-timeout', key: 'navigationTimeout', type: 'integer', description: 'Navigation timeout in ms (default: 60000)' },
+  { flag: 'max-pages', key: 'maxPages', type: 'integer', description: 'Pages to visit per run at most (default: 10)' },
+  { flag: 'min-navigation-interval', key: 'minNavigationIntervalMs', type: 'integer', description: 'Minimum ms between navigations to the site (default: 2000)' },
+  { flag: 'request-budget', key: 'requestBudget', type: 'integer', description: 'Navigations allowed per run, retries included (default: unlimited)' },
+  { flag: 'robots-txt', key: 'respectRobotsTxt', type: 'boolean', description: 'Honor the site\'s robots.txt rules and Crawl-delay (default: on)' },
+  { flag: 'max-retries', key: 'maxRetries', type: 'integer', description: 'Retries per navigation on rate limits, 5xx and timeouts (default: 4, reloads 2)' },
+  { flag: 'base-url', key: 'baseUrl', type: 'string', description: 'Site root (default: https://news.ycombinator.com)' },
+  { flag: 'start-path', key: 'startPath', type: 'string', description: 'Listing to start from (default: /newest)' },
+  { flag: 'feeds', key: 'feeds', type: 'list', description: 'Listings to check: newest, show, ask, jobs, front:YYYY-MM-DD, from:site (default: newest)' },
+  { flag: 'reporters', key: 'reporters', type: 'list', description: 'Reports to write: text, html, json, junit, tap (default: text,html,json)' },
+  { flag: 'rules-file', key: 'rulesFile', type: 'string', description: 'Module registering custom validation rules and rule settings' },
+  { flag: 'session-mode', key: 'sessionMode', type: 'string', choices: ['live', 'record', 'replay'], description: 'live, record or replay (default: live)' },
+  { flag: 'session-dir', key: 'sessionDir', type: 'string', description: 'Where recorded sessions are read/written (default: output dir)' },
+  { flag: 'history', key: 'history', type: 'boolean', description: 'Append every run to the history file (default: on)' },
+  { flag: 'history-file', key: 'historyFile', type: 'string', description: 'Run history location (default: <output-dir>/history.jsonl)' },
+  { flag: 'log-level', key: 'logLevel', type: 'string', choices: ['debug', 'info', 'warn', 'error'], description: 'Lowest level printed to the console (default: info)' },
+  { flag: 'quiet', key: 'logLevel', type: 'switch', value: 'warn', description: 'Only print warnings and errors (same as --log-level warn)' },
+  { flag: 'verbose', key: 'logLevel', type: 'switch', value: 'debug', description: 'Print debug messages too (same as --log-level debug)' },
+  { flag: 'log-file', key: 'logFile', type: 'boolean', description: 'Write every log entry to <output-dir>/run-<id>.log.jsonl (default: on)' },
+  { flag: 'webhooks', key: 'webhooks', type: 'list', description: 'Endpoints to send the run summary to; Slack and Teams URLs get their own format' },
+  { flag: 'report-url', key: 'reportUrl', type: 'string', description: 'Where the output dir is published, for report links in notifications' },
+  { flag: 'metrics-file', key: 'metricsFile', type: 'string', description: 'Write Prometheus metrics here after each run (node_exporter textfile collector)' },
+  { flag: 'metrics-port', key: 'metricsPort', type: 'integer', description: 'watch: serve Prometheus metrics at http://<host>:<port>/metrics' },
+  { flag: 'metrics-host', key: 'metricsHost', type: 'string', description: 'watch: address the metrics endpoint listens on (default: 0.0.0.0)' },
+  { flag: 'api-check', key: 'apiCheck', type: 'boolean', description: 'Compare the scraped items with the official HN API (default: off)' },
+  { flag: 'api-base-url', key: 'apiBaseUrl', type: 'string', description: 'HN API root (default: https://hacker-news.firebaseio.com/v0)' },
+  { flag: 'api-time-tolerance', key: 'apiTimeToleranceSec', type: 'integer', description: 'Seconds a rendered time may differ from the API\'s (default: 120)' }
+];
+
+const COMMANDS = {
+  run: {
+    usage: 'run [options]',
+    description: 'Scrape the listing with every configured browser and write all reports'
+  },
+  report: {
+    usage: 'report <validation-report.json> [options]',
+    description: 'Regenerate the configured reports from a saved validation-report.json'
+  },
+  validate: {
+    usage: 'validate <articles.json> [options]',
+    description: 'Run the feed\'s validation rules on a saved article list or report'
+  },
+  diff: {
+    usage: 'diff <base-report.json> <head-report.json> [options]',
+    description: 'Show what changed between two saved validation reports'
+  },
+  trend: {
+    usage: 'trend [--browser name] [--feed name] [--since date] [--until date] [options]',
+    description: 'Chart success rate, sorting errors, load time and articles across past runs',
+    // Filters rather than scraper options, so they are kept apart in parsed.commandOptions
+    options: [
+      { flag: 'browser', key: 'browser', type: 'string', choices: ['chromium', 'firefox', 'webkit', 'http'], description: 'Only include this browser\'s runs (http for the browserless engine)' },
+      { flag: 'feed', key: 'feed', type: 'string', description: 'Only include runs of this feed' },
+      { flag: 'since', key: 'since', type: 'date', description: 'Only include runs started at or after this date/time' },
+      { flag: 'until', key: 'until', type: 'date', description: 'Only include runs started at or before this date/time' }
+    ]
+  },
+  watch: {
+    usage: 'watch [--interval 30m | --cron "expr"] [--alert-after n] [options]',
+    description: 'Run the validation on a schedule and alert when the result changes',
+    options: [
+      { flag: 'interval', key: 'interval', type: 'string', description: 'Time between run starts, e.g. 90s, 15m, 1h (default: 30m)' },
+      { flag: 'cron', key: 'cron', type: 'string', description: 'Run at times matching a 5-field cron expression (local time) instead' },
+      { flag: 'alert-after', key: 'alertAfter', type: 'integer', description: 'Also alert when this many runs in a row have failed (default: 3)' },
+      { flag: 'state-file', key: 'stateFile', type: 'string', description: 'Where the watch state is kept between runs (default: <output-dir>/watch-state.json)' },
+      { flag: 'max-runs', key: 'maxRuns', type: 'integer', description: 'Stop after this many runs (default: run until stopped)' }
+    ]
+  }
+};
+
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+
+function parseValue(option, raw) {
+  switch (option.type) {
+    case 'integer': {
+      const value = Number(raw);
+      if (!Number.isInteger(value)) {
+        throw new UsageError(`--${option.flag} expects an integer, got "${raw}"`);
+      }
+      return value;
+    }
+    case 'list':
+      return raw.split(',').map(item => item.trim()).filter(Boolean);
+    case 'date':
+      if (Number.isNaN(Date.parse(raw))) {
+        throw new UsageError(`--${option.flag} expects a date such as 2024-01-15 or 2024-01-15T12:00:00Z, got "${raw}"`);
+      }
+      return raw;
+    default:
+      if (option.choices && !option.choices.includes(raw)) {
+        throw new UsageError(`--${option.flag} must be one of ${option.choices.join(', ')}, got "${raw}"`);
+      }
+      return raw;
+  }
+}
+
+
+function parseArgs(argv) {
+  const args = [...argv];
+  const parsed = { command: 'run', options: {}, commandOptions: {}, positionals: [], help: false, configFile: null };
+
+  // `node index.js --browsers firefox` keeps working as shorthand for `run`
+  if (args.length > 0 && !args[0].startsWith('-')) {
+    parsed.command = args.shift();
+  }
+
+  if (!COMMANDS[parsed.command] && parsed.command !== 'help') {
+    throw new UsageError(`Unknown command: ${parsed.command}`);
+  }
+
+  const commandOptions = COMMANDS[parsed.command]?.options || [];
+
+  while (args.length > 0) {
+    const arg = args.shift();
+
+    if (arg === '-h' || arg === '--help') {
+      parsed.help = true;
+      continue;
+    }
+
+    if (!arg.startsWith('--')) {
+      parsed.positionals.push(arg);
+      continue;
+    }
+
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    const negated = name.startsWith('no-');
+    const commandOption = commandOptions.find(o => o.flag === name);
+    const option = commandOption || OPTIONS.find(o => o.flag === name) ||
+      (negated && OPTIONS.find(o => o.flag === name.slice(3) && o.type === 'boolean'));
+
+    if (!option) {
+      throw new UsageError(`Unknown option: --${name}`);
+    }
+    const target = commandOption ? parsed.commandOptions : option.global ? parsed : parsed.options;
+
+    if (option.type === 'switch') {
+      if (inlineValue !== undefined) {
+        throw new UsageError(`--${option.flag} does not take a value`);
+      }
+      target[option.key] = option.value;
+      continue;
+    }
+
+    if (option.type === 'boolean') {
+      if (inlineValue !== undefined && !['true', 'false'].includes(inlineValue)) {
+        throw new UsageError(`--${option.flag} expects true or false, got "${inlineValue}"`);
+      }
+      target[option.key] = negated ? false : inlineValue !== 'false';
+      continue;
+    }
+
+    const raw = inlineValue !== undefined ? inlineValue : args.shift();
+    if (raw === undefined || raw.startsWith('--')) {
+      throw new UsageError(`--${option.flag} requires a value`);
+    }
+    target[option.key] = parseValue(option, raw);
+  }
+
+  return parsed;
+}
+
+
+function formatHelp(command) {
+  const lines = [];
+
+  if (command && COMMANDS[command]) {
+    lines.push(`Usage: hn-scraper ${COMMANDS[command].usage}`, '', COMMANDS[command].description);
+  } else {
+    lines.push('Usage: hn-scraper <command> [options]', '', 'Commands:');
+    Object.entries(COMMANDS).forEach(([name, { description }]) => {
+      lines.push(`  ${name.padEnd(10)} ${description}`);
+    });
+  }
+
+  const describeOption = option => {
+    const flag = option.type === 'boolean'
+      ? `--[no-]${option.flag}`
+      : option.type === 'switch'
+        ? `--${option.flag}`
+        : `--${option.flag} <${option.type === 'list' ? 'a,b' : option.type === 'integer' ? 'n' : 'value'}>`;
+    lines.push(`  ${flag.padEnd(32)} ${option.description}`);
+  };
+
+  if (command && COMMANDS[command]?.options) {
+    lines.push('', `${command} options:`);
+    COMMANDS[command].options.forEach(describeOption);
+  }
+
+  lines.push('', 'Options:');
+  OPTIONS.forEach(describeOption);
+  lines.push(`  ${'-h, --help'.padEnd(32)} Show this help`);
+
+  lines.push('', 'Exit codes:');
+  lines.push(`  ${EXIT_CODES.SUCCESS}  all runs passed`);
+  lines.push(`  ${EXIT_CODES.VALIDATION_FAILED}  a run failed or sorting errors were found (diff: new ones since base)`);
+  lines.push(`  ${EXIT_CODES.USAGE_ERROR}  invalid command line`);
+  lines.push(`  ${EXIT_CODES.RUNTIME_ERROR}  unexpected error (unreadable input, crash)`);
+
+  return lines.join('\n');
+}
+
+
+function printSummary(results, outputDir) {
+  console.log('\n' + '='.repeat(80));
+  console.log('FINAL RESULTS SUMMARY');
+  console.log('='.repeat(80));
+  console.log(`✅ Success Rate: ${results.summary.successRate.toFixed(1)}%`);
+  console.log(`📊 Total Tests: ${results.summary.totalRuns}`);
+  console.log(`🎯 Average Articles: ${results.summary.averageArticlesCollected.toFixed(0)}`);
+  console.log(`❌ Total Sorting Errors: ${results.summary.totalSortingErrors}`);
+  console.log(`📁 Reports saved to: ${outputDir}`);
+}
+
+
+async function readJSON(filePath) {
+  const raw = await fs.readFile(filePath, 'utf8');
+  return JSON.parse(raw);
+}
+
+
+function requireInput(positionals, command) {
+  if (positionals.length !== 1) {
+    throw new UsageError(`${command} expects exactly one input file`);
+  }
+  return positionals[0];
+}
+
+
+async function runCommand(options) {
+  const scraper = new HackerNewsScraper(options);
+  const results = await scraper.runAllTests();
+
+  printSummary(results, scraper.options.outputDir);
+
+  return results.summary.failed === 0 && results.summary.totalSortingErrors === 0
+    ? EXIT_CODES.SUCCESS
+    : EXIT_CODES.VALIDATION_FAILED;
+}
+
+
+async function reportCommand(positionals, options) {
+  const inputPath = requireInput(positionals, 'report');
+  const scraper = new HackerNewsScraper({
+    outputDir: path.dirname(inputPath),
+    ...options
+  });
+
+  scraper.results = await readJSON(inputPath);
+  if (!Array.isArray(scraper.results.testRuns)) {
+    throw new Error(`${inputPath} is not a validation report (missing testRuns)`);
+  }
+  scraper.results.summary = scraper.results.summary || scraper.generateSummary();
+
+  await scraper.initializeReporting();
+  await scraper.generateReports();
+
+  printSummary(scraper.results, scraper.options.outputDir);
+
+  return scraper.results.summary.failed === 0 && scraper.results.summary.totalSortingErrors === 0
+    ? EXIT_CODES.SUCCESS
+    : EXIT_CODES.VALIDATION_FAILED;
+}
+
+
+// What to validate, each with the feed whose rules apply: every run of a full validation report,
+// or a bare article array / an object with `articles`, split by the feed the articles were scraped from
+function extractRuns(data, feeds) {
+  const findFeed = name => {
+    if (name === undefined) return feeds[0];
+    const feed = feeds.find(candidate => candidate.name === name);
+    if (feed) return feed;
+    try {
+      return resolveFeed(name);
+    } catch (error) {
+      throw new UsageError(`Articles come from feed "${name}", which is not configured; pass it with --feeds`);
+    }
+  };
+
+  if (Array.isArray(data?.testRuns)) {
+    return data.testRuns
+      .filter(run => Array.isArray(run.articles))
+      .map(run => ({
+        label: `${run.feed}, ${run.browser}`,
+        feed: findFeed(run.feed),
+        browser: run.browser,
+        articles: run.articles,
+        // Judged by the run's own target; reports from before targetArticles was saved fall back to what was collected
+        targetArticles: run.targetArticles ?? run.articlesCollected ?? null,
+        stoppedBy: run.stoppedBy ?? null
+      }));
+  }
+
+  const articles = Array.isArray(data) ? data : data?.articles;
+  if (!Array.isArray(articles)) {
+    throw new Error('Input does not contain an article list');
+  }
+  const feedNames = [...new Set(articles.map(article => article.feed))];
+  return feedNames.map(name => ({
+    label: name ?? feeds[0].name,
+    feed: findFeed(name),
+    articles: articles.filter(article => article.feed === name),
+    // A bare list has no target, so minArticles only applies when its rule config sets one
+    targetArticles: null,
+    stoppedBy: null
+  }));
+}
+
+
+// Runs the same rules a scrape of the feed is judged by (lib/rules.js), and explains ordering problems
+async function validateRun(scraper, { label, feed, browser, articles, targetArticles, stoppedBy }) {
+  const { violations, ambiguousTies, parseFailures } = scraper.analyzeOrdering(articles);
+  const ruleResults = await scraper.evaluateRules(feed, articles, { browser, targetArticles, stoppedBy });
+  const checksOrder = ruleResults.some(result => result.rule === 'monotonicTimestamps');
+
+  console.log(`\nValidated ${articles.length} articles (${label}) against ${scraper.getFeedRules(feed).join(', ')}`);
+
+  if (parseFailures.length > 0) {
+    console.log(`⚠️  ${parseFailures.length} timestamp(s) could not be parsed and were not checked`);
+    parseFailures.forEach(failure => {
+      console.log(`    Position ${failure.position}: "${failure.timestamp}"`);
+    });
+  }
+
+  if (checksOrder && ambiguousTies.length > 0) {
+    console.log(`⚠️  ${ambiguousTies.length} ambiguous tie(s): same timestamp and no usable item IDs`);
+    ambiguousTies.forEach(tie => {
+      console.log(`    Position ${tie.position}: ${tie.current.title} / ${tie.next.title}`);
+    });
+  }
+
+  if (checksOrder && violations.length > 0) {
+    console.log(`❌ Found ${violations.length} sorting error(s)`);
+    violations.forEach(error => {
+      console.log(`\n  Position ${error.position} (${error.reason === 'item_id' ? 'item ID order' : 'timestamp order'}):`);
+      console.log(`    Current: ${error.current.title} (${error.current.timestamp}, id ${error.current.id ?? 'unknown'})`);
+      console.log(`    Next:    ${error.next.title} (${error.next.timestamp}, id ${error.next.id ?? 'unknown'})`);
+    });
+  } else if (checksOrder) {
+    console.log('✅ Articles are sorted newest to oldest');
+  }
+
+  // Ordering findings were listed above; every other rule's are listed here
+  ruleResults.filter(result => result.rule !== 'monotonicTimestamps').forEach(result => {
+    const errors = result.findings.filter(finding => finding.severity === 'error');
+    const warnings = result.findings.filter(finding => finding.severity === 'warning');
+    if (errors.length === 0 && warnings.length === 0) {
+      console.log(`✅ ${result.rule}`);
+      return;
+    }
+    console.log(`${errors.length > 0 ? '❌' : '⚠️ '} ${result.rule}: ${errors.length} error(s), ${warnings.length} warning(s)`);
+    [...errors, ...warnings].slice(0, 10).forEach(finding => {
+      console.log(`    ${finding.position !== undefined ? `Position ${finding.position}: ` : ''}${finding.message}`);
+    });
+  });
+
+  return ruleResults.every(result => result.passed);
+}
+
+
+async function validateCommand(positionals, options) {
+  const inputPath = requireInput(positionals, 'validate');
+  const scraper = new HackerNewsScraper(options);
+  const runs = extractRuns(await readJSON(inputPath), scraper.feeds);
+
+  console.log(`Validating ${runs.length} article list(s) from ${inputPath}`);
+  let passed = true;
+  for (const run of runs) {
+    passed = await validateRun(scraper, run) && passed;
+  }
+
+  return passed ? EXIT_CODES.SUCCESS : EXIT_CODES.VALIDATION_FAILED;
+}
+
+
+async function diffCommand(positionals, options) {
+  if (positionals.length !== 2) {
+    throw new UsageError('diff expects a base and a head validation-report.json');
+  }
+  const [basePath, headPath] = positionals;
+  const [base, head] = await Promise.all([readJSON(basePath), readJSON(headPath)]);
+  [[basePath, base], [headPath, head]].forEach(([inputPath, data]) => {
+    if (!Array.isArray(data.testRuns)) {
+      throw new Error(`${inputPath} is not a validation report (missing testRuns)`);
+    }
+  });
+
+  const scraper = new HackerNewsScraper({
+    outputDir: path.dirname(headPath),
+    ...options
+  });
+  const { diff, text } = await scraper.generateDiffReport(base, head);
+
+  console.log(text);
+  console.log(`\n📁 Diff report saved to: ${scraper.options.outputDir}`);
+
+  return hasRegressions(diff) ? EXIT_CODES.VALIDATION_FAILED : EXIT_CODES.SUCCESS;
+}
+
+
+async function trendCommand(commandOptions, options) {
+  const scraper = new HackerNewsScraper(options);
+  const trend = await scraper.generateTrendReport(commandOptions);
+
+  if (trend.points.length === 0) {
+    console.log(`No runs in ${scraper.getHistoryPath()} match the given filters`);
+    return EXIT_CODES.SUCCESS;
+  }
+
+  console.log(`\n📈 ${trend.totals.runs} run(s), ${trend.totals.successRate.toFixed(1)}% average success, ` +
+    `${trend.totals.runsWithSortingErrors} with sorting errors`);
+  console.log(`📁 Trend report saved to: ${scraper.options.outputDir}`);
+  return EXIT_CODES.SUCCESS;
+}
+
+
+async function watchCommand(commandOptions, options) {
+  let schedule;
+  try {
+    schedule = createSchedule({ interval: commandOptions.interval ?? null, cron: commandOptions.cron ?? null });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  if (commandOptions.alertAfter !== undefined && commandOptions.alertAfter < 1) {
+    throw new UsageError('--alert-after must be at least 1');
+  }
+  if (commandOptions.maxRuns !== undefined && commandOptions.maxRuns < 1) {
+    throw new UsageError('--max-runs must be at least 1');
+  }
+
+  // Built once up front so bad options fail now instead of at every scheduled run. It also sends
+  // the alerts: in watch mode webhooks hear about changes, not about every run.
+  const notifier = new HackerNewsScraper(options);
+  const { outputDir, logLevel, metricsPort, metricsHost } = notifier.options;
+
+  // Counters have to survive from one run to the next, so every scraper records into this registry
+  const metrics = new MetricsRegistry();
+  const watcher = new Watcher({
+    createScraper: () => {
+      const scraper = new HackerNewsScraper({ ...options, webhooks: [] });
+      scraper.metrics = metrics;
+      return scraper;
+    },
+    metrics,
+    schedule,
+    alertAfterFailures: commandOptions.alertAfter,
+    maxRuns: commandOptions.maxRuns,
+    stateFile: commandOptions.stateFile || path.join(outputDir, 'watch-state.json'),
+    alertsFile: path.join(outputDir, 'watch-alerts.jsonl'),
+    onAlert: notifier.webhooks.length > 0 ? alert => notifier.sendAlert(alert) : null,
+    logLevel
+  });
+
+  // First signal: finish cleanly, closing any open browsers. Second: give up on cleanup.
+  let signalled = false;
+  const onSignal = signal => {
+    if (signalled) {
+      console.error(`\n${signal} received again, exiting without cleanup`);
+      process.exit(130);
+    }
+    signalled = true;
+    console.log(`\n${signal} received, stopping the watch (send it again to exit immediately)`);
+    watcher.stop();
+  };
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
+
+  let metricsServer = null;
+  try {
+    if (metricsPort !== null) {
+      metricsServer = await startMetricsServer(metrics, { port: metricsPort, host: metricsHost });
+      const { port } = metricsServer.address();
+      console.log(`📈 Metrics at http://${metricsHost}:${port}/metrics`);
+    }
+
+    const state = await watcher.start();
+    return signalled || state.status !== 'fail' ? EXIT_CODES.SUCCESS : EXIT_CODES.VALIDATION_FAILED;
+  } finally {
+    process.off('SIGINT', onSignal);
+    process.off('SIGTERM', onSignal);
+    if (metricsServer) {
+      await new Promise(resolve => metricsServer.close(resolve));
+    }
+  }
+}
+
+
+async function runCli(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+  } catch (error) {
+    console.error(`❌ ${error.message}\n`);
+    console.error(formatHelp());
+    return EXIT_CODES.USAGE_ERROR;
+  }
+
+  if (parsed.help || parsed.command === 'help') {
+    console.log(formatHelp(parsed.command === 'help' ? parsed.positionals[0] : parsed.command));
+    return EXIT_CODES.SUCCESS;
+  }
+
+  try {
+    // Config file, then HN_SCRAPER_* environment variables, then flags
+    const { options } = await loadOptions({ configFile: parsed.configFile, overrides: parsed.options });
+
+    switch (parsed.command) {
+      case 'report':
+        return await reportCommand(parsed.positionals, options);
+      case 'validate':
+        return await validateCommand(parsed.positionals, options);
+      case 'diff':
+        return await diffCommand(parsed.positionals, options);
+      case 'trend':
+        if (parsed.positionals.length > 0) {
+          throw new UsageError(`Unexpected argument: ${parsed.positionals[0]}`);
+        }
+        return await trendCommand(parsed.commandOptions, options);
+      case 'watch':
+        if (parsed.positionals.length > 0) {
+          throw new UsageError(`Unexpected argument: ${parsed.positionals[0]}`);
+        }
+        return await watchCommand(parsed.commandOptions, options);
+      default:
+        if (parsed.positionals.length > 0) {
+          throw new UsageError(`Unexpected argument: ${parsed.positionals[0]}`);
+        }
+        return await runCommand(options);
+    }
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`❌ ${error.message}\n`);
+      console.error(formatHelp(parsed.command));
+      return EXIT_CODES.USAGE_ERROR;
+    }
+
+    if (error instanceof ConfigError) {
+      console.error(`❌ ${error.message}`);
+      return EXIT_CODES.USAGE_ERROR;
+    }
+
+    console.error('❌ CRITICAL ERROR:', error.message);
+    return EXIT_CODES.RUNTIME_ERROR;
+  }
+}
+
+module.exports = { runCli, parseArgs, formatHelp, EXIT_CODES, OPTIONS, UsageError };
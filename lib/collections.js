@@ -0,0 +1,17 @@
+// Items of one list the other lacks, split by where they fall. Only those between the first and
+// last item both lists have are really missing; items before or after that overlap are newer or
+// older than anything the other side saw, which is what a listing that moves between two reads
+// looks like. `otherKeys` holds the other list's keys; keyOf gives an item's.
+function splitByOverlap(items, otherKeys, keyOf = item => item) {
+  const shared = items.map((item, index) => otherKeys.has(keyOf(item)) ? index : -1).filter(index => index >= 0);
+  const first = shared.length > 0 ? shared[0] : items.length;
+  const last = shared.length > 0 ? shared[shared.length - 1] : -1;
+  const unmatched = items.map((item, index) => ({ item, index })).filter(({ item }) => !otherKeys.has(keyOf(item)));
+  return {
+    missing: unmatched.filter(({ index }) => index > first && index < last),
+    before: unmatched.filter(({ index }) => index < first).length,
+    after: unmatched.filter(({ index }) => index > last && index >= first).length
+  };
+}
+
+module.exports = { splitByOverlap };
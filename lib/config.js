@@ -0,0 +1,265 @@
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_API_BASE_URL } = require('./hn-api');
+
+const CONFIG_FILES = ['hn-scraper.config.js', 'hn-scraper.config.json'];
+const ENV_PREFIX = 'HN_SCRAPER_';
+
+const BROWSERS = ['chromium', 'firefox', 'webkit'];
+
+// Every HackerNewsScraper option: its type, default and limits. Only undefined (or, for nullable
+// options, null) falls back to the default, so explicit false and 0 are kept.
+const SCHEMA = {
+  targetArticles: { type: 'integer', default: 100, min: 0 },
+  browsers: { type: 'list', default: ['chromium'], choices: BROWSERS, minItems: 1 },
+  // browser: the listed browsers; http: plain HTTP requests, no browser; both: all of them, cross-checked
+  engine: { type: 'string', default: 'browser', choices: ['browser', 'http', 'both'] },
+  outputDir: { type: 'string', default: './reports' },
+  enableScreenshots: { type: 'boolean', default: true },
+  enablePerformanceMonitoring: { type: 'boolean', default: true },
+  maxConsecutiveErrors: { type: 'integer', default: 5, min: 1 },
+  pageTimeout: { type: 'integer', default: 45000, min: 0 },
+  navigationTimeout: { type: 'integer', default: 60000, min: 0 },
+  baseUrl: { type: 'url', default: 'https://news.ycombinator.com' },
+  startPath: { type: 'path', default: '/newest' },
+  sessionMode: { type: 'string', default: 'live', choices: ['live', 'record', 'replay'] },
+  sessionDir: { type: 'string', default: null, nullable: true },
+  concurrency: { type: 'integer', default: 3, min: 1 },
+  feeds: { type: 'array', default: null, nullable: true, minItems: 1 },
+  rules: { type: 'object', default: {} },
+  rulesFile: { type: 'string', default: null, nullable: true },
+  reporters: { type: 'list', default: ['text', 'html', 'json'], choices: ['text', 'html', 'json', 'junit', 'tap'] },
+  logLevel: { type: 'string', default: 'info', choices: ['debug', 'info', 'warn', 'error'] },
+  logFile: { type: 'boolean', default: true },
+  retry: { type: 'object', default: {} },
+  maxRetries: { type: 'integer', default: null, nullable: true, min: 0 },
+  minNavigationIntervalMs: { type: 'integer', default: 2000, min: 0 },
+  maxPages: { type: 'integer', default: 10, min: 1 },
+  requestBudget: { type: 'integer', default: null, nullable: true, min: 0 },
+  respectRobotsTxt: { type: 'boolean', default: true },
+  history: { type: 'boolean', default: true },
+  historyFile: { type: 'string', default: null, nullable: true },
+  webhooks: { type: 'array', default: [] },
+  reportUrl: { type: 'url', default: null, nullable: true },
+  metricsFile: { type: 'string', default: null, nullable: true },
+  metricsPort: { type: 'integer', default: null, nullable: true, min: 0, max: 65535 },
+  metricsHost: { type: 'string', default: '0.0.0.0' },
+  apiCheck: { type: 'boolean', default: false },
+  apiBaseUrl: { type: 'url', default: DEFAULT_API_BASE_URL },
+  apiTimeToleranceSec: { type: 'integer', default: 120, min: 0 }
+};
+
+
+class ConfigError extends Error {
+  constructor(problems, source) {
+    super(`Invalid configuration${source ? ` in ${source}` : ''}:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+    this.source = source;
+  }
+}
+
+
+function describe(value) {
+  return typeof value === 'string' ? `"${value}"` : JSON.stringify(value);
+}
+
+
+// Returns a list of problems with one option value; empty when it's fine
+function checkValue(key, spec, value) {
+  if (value === null && spec.nullable) return [];
+
+  switch (spec.type) {
+    case 'integer':
+      if (!Number.isInteger(value)) return [`${key} must be an integer, got ${describe(value)}`];
+      if (spec.min !== undefined && value < spec.min) return [`${key} must be at least ${spec.min}, got ${value}`];
+      if (spec.max !== undefined && value > spec.max) return [`${key} must be at most ${spec.max}, got ${value}`];
+      return [];
+    case 'boolean':
+      return typeof value === 'boolean' ? [] : [`${key} must be true or false, got ${describe(value)}`];
+    case 'string':
+      if (typeof value !== 'string' || value === '') return [`${key} must be a non-empty string, got ${describe(value)}`];
+      if (spec.choices && !spec.choices.includes(value)) return [`${key} must be one of ${spec.choices.join(', ')}, got ${describe(value)}`];
+      return [];
+    case 'url':
+      try {
+        if (['http:', 'https:'].includes(new URL(value).protocol)) return [];
+      } catch (error) {
+        // falls through to the problem below
+      }
+      return [`${key} must be an absolute http(s) URL, got ${describe(value)}`];
+    case 'path':
+      return typeof value === 'string' && value.startsWith('/') ? [] : [`${key} must be a path starting with "/", got ${describe(value)}`];
+    case 'list': {
+      if (!Array.isArray(value)) return [`${key} must be a list, got ${describe(value)}`];
+      if (spec.minItems && value.length < spec.minItems) return [`${key} needs at least ${spec.minItems} entr${spec.minItems === 1 ? 'y' : 'ies'}`];
+      return value.flatMap((item, index) => spec.choices && !spec.choices.includes(item)
+        ? [`${key}[${index}] must be one of ${spec.choices.join(', ')}, got ${describe(item)}`]
+        : []);
+    }
+    case 'array':
+      if (!Array.isArray(value)) return [`${key} must be a list, got ${describe(value)}`];
+      return spec.minItems && value.length < spec.minItems ? [`${key} needs at least ${spec.minItems} entry`] : [];
+    case 'object':
+      return value && typeof value === 'object' && !Array.isArray(value) ? [] : [`${key} must be an object, got ${describe(value)}`];
+    default:
+      return [];
+  }
+}
+
+
+function suggest(key) {
+  const lower = key.toLowerCase();
+  return Object.keys(SCHEMA).find(known => known.toLowerCase() === lower || known.toLowerCase().startsWith(lower) || lower.startsWith(known.toLowerCase()));
+}
+
+
+// Throws a ConfigError listing every problem at once; undefined values are skipped
+function validateOptions(options, source = null) {
+  const problems = [];
+
+  Object.entries(options || {}).forEach(([key, value]) => {
+    const spec = SCHEMA[key];
+    if (!spec) {
+      const guess = suggest(key);
+      problems.push(`unknown option "${key}"${guess ? ` (did you mean ${guess}?)` : ''}`);
+      return;
+    }
+    if (value === undefined) return;
+    problems.push(...checkValue(key, spec, value));
+  });
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems, source);
+  }
+  return options;
+}
+
+
+// Defaults for anything left undefined (or null where null isn't meaningful), then validation
+function normalizeOptions(options = {}) {
+  validateOptions(options);
+
+  return Object.fromEntries(Object.entries(SCHEMA).map(([key, spec]) => {
+    const value = options[key];
+    const missing = value === undefined || (value === null && !spec.nullable);
+    const fallback = spec.default && typeof spec.default === 'object'
+      ? JSON.parse(JSON.stringify(spec.default))
+      : spec.default;
+    return [key, missing ? fallback : value];
+  }));
+}
+
+
+function envName(key) {
+  return ENV_PREFIX + key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+
+function parseEnvValue(key, spec, raw) {
+  const name = envName(key);
+  switch (spec.type) {
+    case 'integer': {
+      const value = Number(raw);
+      if (!Number.isInteger(value)) throw new ConfigError([`${name} must be an integer, got "${raw}"`], 'environment');
+      return value;
+    }
+    case 'boolean':
+      if (/^(true|1|yes|on)$/i.test(raw)) return true;
+      if (/^(false|0|no|off)$/i.test(raw)) return false;
+      throw new ConfigError([`${name} must be true or false, got "${raw}"`], 'environment');
+    case 'list':
+      return raw.split(',').map(item => item.trim()).filter(Boolean);
+    case 'array':
+    case 'object':
+      try {
+        return JSON.parse(raw);
+      } catch (error) {
+        // Plain comma lists are fine for feeds
+        if (spec.type === 'array') return raw.split(',').map(item => item.trim()).filter(Boolean);
+        throw new ConfigError([`${name} must be JSON, got "${raw}"`], 'environment');
+      }
+    default:
+      return raw;
+  }
+}
+
+
+// HN_SCRAPER_TARGET_ARTICLES=50, HN_SCRAPER_BROWSERS=chromium,firefox, HN_SCRAPER_RETRY='{"retries":2}', ...
+function readEnvOptions(env = process.env) {
+  const options = {};
+  Object.entries(SCHEMA).forEach(([key, spec]) => {
+    const raw = env[envName(key)];
+    if (raw === undefined || raw === '') return;
+    options[key] = parseEnvValue(key, spec, raw);
+  });
+  return validateOptions(options, 'environment');
+}
+
+
+function findConfigFile(cwd = process.cwd()) {
+  return CONFIG_FILES.map(name => path.join(cwd, name)).find(candidate => fs.existsSync(candidate)) || null;
+}
+
+
+// A .js config exports the options object (or a function returning it); a .json config is the object
+async function loadConfigFile(filePath) {
+  const resolved = path.resolve(filePath);
+  if (!fs.existsSync(resolved)) {
+    throw new ConfigError([`config file not found: ${resolved}`]);
+  }
+
+  let loaded;
+  if (resolved.endsWith('.json')) {
+    try {
+      loaded = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+    } catch (error) {
+      throw new ConfigError([`not valid JSON: ${error.message}`], resolved);
+    }
+  } else {
+    const exported = require(resolved);
+    loaded = typeof exported === 'function' ? await exported() : exported;
+  }
+
+  if (!loaded || typeof loaded !== 'object' || Array.isArray(loaded)) {
+    throw new ConfigError(['must export an object of options'], resolved);
+  }
+
+  // Relative paths in a config file are relative to the file, not to wherever the command runs
+  const baseDir = path.dirname(resolved);
+  ['outputDir', 'sessionDir', 'rulesFile', 'historyFile', 'metricsFile'].forEach(key => {
+    if (typeof loaded[key] === 'string' && !path.isAbsolute(loaded[key])) {
+      loaded[key] = path.join(baseDir, loaded[key]);
+    }
+  });
+
+  return validateOptions(loaded, resolved);
+}
+
+
+// Config file < environment < explicit options. Returns the merged options (defaults are applied
+// by the constructor) and the config file used, if any.
+async function loadOptions({ configFile = null, env = process.env, cwd = process.cwd(), overrides = {} } = {}) {
+  const configPath = configFile || env.HN_SCRAPER_CONFIG || findConfigFile(cwd);
+  const fromFile = configPath ? await loadConfigFile(path.resolve(cwd, configPath)) : {};
+  const fromEnv = readEnvOptions(env);
+
+  return {
+    options: { ...fromFile, ...fromEnv, ...overrides },
+    configPath: configPath ? path.resolve(cwd, configPath) : null
+  };
+}
+
+module.exports = {
+  SCHEMA,
+  BROWSERS,
+  CONFIG_FILES,
+  ConfigError,
+  validateOptions,
+  normalizeOptions,
+  envName,
+  readEnvOptions,
+  findConfigFile,
+  loadConfigFile,
+  loadOptions
+};
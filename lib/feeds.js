@@ -0,0 +1,75 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Rules every chronological listing gets unless a feed says otherwise; names refer to lib/rules.js
+const DEFAULT_RULES = ['monotonicTimestamps', 'uniqueItemIds', 'minArticles'];
+
+// Each listing declares where it starts, which validation rules apply to it and, where the official
+// API has one, the list of the same items (see lib/hn-api.js)
+const FEEDS = {
+  newest: () => ({ startPath: '/newest', rules: [...DEFAULT_RULES, 'maxPostGap'], apiList: 'newstories' }),
+  show: () => ({ startPath: '/show', rules: ['contiguousRanks', 'uniqueItemIds', 'minArticles'], apiList: 'showstories' }),
+  ask: () => ({ startPath: '/ask', rules: ['contiguousRanks', 'uniqueItemIds', 'minArticles'], apiList: 'askstories' }),
+  jobs: () => ({ startPath: '/jobs', rules: DEFAULT_RULES, apiList: 'jobstories' }),
+  front: day => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(day || '') || Number.isNaN(Date.parse(`${day}T00:00:00Z`))) {
+      throw new Error(`front feed needs a day in YYYY-MM-DD form, e.g. front:2024-01-15 (got "${day || ''}")`);
+    }
+    const from = new Date(`${day}T00:00:00Z`);
+    return {
+      startPath: `/front?day=${day}`,
+      rules: ['contiguousRanks', 'dateBounds', 'uniqueItemIds', 'minArticles'],
+      dateBounds: { from: from.toISOString(), to: new Date(from.getTime() + DAY_MS).toISOString(), toleranceHours: 0 }
+    };
+  },
+  from: site => {
+    if (!site) {
+      throw new Error('from feed needs a site, e.g. from:github.com');
+    }
+    return { startPath: `/from?site=${encodeURIComponent(site)}`, rules: DEFAULT_RULES };
+  }
+};
+
+
+// Accepts "newest", "front:2024-01-15", "from:github.com" or a full feed object
+function resolveFeed(spec) {
+  if (spec && typeof spec === 'object') {
+    if (!spec.name || !spec.startPath) {
+      throw new Error('Custom feeds need at least a name and a startPath');
+    }
+    return { rules: DEFAULT_RULES, ...spec };
+  }
+
+  const [type, ...rest] = String(spec).split(':');
+  const argument = rest.join(':');
+  const factory = FEEDS[type];
+
+  if (!factory) {
+    throw new Error(`Unknown feed "${spec}". Known feeds: ${Object.keys(FEEDS).join(', ')}`);
+  }
+
+  const name = argument ? `${type}-${argument.replace(/[^a-zA-Z0-9.-]+/g, '_')}` : type;
+  return { name, type, ...factory(argument) };
+}
+
+
+// The known feed a bare startPath points at, e.g. "/show" or "/front?day=2024-01-15", so it keeps
+// that feed's rules; any other listing is checked as a custom chronological feed
+function feedForStartPath(startPath) {
+  const url = new URL(startPath, 'https://news.ycombinator.com');
+  const type = url.pathname.slice(1);
+  const argument = url.searchParams.get('day') || url.searchParams.get('site');
+
+  if (Object.prototype.hasOwnProperty.call(FEEDS, type)) {
+    try {
+      const feed = resolveFeed(argument ? `${type}:${argument}` : type);
+      if (feed.startPath === startPath) return feed;
+    } catch {
+      // A known feed without a usable argument, e.g. "/front" with no day
+    }
+  }
+
+  return { name: 'custom', type: 'custom', startPath, rules: DEFAULT_RULES };
+}
+
+
+module.exports = { FEEDS, DEFAULT_RULES, resolveFeed, feedForStartPath };
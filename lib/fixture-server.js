@@ -0,0 +1,281 @@
+const http = require('http');
+const fs = require('fs').promises;
+const path = require('path');
+const { escapeHtml } = require('./html');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'hn');
+
+// What HN serves instead of a listing when a client requests pages too quickly
+const RATE_LIMIT_PAGE = '<html><body>Sorry, we\'re not able to serve your requests this quickly.</body></html>';
+
+
+function formatAge(time, now) {
+  const minutes = Math.max(0, Math.floor((Date.parse(now + 'Z') - Date.parse(time + 'Z')) / 60000));
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'} ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+  const days = Math.floor(hours / 24);
+  return `${days} day${days === 1 ? '' : 's'} ago`;
+}
+
+
+function renderRow(item, rank, now) {
+  const site = item.url ? new URL(item.url).hostname.replace(/^www\./, '') : null;
+  const titleRow = `
+      <tr class="athing submission" id="${item.id}">
+        <td align="right" valign="top" class="title"><span class="rank">${rank}.</span></td>
+        <td valign="top" class="votelinks"><center><a id="up_${item.id}" href="vote?id=${item.id}&amp;how=up"><div class="votearrow" title="upvote"></div></a></center></td>
+        <td class="title"><span class="titleline"><a href="${escapeHtml(item.url || `item?id=${item.id}`)}">${escapeHtml(item.title)}</a>${site ? `<span class="sitebit comhead"> (<a href="from?site=${escapeHtml(site)}"><span class="sitestr">${escapeHtml(site)}</span></a>)</span>` : ''}</span></td>
+      </tr>`;
+
+  const byline = item.by
+    ? `<span class="score" id="score_${item.id}">${item.score} point${item.score === 1 ? '' : 's'}</span> by <a href="user?id=${escapeHtml(item.by)}" class="hnuser">${escapeHtml(item.by)}</a> `
+    : '';
+  const comments = item.by
+    ? ` | <a href="item?id=${item.id}">${item.comments ? `${item.comments}&nbsp;comment${item.comments === 1 ? '' : 's'}` : 'discuss'}</a>`
+    : '';
+  const subtextRow = `
+      <tr>
+        <td colspan="2"></td><td class="subtext"><span class="subline">${byline}<span class="age" title="${escapeHtml(`${item.time} ${Math.floor(Date.parse(item.time + 'Z') / 1000)}`)}"><a href="item?id=${item.id}">${formatAge(item.time, now)}</a></span> <span id="unv_${item.id}"></span>${comments}</span></td>
+      </tr>
+      <tr class="spacer" style="height:5px"></tr>`;
+
+  return { titleRow, subtextRow };
+}
+
+
+function unixSeconds(time) {
+  return Math.floor(Date.parse(time + 'Z') / 1000);
+}
+
+
+// A fixture item as the official API would return it
+function renderApiItem(item) {
+  return {
+    id: item.id,
+    type: item.by ? 'story' : 'job',
+    ...(item.by ? { by: item.by, score: item.score, descendants: item.comments || 0 } : {}),
+    time: unixSeconds(item.time),
+    title: item.title,
+    ...(item.url ? { url: item.url } : {}),
+    ...(item.dead ? { dead: true } : {})
+  };
+}
+
+
+// The API's answer for a path under /<scenario>/v0/, or undefined for paths it doesn't serve. Lists
+// and items come from the scenario's pages unless its `api` section overrides them.
+function renderApiResponse(scenario, resource) {
+  const api = scenario.api || {};
+  const items = new Map();
+  scenario.pages.forEach(page => page.items.forEach(item => {
+    if (!items.has(item.id)) items.set(item.id, item);
+  }));
+
+  const list = resource.match(/^(\w+stories)\.json$/);
+  if (list) {
+    return api.lists?.[list[1]] ?? [...items.keys()];
+  }
+
+  const item = resource.match(/^item\/(\d+)\.json$/);
+  if (item) {
+    const id = parseInt(item[1], 10);
+    const override = api.items?.[id];
+    if (override === null || (!items.has(id) && !override)) return null;
+    return renderApiItem({ ...items.get(id), ...override });
+  }
+
+  return undefined;
+}
+
+
+function pageCursor(page) {
+  if (page.cursor !== undefined) return page.cursor;
+  return page.items.length > 0 ? page.items[page.items.length - 1].id : null;
+}
+
+
+function renderPage(scenario, pageIndex, listing) {
+  const page = scenario.pages[pageIndex];
+  const offset = scenario.pages.slice(0, pageIndex).reduce((sum, p) => sum + p.items.length, 0);
+  // Drift scenarios override the rank numbering and the more-link cursor to mimic a shifting listing
+  const firstRank = page.rankStart ?? offset + 1;
+  const nextPage = scenario.pages[pageIndex + 1];
+  const lastItem = page.items[page.items.length - 1];
+
+  const rows = [];
+  page.items.forEach((item, index) => {
+    const { titleRow, subtextRow } = renderRow(item, firstRank + index, scenario.now);
+    rows.push(titleRow);
+    if (page.truncateAfter === undefined || index + 1 < page.truncateAfter) {
+      rows.push(subtextRow);
+    }
+  });
+
+  const head = `<html lang="en" op="${escapeHtml(listing)}"><head><meta charset="utf-8"><title>New Links | Hacker News</title></head>
+<body><center><table id="hnmain" border="0" cellpadding="0" cellspacing="0" width="85%" bgcolor="#f6f6ef">
+  <tr><td bgcolor="#ff6600"><span class="pagetop"><b class="hnname"><a href="news">Hacker News</a></b></span></td></tr>
+  <tr id="bigbox"><td><table border="0" cellpadding="0" cellspacing="0" class="itemlist">`;
+
+  // A truncated page stops right after the cut-off row, without its subtext or any closing markup
+  if (page.truncateAfter !== undefined) {
+    return head + rows.slice(0, page.truncateAfter * 2 - 1).join('');
+  }
+
+  const moreLink = nextPage && lastItem
+    ? `
+      <tr class="morespace" style="height:10px"></tr>
+      <tr><td colspan="2"></td><td class="title"><a href="${escapeHtml(listing)}?next=${pageCursor(page)}&amp;n=${page.nextRank ?? firstRank + page.items.length}" class="morelink" rel="next">More</a></td></tr>`
+    : '';
+
+  return `${head}${rows.join('')}${moreLink}
+  </table></td></tr>
+</table></center></body></html>`;
+}
+
+
+class HackerNewsFixtureServer {
+  constructor(options = {}) {
+    this.options = {
+      fixturesDir: options.fixturesDir || DEFAULT_FIXTURES_DIR,
+      host: options.host || '127.0.0.1',
+      port: options.port || 0,
+      ...options
+    };
+
+    this.server = null;
+    this.scenarios = new Map();
+    // Requests seen per scenario page, for pages that are throttled a set number of times
+    this.hits = new Map();
+  }
+
+  get url() {
+    if (!this.server) return null;
+    const { port } = this.server.address();
+    return `http://${this.options.host}:${port}`;
+  }
+
+  // Base URL to hand to HackerNewsScraper for a given fixture scenario
+  scenarioUrl(scenario) {
+    return `${this.url}/${scenario}`;
+  }
+
+  // apiBaseUrl serving the same scenario's items
+  apiUrl(scenario) {
+    return `${this.scenarioUrl(scenario)}/v0`;
+  }
+
+  async loadScenario(name) {
+    if (!this.scenarios.has(name)) {
+      const raw = await fs.readFile(path.join(this.options.fixturesDir, `${name}.json`), 'utf8');
+      this.scenarios.set(name, JSON.parse(raw));
+    }
+    return this.scenarios.get(name);
+  }
+
+  resolvePageIndex(scenario, searchParams) {
+    const next = searchParams.get('next');
+    if (next) {
+      const index = scenario.pages.findIndex(p => String(pageCursor(p)) === next);
+      return index === -1 ? -1 : index + 1;
+    }
+
+    const p = parseInt(searchParams.get('p') || '1', 10);
+    return Number.isNaN(p) ? -1 : p - 1;
+  }
+
+  async handleRequest(req, res) {
+    const requestUrl = new URL(req.url, this.url);
+    const [scenarioName, listing] = requestUrl.pathname.split('/').filter(Boolean);
+
+    if (!scenarioName || !listing) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Unknown.');
+      return;
+    }
+
+    let scenario;
+    try {
+      scenario = await this.loadScenario(scenarioName);
+    } catch (error) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end(`Unknown fixture scenario: ${scenarioName}`);
+      return;
+    }
+
+    // The same items through the official API's JSON, for the API cross-check (see lib/hn-api.js)
+    if (listing === 'v0') {
+      const body = renderApiResponse(scenario, requestUrl.pathname.split('/').filter(Boolean).slice(2).join('/'));
+      if (body === undefined) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Permission denied' }));
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' });
+      res.end(JSON.stringify(body));
+      return;
+    }
+
+    const pageIndex = this.resolvePageIndex(scenario, requestUrl.searchParams);
+    if (pageIndex < 0 || pageIndex >= scenario.pages.length) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Unknown.');
+      return;
+    }
+
+    const throttle = scenario.pages[pageIndex].rateLimited;
+    if (throttle) {
+      const key = `${scenarioName}/${pageIndex}`;
+      const hits = (this.hits.get(key) || 0) + 1;
+      this.hits.set(key, hits);
+
+      if (hits <= (throttle.times ?? 1)) {
+        res.writeHead(throttle.status ?? 503, {
+          'Content-Type': 'text/html; charset=utf-8',
+          ...(throttle.retryAfter !== undefined ? { 'Retry-After': String(throttle.retryAfter) } : {})
+        });
+        res.end(RATE_LIMIT_PAGE);
+        return;
+      }
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(renderPage(scenario, pageIndex, listing));
+  }
+
+  async start() {
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end(error.message);
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.options.port, this.options.host, resolve);
+    });
+
+    return this.url;
+  }
+
+  async stop() {
+    if (!this.server) return;
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+}
+
+
+async function main() {
+  const server = new HackerNewsFixtureServer({ port: parseInt(process.argv[2] || '8080', 10) });
+  const url = await server.start();
+  console.log(`Serving Hacker News fixtures from ${server.options.fixturesDir} at ${url}`);
+  console.log(`Try ${server.scenarioUrl('sorted')}/newest, or ${server.apiUrl('sorted')}/newstories.json for the API`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { HackerNewsFixtureServer, renderPage, DEFAULT_FIXTURES_DIR };
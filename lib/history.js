@@ -0,0 +1,230 @@
+const fs = require('fs').promises;
+const { escapeHtml } = require('./html');
+
+
+// Each line is one runAllTests result. Article lists are left out: they are in the run's own
+// validation-report.json and would make the history grow by megabytes a day.
+function toHistoryEntry(results) {
+  return {
+    runId: results.runId,
+    startTime: results.startTime,
+    endTime: results.endTime,
+    summary: results.summary,
+    testRuns: results.testRuns.map(({ articles, ...run }) => run)
+  };
+}
+
+
+async function appendRun(filePath, results) {
+  const entry = toHistoryEntry(results);
+  await fs.appendFile(filePath, JSON.stringify(entry) + '\n');
+  return entry;
+}
+
+
+async function readHistory(filePath) {
+  let raw;
+  try {
+    raw = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return { entries: [], skipped: 0 };
+    throw error;
+  }
+
+  const entries = [];
+  let skipped = 0;
+  raw.split('\n').filter(line => line.trim()).forEach(line => {
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      // A run killed mid-write leaves a partial line; don't let it hide every other run
+      skipped++;
+    }
+  });
+
+  return { entries, skipped };
+}
+
+
+function average(values) {
+  return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+}
+
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+
+// One point per run, restricted to the matching browser/feed and date range
+function buildTrend(entries, filters = {}) {
+  const since = filters.since ? Date.parse(filters.since) : -Infinity;
+  let until = filters.until ? Date.parse(filters.until) : Infinity;
+  // A bare day ("--until 2024-01-15") means the end of that day, not its first millisecond
+  if (/^\d{4}-\d{2}-\d{2}$/.test(filters.until || '')) until += DAY_MS - 1;
+
+  const points = entries
+    .filter(entry => {
+      const started = Date.parse(entry.startTime);
+      return started >= since && started <= until;
+    })
+    .map(entry => {
+      const runs = (entry.testRuns || []).filter(run =>
+        (!filters.browser || run.browser === filters.browser) &&
+        (!filters.feed || (run.feed || 'newest') === filters.feed));
+
+      if (runs.length === 0) return null;
+
+      const loadTimes = runs.map(run => run.performanceMetrics?.averagePageLoadTime).filter(Number.isFinite);
+      return {
+        runId: entry.runId,
+        startTime: entry.startTime,
+        runs: runs.length,
+        successRate: (runs.filter(run => run.success).length / runs.length) * 100,
+        sortingErrors: runs.reduce((sum, run) => sum + (run.sortingErrors?.length || 0), 0),
+        averagePageLoadTime: average(loadTimes),
+        articlesCollected: average(runs.map(run => run.articlesCollected || 0))
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => Date.parse(a.startTime) - Date.parse(b.startTime));
+
+  return {
+    filters,
+    points,
+    totals: {
+      runs: points.length,
+      successRate: average(points.map(p => p.successRate)),
+      runsWithSortingErrors: points.filter(p => p.sortingErrors > 0).length,
+      averagePageLoadTime: average(points.map(p => p.averagePageLoadTime)),
+      averageArticlesCollected: average(points.map(p => p.articlesCollected))
+    }
+  };
+}
+
+
+function describeFilters(filters) {
+  const parts = [];
+  if (filters.browser) parts.push(`browser ${filters.browser}`);
+  if (filters.feed) parts.push(`feed ${filters.feed}`);
+  if (filters.since) parts.push(`since ${filters.since}`);
+  if (filters.until) parts.push(`until ${filters.until}`);
+  return parts.length > 0 ? parts.join(', ') : 'all runs';
+}
+
+
+function formatTrendText(trend) {
+  const lines = [
+    '='.repeat(80),
+    'HACKER NEWS VALIDATION TREND REPORT',
+    '='.repeat(80),
+    `Generated: ${new Date().toISOString()}`,
+    `Filters: ${describeFilters(trend.filters)}`,
+    '',
+    'TOTALS',
+    '-'.repeat(40),
+    `Runs: ${trend.totals.runs}`,
+    `Average Success Rate: ${trend.totals.successRate.toFixed(2)}%`,
+    `Runs With Sorting Errors: ${trend.totals.runsWithSortingErrors}`,
+    `Average Page Load: ${trend.totals.averagePageLoadTime.toFixed(2)}ms`,
+    `Average Articles Collected: ${trend.totals.averageArticlesCollected.toFixed(0)}`,
+    '',
+    'RUNS',
+    '-'.repeat(40),
+    `${'Started'.padEnd(26)}${'Success'.padStart(9)}${'Errors'.padStart(8)}${'Load ms'.padStart(10)}${'Articles'.padStart(10)}`
+  ];
+
+  trend.points.forEach(point => {
+    lines.push(`${point.startTime.padEnd(26)}${`${point.successRate.toFixed(0)}%`.padStart(9)}${String(point.sortingErrors).padStart(8)}${point.averagePageLoadTime.toFixed(0).padStart(10)}${point.articlesCollected.toFixed(0).padStart(10)}`);
+  });
+
+  return lines.join('\n');
+}
+
+
+// Minimal inline SVG line chart; no charting library needed to open the report
+function lineChart(points, { title, key, unit = '', color }) {
+  const width = 800;
+  const height = 200;
+  const padding = 40;
+  const values = points.map(point => point[key]);
+  const max = Math.max(1, ...values);
+  const x = index => padding + (points.length > 1 ? (index / (points.length - 1)) * (width - 2 * padding) : (width - 2 * padding) / 2);
+  const y = value => height - padding - (value / max) * (height - 2 * padding);
+
+  const path = points.map((point, index) => `${index === 0 ? 'M' : 'L'}${x(index).toFixed(1)},${y(point[key]).toFixed(1)}`).join(' ');
+  const dots = points.map((point, index) => `
+            <circle cx="${x(index).toFixed(1)}" cy="${y(point[key]).toFixed(1)}" r="4" fill="${color}"><title>${escapeHtml(point.startTime)}: ${point[key].toFixed(1)}${unit}</title></circle>`).join('');
+
+  return `
+        <h3>${escapeHtml(title)}</h3>
+        <svg viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="${escapeHtml(title)}">
+            <line x1="${padding}" y1="${height - padding}" x2="${width - padding}" y2="${height - padding}" stroke="#ccc"/>
+            <line x1="${padding}" y1="${padding}" x2="${padding}" y2="${height - padding}" stroke="#ccc"/>
+            <text x="${padding - 5}" y="${padding + 4}" text-anchor="end" font-size="11">${max.toFixed(0)}${unit}</text>
+            <text x="${padding - 5}" y="${height - padding + 4}" text-anchor="end" font-size="11">0${unit}</text>
+            <path d="${path}" fill="none" stroke="${color}" stroke-width="2"/>${dots}
+        </svg>`;
+}
+
+
+function formatTrendHTML(trend) {
+  const charts = trend.points.length === 0
+    ? '<p>No runs match these filters.</p>'
+    : [
+      lineChart(trend.points, { title: 'Success Rate', key: 'successRate', unit: '%', color: '#28a745' }),
+      lineChart(trend.points, { title: 'Sorting Errors', key: 'sortingErrors', color: '#dc3545' }),
+      lineChart(trend.points, { title: 'Average Page Load Time', key: 'averagePageLoadTime', unit: 'ms', color: '#ff6600' }),
+      lineChart(trend.points, { title: 'Articles Collected', key: 'articlesCollected', color: '#007bff' })
+    ].join('');
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Hacker News Validation Trends</title>
+    <style>
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 20px; background: #f5f5f5; }
+        .container { max-width: 1200px; margin: 0 auto; background: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
+        h1 { color: #ff6600; text-align: center; margin-bottom: 30px; }
+        table { width: 100%; border-collapse: collapse; margin: 20px 0; }
+        th, td { text-align: left; padding: 8px 12px; border-bottom: 1px solid #ddd; }
+        th { background: #f8f9fa; font-weight: 600; }
+        .timestamp { font-size: 0.9em; color: #666; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h1>📈 Hacker News Validation Trends</h1>
+        <p><strong>Filters:</strong> ${escapeHtml(describeFilters(trend.filters))}</p>
+        <p><strong>Runs:</strong> ${trend.totals.runs} &middot;
+           <strong>Average Success Rate:</strong> ${trend.totals.successRate.toFixed(1)}% &middot;
+           <strong>Runs With Sorting Errors:</strong> ${trend.totals.runsWithSortingErrors}</p>
+        ${charts}
+        <h2>Runs</h2>
+        <table>
+            <thead>
+                <tr><th>Started</th><th>Runs</th><th>Success Rate</th><th>Sorting Errors</th><th>Avg Page Load</th><th>Articles</th></tr>
+            </thead>
+            <tbody>
+                ${trend.points.map(point => `
+                    <tr>
+                        <td>${escapeHtml(point.startTime)}</td>
+                        <td>${point.runs}</td>
+                        <td>${point.successRate.toFixed(1)}%</td>
+                        <td>${point.sortingErrors}</td>
+                        <td>${point.averagePageLoadTime.toFixed(0)}ms</td>
+                        <td>${point.articlesCollected.toFixed(0)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        <div class="timestamp">
+            Report generated on ${new Date().toLocaleString()}
+        </div>
+    </div>
+</body>
+</html>`;
+}
+
+module.exports = { appendRun, readHistory, buildTrend, formatTrendText, formatTrendHTML };
@@ -0,0 +1,154 @@
+const { fetchWithRetryClassification, withRetry } = require('./retry');
+const { splitByOverlap } = require('./collections');
+
+const DEFAULT_API_BASE_URL = 'https://hacker-news.firebaseio.com/v0';
+
+const API_RETRY_POLICY = { retries: 3, baseDelayMs: 1000, maxDelayMs: 15000, factor: 2, jitter: 0.5 };
+
+// Item requests in flight at once; the API is a CDN-backed Firebase database, not the HN site
+const ITEM_CONCURRENCY = 8;
+
+
+// Client for the official API (https://github.com/HackerNews/API). Lists and items are cached, so
+// every browser's run of a feed is checked against the same answers.
+class HackerNewsApi {
+  constructor({ baseUrl = DEFAULT_API_BASE_URL, timeoutMs = 10000, onRetry = () => {} } = {}) {
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.timeoutMs = timeoutMs;
+    this.onRetry = onRetry;
+    this.cache = new Map();
+  }
+
+  getJson(resource) {
+    if (!this.cache.has(resource)) {
+      this.cache.set(resource, this.fetchJson(resource));
+    }
+    return this.cache.get(resource);
+  }
+
+  async fetchJson(resource) {
+    const url = `${this.baseUrl}/${resource}`;
+    return withRetry(async () => {
+      const { response, text } = await fetchWithRetryClassification(url, { timeoutMs: this.timeoutMs });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status} from ${url}`);
+      }
+      return JSON.parse(text);
+    }, { policy: API_RETRY_POLICY, onRetry: this.onRetry });
+  }
+
+  // newstories, showstories, askstories or jobstories: item ids in the order the site lists them
+  async getList(name) {
+    const ids = await this.getJson(`${name}.json`);
+    if (!Array.isArray(ids)) {
+      throw new Error(`${name}.json is not a list of item ids`);
+    }
+    return ids;
+  }
+
+  // Resolves with null for ids the API doesn't know
+  getItem(id) {
+    return this.getJson(`item/${id}.json`);
+  }
+
+  async getItems(ids) {
+    const items = new Map();
+    let nextIndex = 0;
+    const workers = Array.from({ length: Math.min(ITEM_CONCURRENCY, ids.length) }, async () => {
+      while (nextIndex < ids.length) {
+        const id = ids[nextIndex++];
+        items.set(id, await this.getItem(id));
+      }
+    });
+    await Promise.all(workers);
+    return items;
+  }
+}
+
+
+// Compares one run's articles with the API: ids on one side only, `time` against the rendered
+// timestamp, and the relative order of the ids both sides have. `items` maps id to API item.
+function compareWithApi(articles, { listIds, items, toleranceMs, parseTimestamp }) {
+  const withId = articles.filter(article => Number.isInteger(article.id));
+  const scrapedIds = withId.map(article => article.id);
+  const apiPosition = new Map(listIds.map((id, index) => [id, index + 1]));
+  const byId = new Map(withId.map(article => [article.id, article]));
+  const describe = article => ({ id: article.id, position: article.position, title: article.title });
+
+  // Ids past the end of the other list are ignored: the scrape stops at targetArticles, the API at 500 ids
+  const scrapedOnly = splitByOverlap(scrapedIds, new Set(listIds));
+  const apiOnly = splitByOverlap(listIds, new Set(scrapedIds));
+
+  const timestampMismatches = [];
+  let unparsedTimestamps = 0;
+  withId.forEach(article => {
+    const item = items.get(article.id);
+    if (!item || !Number.isFinite(item.time)) return;
+    const rendered = parseTimestamp(article.timestamp, article.capturedAt);
+    if (!rendered) {
+      unparsedTimestamps++;
+      return;
+    }
+    const differenceMs = rendered.getTime() - item.time * 1000;
+    if (Math.abs(differenceMs) > toleranceMs) {
+      timestampMismatches.push({
+        ...describe(article),
+        rendered: rendered.toISOString(),
+        api: new Date(item.time * 1000).toISOString(),
+        differenceSec: Math.round(differenceMs / 1000)
+      });
+    }
+  });
+
+  // Both sides list newest first, so the API positions of the shared ids should only increase
+  const shared = scrapedIds.filter(id => apiPosition.has(id));
+  const orderDisagreements = [];
+  for (let i = 0; i < shared.length - 1; i++) {
+    const current = byId.get(shared[i]);
+    const next = byId.get(shared[i + 1]);
+    if (apiPosition.get(next.id) < apiPosition.get(current.id)) {
+      orderDisagreements.push({
+        ...describe(current),
+        next: describe(next),
+        apiPositions: [apiPosition.get(current.id), apiPosition.get(next.id)]
+      });
+    }
+  }
+
+  const missingFromApi = scrapedOnly.missing.map(({ item: id }) => describe(byId.get(id)));
+  const missingFromScrape = apiOnly.missing.map(({ item: id }) => {
+    const item = items.get(id);
+    return {
+      id,
+      apiPosition: apiPosition.get(id),
+      title: item?.title ?? null,
+      // Dead and deleted items are hidden on the site, which explains the gap
+      dead: Boolean(item?.dead),
+      deleted: Boolean(item?.deleted)
+    };
+  });
+
+  return {
+    articlesCompared: shared.length,
+    consistent: shared.length > 0 && missingFromApi.length === 0 && missingFromScrape.length === 0 &&
+      timestampMismatches.length === 0 && orderDisagreements.length === 0,
+    missingFromApi,
+    missingFromScrape,
+    outsideOverlap: scrapedOnly.before + apiOnly.before,
+    timestampMismatches,
+    orderDisagreements,
+    withoutId: articles.length - withId.length,
+    unparsedTimestamps
+  };
+}
+
+
+// Ids compareWithApi needs items for: every scraped id, and the API's ids within the overlap that
+// the scrape lacks
+function itemsToFetch(articles, listIds) {
+  const scrapedIds = articles.filter(article => Number.isInteger(article.id)).map(article => article.id);
+  const missing = splitByOverlap(listIds, new Set(scrapedIds)).missing.map(({ item }) => item);
+  return [...new Set([...scrapedIds, ...missing])];
+}
+
+module.exports = { DEFAULT_API_BASE_URL, HackerNewsApi, compareWithApi, itemsToFetch };
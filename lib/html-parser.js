@@ -0,0 +1,312 @@
+// A small, forgiving HTML parser for the browserless engine (see lib/http-engine.js). It builds a
+// DOM-like tree with just enough of the browser API (textContent, getAttribute, nextElementSibling,
+// querySelector/All) for the extraction code to read like its page.evaluate counterpart.
+
+const { decodeHTML, decodeHTMLAttribute } = require('entities');
+
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+// Content is text up to the matching end tag, never markup
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+
+// Start tags that close an open element of the listed kinds, as long as no element in `scope` sits
+// between them: HN leaves many <tr>/<td> unclosed
+const IMPLIED_END_TAGS = {
+  tr: { closes: ['tr'], scope: ['table', 'tbody', 'thead', 'tfoot'] },
+  td: { closes: ['td', 'th'], scope: ['tr', 'table'] },
+  th: { closes: ['td', 'th'], scope: ['tr', 'table'] },
+  p: { closes: ['p'], scope: ['div', 'td', 'th', 'table', 'body'] },
+  li: { closes: ['li'], scope: ['ul', 'ol'] },
+  option: { closes: ['option'], scope: ['select', 'datalist'] }
+};
+
+// The full HTML5 table of named character references, decoded the way browsers do it: legacy names
+// such as "&amp" work without the ";", except inside attribute values where "&copy=2" stays as written
+function decodeEntities(text, { inAttribute = false } = {}) {
+  return inAttribute ? decodeHTMLAttribute(text) : decodeHTML(text);
+}
+
+
+class TextNode {
+  constructor(text, parent = null) {
+    this.nodeType = 3;
+    this.text = text;
+    this.parent = parent;
+  }
+
+  get textContent() {
+    return this.text;
+  }
+}
+
+
+class Element {
+  constructor(tagName, attributes = {}, parent = null) {
+    this.nodeType = 1;
+    this.tagName = tagName;
+    this.attributes = attributes;
+    this.parent = parent;
+    this.childNodes = [];
+  }
+
+  get children() {
+    return this.childNodes.filter(node => node.nodeType === 1);
+  }
+
+  get textContent() {
+    return this.childNodes.map(node => node.textContent).join('');
+  }
+
+  get id() {
+    return this.attributes.id || '';
+  }
+
+  get classList() {
+    return (this.attributes.class || '').split(/\s+/).filter(Boolean);
+  }
+
+  getAttribute(name) {
+    return Object.prototype.hasOwnProperty.call(this.attributes, name) ? this.attributes[name] : null;
+  }
+
+  get nextElementSibling() {
+    if (!this.parent) return null;
+    const siblings = this.parent.children;
+    return siblings[siblings.indexOf(this) + 1] || null;
+  }
+
+  // Descendants in document order
+  * descendants() {
+    for (const child of this.children) {
+      yield child;
+      yield* child.descendants();
+    }
+  }
+
+  querySelectorAll(selector) {
+    const selectors = parseSelector(selector);
+    return [...this.descendants()].filter(element => selectors.some(complex => matchesComplex(element, complex)));
+  }
+
+  querySelector(selector) {
+    const selectors = parseSelector(selector);
+    for (const element of this.descendants()) {
+      if (selectors.some(complex => matchesComplex(element, complex))) return element;
+    }
+    return null;
+  }
+}
+
+
+// Supports what the scraper needs: tag, #id, .class, [attr] and [attr=value] compounds joined by
+// descendant (space) or child (>) combinators, and comma-separated lists
+function parseSelector(selector) {
+  return selector.split(',').map(part => {
+    const tokens = part.trim().replace(/\s*>\s*/g, ' > ').split(/\s+/);
+    const compounds = [];
+    let combinator = ' ';
+    for (const token of tokens) {
+      if (token === '>') {
+        combinator = '>';
+        continue;
+      }
+      compounds.push({ combinator, ...parseCompound(token, selector) });
+      combinator = ' ';
+    }
+    if (compounds.length === 0) throw new Error(`Invalid selector "${selector}"`);
+    return compounds;
+  });
+}
+
+
+function parseCompound(token, selector) {
+  const compound = { tag: null, id: null, classes: [], attributes: [] };
+  const pattern = /^([a-z][a-z0-9-]*|\*)|#([\w-]+)|\.([\w-]+)|\[([\w-]+)(?:=(?:"([^"]*)"|'([^']*)'|([^\]]*)))?\]/gi;
+  let consumed = 0;
+  let match;
+  while ((match = pattern.exec(token)) !== null && match.index === consumed && match[0] !== '') {
+    consumed += match[0].length;
+    if (match[1]) compound.tag = match[1] === '*' ? null : match[1].toLowerCase();
+    else if (match[2]) compound.id = match[2];
+    else if (match[3]) compound.classes.push(match[3]);
+    else compound.attributes.push({ name: match[4].toLowerCase(), value: match[5] ?? match[6] ?? match[7] ?? null });
+  }
+  if (consumed !== token.length) {
+    throw new Error(`Unsupported selector "${selector}"`);
+  }
+  return compound;
+}
+
+
+function matchesCompound(element, compound) {
+  if (compound.tag && element.tagName !== compound.tag) return false;
+  if (compound.id && element.id !== compound.id) return false;
+  const classes = element.classList;
+  if (!compound.classes.every(name => classes.includes(name))) return false;
+  return compound.attributes.every(({ name, value }) => {
+    const actual = element.getAttribute(name);
+    return actual !== null && (value === null || actual === value);
+  });
+}
+
+
+// Matched right to left against the whole tree, as in the DOM: only the matched element itself has
+// to be below the element querySelector was called on
+function matchesComplex(element, compounds, index = compounds.length - 1) {
+  if (!matchesCompound(element, compounds[index])) return false;
+  if (index === 0) return true;
+
+  if (compounds[index].combinator === '>') {
+    return Boolean(element.parent && matchesComplex(element.parent, compounds, index - 1));
+  }
+  for (let ancestor = element.parent; ancestor; ancestor = ancestor.parent) {
+    if (matchesComplex(ancestor, compounds, index - 1)) return true;
+  }
+  return false;
+}
+
+
+// Attributes of a start tag, from just after the tag name; returns them with the index past the ">"
+function readAttributes(html, index) {
+  const attributes = {};
+  const length = html.length;
+
+  while (index < length) {
+    while (index < length && /[\s/]/.test(html[index])) index++;
+    if (index >= length) break;
+    if (html[index] === '>') return { attributes, end: index + 1 };
+
+    const nameStart = index;
+    while (index < length && !/[\s/>=]/.test(html[index])) index++;
+    const name = html.slice(nameStart, index).toLowerCase();
+
+    while (index < length && /\s/.test(html[index])) index++;
+    let value = '';
+    if (html[index] === '=') {
+      index++;
+      while (index < length && /\s/.test(html[index])) index++;
+      const quote = html[index];
+      if (quote === '"' || quote === "'") {
+        const close = html.indexOf(quote, index + 1);
+        const valueEnd = close === -1 ? length : close;
+        value = html.slice(index + 1, valueEnd);
+        index = valueEnd + 1;
+      } else {
+        const valueStart = index;
+        while (index < length && !/[\s>]/.test(html[index])) index++;
+        value = html.slice(valueStart, index);
+      }
+    }
+    if (name && !Object.prototype.hasOwnProperty.call(attributes, name)) {
+      attributes[name] = decodeEntities(value, { inAttribute: true });
+    }
+  }
+
+  return { attributes, end: length };
+}
+
+
+// Parses a whole document into a root Element (tagName '#document'). Never throws: truncated or
+// malformed markup yields whatever tree the well-formed part describes.
+function parseHTML(html) {
+  const document = new Element('#document');
+  const stack = [document];
+  const current = () => stack[stack.length - 1];
+  const length = html.length;
+  let index = 0;
+
+  const appendText = text => {
+    if (text) current().childNodes.push(new TextNode(decodeEntities(text), current()));
+  };
+
+  const closeElement = tagName => {
+    for (let i = stack.length - 1; i > 0; i--) {
+      if (stack[i].tagName === tagName) {
+        stack.length = i;
+        return;
+      }
+    }
+    // A stray end tag is ignored
+  };
+
+  const closeImplied = tagName => {
+    const rule = IMPLIED_END_TAGS[tagName];
+    if (!rule) return;
+    for (let i = stack.length - 1; i > 0; i--) {
+      if (rule.scope.includes(stack[i].tagName)) return;
+      if (rule.closes.includes(stack[i].tagName)) {
+        stack.length = i;
+        return;
+      }
+    }
+  };
+
+  while (index < length) {
+    const open = html.indexOf('<', index);
+    if (open === -1) {
+      appendText(html.slice(index));
+      break;
+    }
+    appendText(html.slice(index, open));
+    index = open;
+
+    if (html.startsWith('<!--', index)) {
+      const close = html.indexOf('-->', index + 4);
+      index = close === -1 ? length : close + 3;
+      continue;
+    }
+    if (html[index + 1] === '!' || html[index + 1] === '?') {
+      const close = html.indexOf('>', index);
+      index = close === -1 ? length : close + 1;
+      continue;
+    }
+
+    const endTag = html.slice(index, index + 64).match(/^<\/([a-z][a-z0-9-]*)[^>]*>?/i);
+    if (endTag) {
+      closeElement(endTag[1].toLowerCase());
+      index += endTag[0].length;
+      continue;
+    }
+
+    const startTag = html.slice(index, index + 64).match(/^<([a-z][a-z0-9-]*)/i);
+    if (!startTag) {
+      // "a < b" in text
+      appendText('<');
+      index++;
+      continue;
+    }
+
+    const tagName = startTag[1].toLowerCase();
+    const { attributes, end } = readAttributes(html, index + startTag[0].length);
+    const selfClosing = html[end - 2] === '/';
+    index = end;
+
+    closeImplied(tagName);
+    const element = new Element(tagName, attributes, current());
+    current().childNodes.push(element);
+
+    if (RAW_TEXT_ELEMENTS.has(tagName)) {
+      const endPattern = new RegExp(`</${tagName}`, 'gi');
+      endPattern.lastIndex = index;
+      const close = endPattern.exec(html)?.index ?? -1;
+      const contentEnd = close === -1 ? length : close;
+      const content = html.slice(index, contentEnd);
+      if (content) {
+        element.childNodes.push(new TextNode(tagName === 'script' || tagName === 'style' ? content : decodeEntities(content), element));
+      }
+      const closeEnd = close === -1 ? length : html.indexOf('>', close);
+      index = closeEnd === -1 ? length : closeEnd + 1;
+      continue;
+    }
+
+    if (!VOID_ELEMENTS.has(tagName) && !selfClosing) {
+      stack.push(element);
+    }
+  }
+
+  return document;
+}
+
+module.exports = { parseHTML, decodeEntities, Element, TextNode };
@@ -0,0 +1,508 @@
+const { escapeHtml } = require('./html');
+const { parseTimestamp } = require('./timestamp');
+const { STOP_REASONS } = require('./politeness');
+const { PAGE_METRICS, formatMetricValue, isSlow } = require('./page-performance');
+
+// Everything scraped (titles, URLs, authors, timestamps, error messages) goes through escapeHtml.
+// The inline script below only reads data-* attributes and text, never scraped values spliced into JS.
+
+
+// Only http(s) links become clickable; escaping alone would let a javascript: URL through
+function safeHref(url) {
+  try {
+    const parsed = new URL(url);
+    return ['http:', 'https:'].includes(parsed.protocol) ? parsed.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+
+// Positions taking part in a sorting error; both articles of each misordered pair are flagged
+function outOfOrderPositions(run) {
+  const positions = new Set();
+  (run.sortingErrors || []).forEach(error => {
+    positions.add(error.position);
+    positions.add(error.position + 1);
+  });
+  return positions;
+}
+
+
+function renderSummary(summary) {
+  return `
+        <div class="summary">
+            <div class="metric">
+                <div class="metric-value ${summary.successRate === 100 ? 'success' : 'failure'}">
+                    ${summary.successRate.toFixed(1)}%
+                </div>
+                <div class="metric-label">Success Rate</div>
+            </div>
+            <div class="metric">
+                <div class="metric-value">${summary.totalRuns}</div>
+                <div class="metric-label">Total Tests</div>
+            </div>
+            <div class="metric">
+                <div class="metric-value">${summary.averageArticlesCollected.toFixed(0)}</div>
+                <div class="metric-label">Avg Articles</div>
+            </div>
+            <div class="metric">
+                <div class="metric-value ${summary.totalSortingErrors === 0 ? 'success' : 'failure'}">
+                    ${summary.totalSortingErrors}
+                </div>
+                <div class="metric-label">Sorting Errors</div>
+            </div>
+        </div>`;
+}
+
+
+// p50/p95 over every page load of the run set, overall and per browser
+function renderPagePerformance(pagePerformance) {
+  if (!pagePerformance || pagePerformance.pages === 0) return '';
+
+  const groups = [['All', pagePerformance], ...Object.entries(pagePerformance.byBrowser).filter(([, group]) => group.pages > 0)];
+  return `
+        <h2>Page Performance</h2>
+        <p class="timestamp">p50 / p95 over ${escapeHtml(pagePerformance.pages)} page loads</p>
+        <table>
+            <thead>
+                <tr><th>Browser</th><th>Pages</th>${PAGE_METRICS.map(metric => `<th>${escapeHtml(metric.label)}</th>`).join('')}</tr>
+            </thead>
+            <tbody>
+                ${groups.map(([browser, group]) => `
+                    <tr>
+                        <td>${escapeHtml(browser)}</td>
+                        <td>${escapeHtml(group.pages)}</td>
+                        ${PAGE_METRICS.map(metric => {
+                          const { p50, p95 } = group.metrics[metric.key];
+                          return `<td>${escapeHtml(formatMetricValue(metric, p50))} / ${escapeHtml(formatMetricValue(metric, p95))}</td>`;
+                        }).join('')}
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>`;
+}
+
+
+// One row per navigation; cells at or above the p95 of all page loads are flagged
+function renderPageTimings(run, pagePerformance) {
+  const pages = run.performanceMetrics?.pages || [];
+  if (pages.length === 0) return '';
+
+  return `
+                <table>
+                    <thead>
+                        <tr><th>Page</th>${PAGE_METRICS.map(metric => `<th>${escapeHtml(metric.label)}</th>`).join('')}</tr>
+                    </thead>
+                    <tbody>
+                        ${pages.map(page => `
+                            <tr>
+                                <td>${escapeHtml(page.page)}</td>
+                                ${PAGE_METRICS.map(metric => `<td${isSlow(metric, page, pagePerformance) ? ' class="failure"' : ''}>${escapeHtml(formatMetricValue(metric, metric.value(page)))}</td>`).join('')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>`;
+}
+
+
+// Inline SVG scatter of parsed timestamp against position; a correctly sorted listing slopes down
+function renderTimelineChart(run, flagged) {
+  const points = (run.articles || [])
+    .map(article => ({ article, date: parseTimestamp(article.timestamp, article.capturedAt) }))
+    .filter(point => point.date);
+
+  if (points.length < 2) return '';
+
+  const width = 1000;
+  const height = 300;
+  const padding = 50;
+  const times = points.map(point => point.date.getTime());
+  const minTime = Math.min(...times);
+  const maxTime = Math.max(...times);
+  const maxPosition = Math.max(...points.map(point => point.article.position));
+  const x = position => padding + ((position - 1) / Math.max(1, maxPosition - 1)) * (width - 2 * padding);
+  const y = time => padding + ((maxTime - time) / Math.max(1, maxTime - minTime)) * (height - 2 * padding);
+
+  const circles = points.map(({ article, date }) => {
+    const bad = flagged.has(article.position);
+    return `
+                <circle cx="${x(article.position).toFixed(1)}" cy="${y(date.getTime()).toFixed(1)}" r="${bad ? 5 : 3}" class="${bad ? 'point-bad' : 'point'}"><title>#${escapeHtml(article.position)} ${escapeHtml(article.title)} (${escapeHtml(date.toISOString())})</title></circle>`;
+  }).join('');
+
+  return `
+            <h4>Timestamp vs Position</h4>
+            <svg class="timeline" viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="Timestamp against position">
+                <line x1="${padding}" y1="${height - padding}" x2="${width - padding}" y2="${height - padding}" stroke="#ccc"/>
+                <line x1="${padding}" y1="${padding}" x2="${padding}" y2="${height - padding}" stroke="#ccc"/>
+                <text x="${padding}" y="${padding - 10}" font-size="11">${escapeHtml(new Date(maxTime).toISOString())} (newest)</text>
+                <text x="${padding}" y="${height - padding + 20}" font-size="11">${escapeHtml(new Date(minTime).toISOString())} (oldest)</text>
+                <text x="${width - padding}" y="${height - padding + 20}" font-size="11" text-anchor="end">position ${maxPosition}</text>${circles}
+            </svg>
+            <p class="timestamp">${flagged.size > 0 ? `Red points are part of an out-of-order pair (${flagged.size} articles).` : 'No out-of-order points.'}</p>`;
+}
+
+
+function renderArticleTable(run, flagged) {
+  const articles = run.articles || [];
+  if (articles.length === 0) return '';
+
+  const rows = articles.map(article => {
+    const href = safeHref(article.url);
+    const date = parseTimestamp(article.timestamp, article.capturedAt);
+    const bad = flagged.has(article.position);
+    return `
+                    <tr class="${bad ? 'out-of-order' : ''}" data-out-of-order="${bad}">
+                        <td data-sort="${escapeHtml(article.page)}">${escapeHtml(article.page)}</td>
+                        <td data-sort="${escapeHtml(article.position)}">${escapeHtml(article.position)}</td>
+                        <td data-sort="${escapeHtml(article.rank ?? '')}">${escapeHtml(article.rank ?? '')}</td>
+                        <td data-sort="${escapeHtml(article.id ?? '')}">${escapeHtml(article.id ?? '')}</td>
+                        <td>${href ? `<a href="${escapeHtml(href)}" rel="noopener noreferrer">${escapeHtml(article.title)}</a>` : escapeHtml(article.title)}</td>
+                        <td>${escapeHtml(article.domain ?? '')}</td>
+                        <td>${escapeHtml(article.author ?? '')}</td>
+                        <td data-sort="${escapeHtml(article.points ?? '')}">${escapeHtml(article.points ?? '')}</td>
+                        <td data-sort="${escapeHtml(article.commentCount ?? '')}">${escapeHtml(article.commentCount ?? '')}</td>
+                        <td data-sort="${date ? date.getTime() : ''}">${escapeHtml(article.timestamp)}</td>
+                    </tr>`;
+  }).join('');
+
+  return `
+            <details>
+                <summary>All ${articles.length} articles</summary>
+                <div class="table-tools">
+                    <input type="search" class="article-filter" placeholder="Filter by title, domain, author...">
+                    <label><input type="checkbox" class="out-of-order-only"> Out-of-order only</label>
+                </div>
+                <table class="articles">
+                    <thead>
+                        <tr>
+                            <th data-type="number">Page</th><th data-type="number">Position</th><th data-type="number">Rank</th><th data-type="number">ID</th>
+                            <th>Title</th><th>Domain</th><th>Author</th>
+                            <th data-type="number">Points</th><th data-type="number">Comments</th><th data-type="number">Timestamp</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}
+                    </tbody>
+                </table>
+            </details>`;
+}
+
+
+// screenshots maps page number to a path relative to the report
+function renderPages(run, screenshots) {
+  const pages = [...new Set((run.articles || []).map(article => article.page))].sort((a, b) => a - b);
+  if (pages.length === 0) return '';
+
+  return `
+            <h4>Pages</h4>
+            <div class="pages">
+                ${pages.map(page => {
+                  const onPage = run.articles.filter(article => article.page === page);
+                  const first = onPage[0].position;
+                  const last = onPage[onPage.length - 1].position;
+                  const screenshot = screenshots[page];
+                  return `
+                <div class="page">
+                    <strong>Page ${escapeHtml(page)}</strong>
+                    <div class="timestamp">${onPage.length} articles, positions ${escapeHtml(first)}–${escapeHtml(last)}</div>
+                    ${screenshot ? `<a href="${escapeHtml(screenshot)}"><img src="${escapeHtml(screenshot)}" alt="Screenshot of page ${escapeHtml(page)}" loading="lazy"></a>` : '<div class="timestamp">No screenshot</div>'}
+                </div>`;
+                }).join('')}
+            </div>`;
+}
+
+
+function renderRun(run, screenshots, pagePerformance) {
+  const flagged = outOfOrderPositions(run);
+
+  return `
+        <div class="browser-result ${run.success ? 'success' : 'failure'}">
+            <h3>${escapeHtml(String(run.browser).toUpperCase())} Browser</h3>
+            <p><strong>Status:</strong> <span class="${run.success ? 'success' : 'failure'}">${run.success ? '✅ PASSED' : '❌ FAILED'}</span></p>
+            ${run.error ? `<p><strong>Error:</strong> ${escapeHtml(run.error)}</p>` : ''}
+            ${run.stoppedBy ? `<p><strong>Stopped By Budget:</strong> ${escapeHtml(STOP_REASONS[run.stoppedBy] || run.stoppedBy)} after ${escapeHtml(run.navigations)} navigation(s)</p>` : ''}
+            <p><strong>Articles Collected:</strong> ${escapeHtml(run.articlesCollected || 0)}</p>
+            <p><strong>Rule Errors / Warnings:</strong> ${escapeHtml(run.ruleErrors || 0)} / ${escapeHtml(run.ruleWarnings || 0)}</p>
+            <p><strong>Strict Violations:</strong> ${run.sortingErrors?.length || 0}</p>
+            <p><strong>Ambiguous Ties:</strong> ${run.ambiguousTies?.length || 0}</p>
+            <p><strong>Pagination Drift Findings:</strong> ${run.paginationFindings?.length || 0}</p>
+            <p><strong>Timestamp Parse Failures:</strong> ${escapeHtml(run.timestampParseFailures?.count || 0)}${run.timestampParseFailures?.unparsed?.length ? ` (${run.timestampParseFailures.unparsed.map(value => `<code>${escapeHtml(value)}</code>`).join(', ')})` : ''}</p>
+
+            ${run.performanceMetrics ? `
+                <h4>Performance Metrics</h4>
+                <ul>
+                    <li>Total Execution Time: ${escapeHtml(run.performanceMetrics.totalTime)}ms</li>
+                    <li>Average Page Load Time: ${escapeHtml(run.performanceMetrics.averagePageLoadTime?.toFixed(2))}ms</li>
+                    <li>Network Requests: ${escapeHtml(run.performanceMetrics.networkRequests)}</li>
+                    <li>Processing Errors: ${run.performanceMetrics.errors?.length || 0}</li>
+                </ul>
+                ${renderPageTimings(run, pagePerformance)}
+            ` : ''}
+
+            ${run.sortingErrors && run.sortingErrors.length > 0 ? `
+                <h4>Sorting Errors</h4>
+                <table>
+                    <thead>
+                        <tr><th>Position</th><th>Reason</th><th>Current Article</th><th>Next Article</th></tr>
+                    </thead>
+                    <tbody>
+                        ${run.sortingErrors.map(error => `
+                            <tr>
+                                <td>${escapeHtml(error.position)}</td>
+                                <td>${error.reason === 'item_id' ? 'Item ID order' : 'Timestamp order'}</td>
+                                <td>${escapeHtml(error.current.title)} <span class="timestamp">(${escapeHtml(error.current.timestamp)})</span></td>
+                                <td>${escapeHtml(error.next.title)} <span class="timestamp">(${escapeHtml(error.next.timestamp)})</span></td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            ` : ''}
+
+            ${run.ruleResults && run.ruleResults.length > 0 ? `
+                <h4>Validation Rules</h4>
+                <table>
+                    <thead>
+                        <tr><th>Rule</th><th>Severity</th><th>Status</th><th>Findings</th></tr>
+                    </thead>
+                    <tbody>
+                        ${run.ruleResults.map(result => `
+                            <tr>
+                                <td>${escapeHtml(result.rule)}</td>
+                                <td>${escapeHtml(result.severity)}</td>
+                                <td class="${result.passed ? 'success' : 'failure'}">${result.passed ? '✅ Passed' : '❌ Failed'}</td>
+                                <td>${result.findings.length === 0 ? '-' : result.findings.map(finding => `
+                                    <div>[${escapeHtml(finding.severity)}]${finding.position ? ` #${escapeHtml(finding.position)}` : ''} ${escapeHtml(finding.message)}</div>
+                                `).join('')}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            ` : ''}
+
+            ${run.paginationFindings && run.paginationFindings.length > 0 ? `
+                <h4>Pagination Drift</h4>
+                <table>
+                    <thead>
+                        <tr><th>Type</th><th>Pages</th><th>Details</th></tr>
+                    </thead>
+                    <tbody>
+                        ${run.paginationFindings.map(finding => `
+                            <tr>
+                                <td>${escapeHtml(finding.type)}</td>
+                                <td>${finding.pages.map(escapeHtml).join(' → ')}</td>
+                                <td>${escapeHtml(finding.message)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            ` : ''}
+
+            ${renderTimelineChart(run, flagged)}
+            ${renderPages(run, screenshots)}
+            ${renderArticleTable(run, flagged)}
+        </div>`;
+}
+
+
+function renderCrossBrowser(crossBrowser) {
+  if (!crossBrowser?.checked) return '';
+
+  return `
+        <h3>Cross-Browser Consistency</h3>
+        <p><strong>Reference Browser:</strong> ${escapeHtml(crossBrowser.reference)}</p>
+        <table>
+            <thead>
+                <tr><th>Browser</th><th>Status</th><th>Missing</th><th>Extra</th><th>Out of Order</th><th>First Mismatch</th></tr>
+            </thead>
+            <tbody>
+                ${crossBrowser.comparisons.map(comparison => `
+                    <tr>
+                        <td>${escapeHtml(comparison.browser)}</td>
+                        <td class="${comparison.consistent ? 'success' : 'failure'}">${comparison.consistent ? '✅ Identical' : '❌ Differs'}</td>
+                        <td>${comparison.missing.length}</td>
+                        <td>${comparison.extra.length}</td>
+                        <td>${escapeHtml(comparison.orderMismatches)}</td>
+                        <td>${comparison.firstMismatch ? `#${escapeHtml(comparison.firstMismatch.position)}: expected ${escapeHtml(comparison.firstMismatch.expected)}, got ${escapeHtml(comparison.firstMismatch.actual)}` : '-'}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>`;
+}
+
+
+function renderApiCheck(apiCheck) {
+  if (!apiCheck) return '';
+  if (!apiCheck.checked) {
+    return `
+        <h3>API Cross-Check</h3>
+        <p>Not run: ${escapeHtml(apiCheck.reason)}</p>`;
+  }
+
+  const list = (entries, describe) => entries.slice(0, 10).map(describe).join('<br>') +
+    (entries.length > 10 ? `<br>and ${entries.length - 10} more` : '') || '-';
+
+  return `
+        <h3>API Cross-Check (${escapeHtml(apiCheck.list)})</h3>
+        <p><strong>Time Tolerance:</strong> ${escapeHtml(apiCheck.toleranceSec)}s</p>
+        <table>
+            <thead>
+                <tr><th>Browser</th><th>Status</th><th>Compared</th><th>Not in API List</th><th>Not on Page</th><th>Time Mismatches</th><th>Order Disagreements</th></tr>
+            </thead>
+            <tbody>
+                ${apiCheck.comparisons.map(comparison => `
+                    <tr>
+                        <td>${escapeHtml(comparison.browser)}</td>
+                        <td class="${comparison.consistent ? 'success' : 'failure'}">${comparison.consistent ? '✅ Agrees' : '❌ Differs'}</td>
+                        <td>${escapeHtml(comparison.articlesCompared)}${comparison.outsideOverlap > 0 ? ` (${escapeHtml(comparison.outsideOverlap)} outside the overlap)` : ''}</td>
+                        <td>${list(comparison.missingFromApi, article => `#${escapeHtml(article.position)} ${escapeHtml(article.title)}`)}</td>
+                        <td>${list(comparison.missingFromScrape, item => `${escapeHtml(item.title ?? item.id)}${item.dead ? ' (dead)' : item.deleted ? ' (deleted)' : ''}`)}</td>
+                        <td>${list(comparison.timestampMismatches, mismatch => `#${escapeHtml(mismatch.position)} ${escapeHtml(mismatch.title)}: ${escapeHtml(mismatch.differenceSec)}s`)}</td>
+                        <td>${list(comparison.orderDisagreements, disagreement => `#${escapeHtml(disagreement.position)} ${escapeHtml(disagreement.title)} / ${escapeHtml(disagreement.next.title)}`)}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>`;
+}
+
+
+function renderEngineCheck(engineCheck) {
+  if (!engineCheck?.checked) return '';
+
+  const describeMismatch = mismatch =>
+    `#${escapeHtml(mismatch.position)} ${escapeHtml(mismatch.field)}: ${escapeHtml(JSON.stringify(mismatch.browserValue))} vs ${escapeHtml(JSON.stringify(mismatch.httpValue))}`;
+
+  return `
+        <h3>Engine Cross-Check (browser vs http)</h3>
+        <table>
+            <thead>
+                <tr><th>Browser</th><th>Status</th><th>Compared</th><th>Missing from http</th><th>Missing from Browser</th><th>Field Mismatches</th></tr>
+            </thead>
+            <tbody>
+                ${engineCheck.comparisons.map(comparison => `
+                    <tr>
+                        <td>${escapeHtml(comparison.browser)}</td>
+                        <td class="${comparison.consistent ? 'success' : 'failure'}">${comparison.consistent ? '✅ Identical' : '❌ Differs'}</td>
+                        <td>${escapeHtml(comparison.articlesCompared)}${comparison.outsideOverlap > 0 ? ` (${escapeHtml(comparison.outsideOverlap)} outside the overlap)` : ''}</td>
+                        <td>${comparison.missingFromHttp.map(article => escapeHtml(article.title)).join('<br>') || '-'}</td>
+                        <td>${comparison.missingFromBrowser.map(article => escapeHtml(article.title)).join('<br>') || '-'}</td>
+                        <td>${comparison.fieldMismatches.slice(0, 10).map(describeMismatch).join('<br>') || '-'}${comparison.fieldMismatches.length > 10 ? `<br>and ${comparison.fieldMismatches.length - 10} more` : ''}</td>
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>`;
+}
+
+
+// Click a header to sort, type to filter; empty data-sort values sort last
+const TABLE_SCRIPT = `
+        document.querySelectorAll('table.articles').forEach(table => {
+            const body = table.tBodies[0];
+            const tools = table.previousElementSibling;
+            const filter = tools.querySelector('.article-filter');
+            const outOfOrderOnly = tools.querySelector('.out-of-order-only');
+
+            const applyFilter = () => {
+                const needle = filter.value.trim().toLowerCase();
+                Array.from(body.rows).forEach(row => {
+                    const matches = !needle || row.textContent.toLowerCase().includes(needle);
+                    const flagged = !outOfOrderOnly.checked || row.dataset.outOfOrder === 'true';
+                    row.hidden = !(matches && flagged);
+                });
+            };
+            filter.addEventListener('input', applyFilter);
+            outOfOrderOnly.addEventListener('change', applyFilter);
+
+            Array.from(table.tHead.rows[0].cells).forEach((header, column) => {
+                header.addEventListener('click', () => {
+                    const ascending = header.dataset.order !== 'asc';
+                    Array.from(header.parentNode.cells).forEach(cell => delete cell.dataset.order);
+                    header.dataset.order = ascending ? 'asc' : 'desc';
+
+                    const numeric = header.dataset.type === 'number';
+                    const value = row => {
+                        const cell = row.cells[column];
+                        return cell.dataset.sort !== undefined ? cell.dataset.sort : cell.textContent.trim();
+                    };
+                    const rows = Array.from(body.rows).sort((a, b) => {
+                        const left = value(a);
+                        const right = value(b);
+                        if (left === '' || right === '') return left === right ? 0 : left === '' ? 1 : -1;
+                        const order = numeric ? Number(left) - Number(right) : left.localeCompare(right);
+                        return ascending ? order : -order;
+                    });
+                    rows.forEach(row => body.appendChild(row));
+                });
+            });
+        });`;
+
+
+// screenshots: { [feed]: { [browser]: { [page]: relativePath } } }
+function formatHTMLReport(results, screenshots = {}) {
+  const feedNames = [...new Set(results.testRuns.map(run => run.feed))];
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Hacker News Validation Report</title>
+    <style>
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 20px; background: #f5f5f5; }
+        .container { max-width: 1200px; margin: 0 auto; background: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
+        h1 { color: #ff6600; text-align: center; margin-bottom: 30px; }
+        .summary { background: #f8f9fa; padding: 20px; border-radius: 8px; margin-bottom: 30px; }
+        .metric { display: inline-block; margin: 10px 20px; text-align: center; }
+        .metric-value { font-size: 2em; font-weight: bold; color: #333; }
+        .metric-label { font-size: 0.9em; color: #666; }
+        .success { color: #28a745; }
+        .failure { color: #dc3545; }
+        .browser-result { border: 1px solid #ddd; margin: 20px 0; padding: 20px; border-radius: 8px; }
+        .browser-result.success { border-left: 5px solid #28a745; }
+        .browser-result.failure { border-left: 5px solid #dc3545; }
+        table { width: 100%; border-collapse: collapse; margin: 20px 0; }
+        th, td { text-align: left; padding: 12px; border-bottom: 1px solid #ddd; }
+        th { background: #f8f9fa; font-weight: 600; }
+        table.articles th { cursor: pointer; user-select: none; }
+        table.articles th[data-order="asc"]::after { content: ' ▲'; }
+        table.articles th[data-order="desc"]::after { content: ' ▼'; }
+        table.articles td { padding: 6px 10px; font-size: 0.9em; }
+        tr.out-of-order { background: #fdecea; }
+        .table-tools { display: flex; gap: 20px; align-items: center; margin-top: 10px; }
+        .table-tools input[type="search"] { flex: 1; padding: 6px 10px; }
+        .timeline .point { fill: #ff6600; }
+        .timeline .point-bad { fill: #dc3545; stroke: #000; }
+        .pages { display: grid; grid-template-columns: repeat(auto-fill, minmax(220px, 1fr)); gap: 15px; }
+        .page img { width: 100%; border: 1px solid #ddd; margin-top: 5px; }
+        details summary { cursor: pointer; font-weight: 600; margin-top: 15px; }
+        .timestamp { font-size: 0.9em; color: #666; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h1>🔍 Hacker News Sorting Validation Report</h1>
+        ${renderSummary(results.summary)}
+        ${renderPagePerformance(results.summary.pagePerformance)}
+
+        <h2>Test Results by Feed</h2>
+        ${feedNames.map(feedName => {
+          const runs = results.testRuns.filter(run => run.feed === feedName);
+          return `
+        <h2>${escapeHtml(feedName)} <span class="timestamp">(${escapeHtml((runs[0].rules || []).join(', '))})</span></h2>
+        ${runs.map(run => renderRun(run, screenshots[feedName]?.[run.browser] || {}, results.summary.pagePerformance)).join('')}
+        ${renderCrossBrowser(results.crossBrowser?.[feedName])}
+        ${renderApiCheck(results.apiCheck?.[feedName])}
+        ${renderEngineCheck(results.engineCheck?.[feedName])}`;
+        }).join('')}
+
+        <div class="timestamp">
+            Report generated on ${new Date().toLocaleString()}
+        </div>
+    </div>
+    <script>${TABLE_SCRIPT}
+    </script>
+</body>
+</html>`;
+}
+
+module.exports = { formatHTMLReport, safeHref };
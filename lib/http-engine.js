@@ -0,0 +1,98 @@
+const { parseHTML } = require('./html-parser');
+
+// Extraction for the browserless engine: the fields, fallbacks and skips of the page.evaluate code
+// in index.js (the main scrape loop and extractArticleMetadata), applied to a parsed document
+
+
+function resolveHref(href, pageUrl) {
+  try {
+    return new URL(href, pageUrl).href;
+  } catch (error) {
+    return href;
+  }
+}
+
+
+function extractArticleMetadata(node, pageUrl) {
+  const subtext = node.nextElementSibling?.querySelector('.subtext') || node.nextElementSibling;
+  const link = node.querySelector('.titleline > a') || node.querySelector('a.storylink');
+  const href = link?.getAttribute('href');
+
+  const scoreText = subtext?.querySelector('.score')?.textContent || '';
+  const points = /\d+/.test(scoreText) ? parseInt(scoreText.match(/\d+/)[0], 10) : null;
+  const author = subtext?.querySelector('.hnuser')?.textContent?.trim() || null;
+
+  let commentCount = null;
+  const links = subtext ? subtext.querySelectorAll('a') : [];
+  for (const anchor of links.reverse()) {
+    const text = anchor.textContent.replace(/\u00a0/g, ' ').trim();
+    const match = text.match(/^(\d+)\s+comments?$/);
+    if (match) {
+      commentCount = parseInt(match[1], 10);
+      break;
+    }
+    if (text === 'discuss') {
+      commentCount = 0;
+      break;
+    }
+  }
+
+  return {
+    url: href !== null && href !== undefined ? resolveHref(href, pageUrl) || null : null,
+    domain: node.querySelector('.sitestr')?.textContent?.trim() || null,
+    points,
+    author,
+    commentCount,
+    isJob: points === null && author === null
+  };
+}
+
+
+// One tr.athing row; resolves to { article } or, for rows the browser engine would skip too,
+// { skipped } with the same log message
+function extractArticle(row, pageUrl) {
+  const rawId = row.getAttribute('id');
+  const id = rawId && /^\d+$/.test(rawId) ? parseInt(rawId, 10) : null;
+
+  const rankValue = parseInt(row.querySelector('.rank')?.textContent || '', 10);
+  const rank = Number.isNaN(rankValue) ? null : rankValue;
+
+  const subtextRow = row.nextElementSibling;
+  if (!subtextRow) {
+    return { skipped: 'No subtext row found for article' };
+  }
+
+  const timestamp = subtextRow.querySelector('.age')?.getAttribute('title') ||
+    subtextRow.querySelector('.age a')?.getAttribute('title') ||
+    subtextRow.querySelector('[title]')?.getAttribute('title') ||
+    subtextRow.querySelector('.age')?.textContent?.trim() ||
+    subtextRow.querySelector('.age a')?.textContent?.trim() ||
+    null;
+  if (!timestamp) {
+    return { skipped: 'Skipping article - no timestamp found' };
+  }
+
+  const title = row.querySelector('.titleline a')?.textContent?.trim() ||
+    row.querySelector('a.storylink')?.textContent?.trim() ||
+    null;
+  if (!title) {
+    return { skipped: 'Skipping article - no title found' };
+  }
+
+  return { article: { id, rank, title, ...extractArticleMetadata(row, pageUrl), timestamp } };
+}
+
+
+// Everything one listing page holds: its article rows, the more link, and the text a throttling
+// page would be recognized by
+function parseListing(html) {
+  const document = parseHTML(html);
+  return {
+    document,
+    rows: document.querySelectorAll('tr.athing'),
+    moreHref: document.querySelector('a.morelink')?.getAttribute('href') || null,
+    bodyText: (document.querySelector('body') || document).textContent.slice(0, 2000)
+  };
+}
+
+module.exports = { parseListing, extractArticle, extractArticleMetadata };
@@ -0,0 +1,91 @@
+const fs = require('fs');
+const util = require('util');
+
+// SUCCESS is an INFO-level message that gets its own color
+const LEVELS = {
+  DEBUG: 10,
+  INFO: 20,
+  SUCCESS: 20,
+  WARN: 30,
+  ERROR: 40
+};
+
+const COLORS = {
+  DEBUG: '\x1b[90m',   // Grey
+  INFO: '\x1b[36m',    // Cyan
+  WARN: '\x1b[33m',    // Yellow
+  ERROR: '\x1b[31m',   // Red
+  SUCCESS: '\x1b[32m', // Green
+  RESET: '\x1b[0m'
+};
+
+
+function normalizeLevel(level) {
+  const name = String(level || 'INFO').toUpperCase();
+  if (!(name in LEVELS)) {
+    throw new Error(`Unknown log level "${level}" (expected ${Object.keys(LEVELS).filter(l => l !== 'SUCCESS').map(l => l.toLowerCase()).join(', ')})`);
+  }
+  return name;
+}
+
+
+// Console output filtered by level, plus an optional JSON Lines sink that receives every entry
+class Logger {
+  constructor(options = {}) {
+    this.level = normalizeLevel(options.level);
+    this.stream = options.stream || process.stdout;
+    // NO_COLOR (https://no-color.org) wins; otherwise color only when a terminal is attached
+    this.color = options.color ?? (!process.env.NO_COLOR && !!this.stream.isTTY);
+    // With several feeds the console tag reads [feed/browser] instead of [browser]
+    this.showFeed = !!options.showFeed;
+    this.file = null;
+    this.filePath = null;
+  }
+
+  openFile(filePath) {
+    this.filePath = filePath;
+    this.file = fs.createWriteStream(filePath, { flags: 'a' });
+    this.file.on('error', error => {
+      this.file = null;
+      this.write('WARN', `Log file disabled: ${error.message}`, { path: filePath }, {});
+    });
+  }
+
+  closeFile() {
+    const file = this.file;
+    this.file = null;
+    if (!file) return Promise.resolve();
+    return new Promise(resolve => file.end(resolve));
+  }
+
+  // context carries the run-scoped tags (runId, feed, browser, page)
+  log(level, message, metadata = {}, context = {}) {
+    const name = normalizeLevel(level);
+
+    if (this.file) {
+      const entry = {
+        timestamp: new Date().toISOString(),
+        level: name,
+        message,
+        ...context,
+        metadata
+      };
+      this.file.write(JSON.stringify(entry) + '\n');
+    }
+
+    if (LEVELS[name] >= LEVELS[this.level]) {
+      this.write(name, message, metadata, context);
+    }
+  }
+
+  write(level, message, metadata, context) {
+    const label = this.color ? `${COLORS[level]}[${level}]${COLORS.RESET}` : `[${level}]`;
+    const tag = context.browser ? `[${this.showFeed && context.feed ? `${context.feed}/` : ''}${context.browser}] ` : '';
+    const details = metadata && Object.keys(metadata).length > 0
+      ? ' ' + util.inspect(metadata, { colors: this.color, breakLength: 120 })
+      : '';
+    this.stream.write(`${label} ${tag}${message}${details}\n`);
+  }
+}
+
+module.exports = { Logger, LEVELS, normalizeLevel };
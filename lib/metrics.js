@@ -0,0 +1,218 @@
+const http = require('http');
+const fs = require('fs').promises;
+const path = require('path');
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Seconds; listing pages usually take 0.5-5s, retries and slow pages go well beyond
+const PAGE_LOAD_BUCKETS = [0.25, 0.5, 1, 2, 5, 10, 20, 30, 60];
+
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+
+function formatNumber(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+
+// One counter, gauge or histogram with its labelled series
+class Metric {
+  constructor(type, name, help, labelNames = [], buckets = null) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.buckets = buckets;
+    this.series = new Map();
+  }
+
+  getSeries(labels) {
+    const values = Object.fromEntries(this.labelNames.map(name => [name, labels[name] ?? '']));
+    const key = JSON.stringify(values);
+    if (!this.series.has(key)) {
+      this.series.set(key, this.type === 'histogram'
+        ? { labels: values, counts: this.buckets.map(() => 0), sum: 0, count: 0 }
+        : { labels: values, value: 0 });
+    }
+    return this.series.get(key);
+  }
+
+  inc(labels = {}, amount = 1) {
+    if (amount < 0) throw new Error(`${this.name}: counters only go up`);
+    this.getSeries(labels).value += amount;
+  }
+
+  set(labels, value) {
+    this.getSeries(labels).value = value;
+  }
+
+  observe(labels, value) {
+    const series = this.getSeries(labels);
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  render() {
+    const lines = [
+      `# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`,
+      `# TYPE ${this.name} ${this.type}`
+    ];
+
+    this.series.forEach(series => {
+      if (this.type !== 'histogram') {
+        lines.push(`${this.name}${formatLabels(series.labels)} ${formatNumber(series.value)}`);
+        return;
+      }
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: formatNumber(bound) })} ${series.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(series.labels)} ${formatNumber(series.sum)}`);
+      lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    });
+
+    return lines.join('\n');
+  }
+}
+
+
+// Holds every metric and renders them in the Prometheus text exposition format. Asking for an
+// existing name returns the same metric, so recorders can be called again for each run.
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  define(type, name, help, labelNames, buckets) {
+    const existing = this.metrics.get(name);
+    if (existing) {
+      if (existing.type !== type) throw new Error(`Metric ${name} is already a ${existing.type}`);
+      return existing;
+    }
+    const metric = new Metric(type, name, help, labelNames, buckets);
+    this.metrics.set(name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames = []) {
+    return this.define('counter', name, help, labelNames);
+  }
+
+  gauge(name, help, labelNames = []) {
+    return this.define('gauge', name, help, labelNames);
+  }
+
+  histogram(name, help, labelNames = [], buckets = PAGE_LOAD_BUCKETS) {
+    return this.define('histogram', name, help, labelNames, [...buckets].sort((a, b) => a - b));
+  }
+
+  render() {
+    return [...this.metrics.values()]
+      .filter(metric => metric.series.size > 0)
+      .map(metric => metric.render())
+      .join('\n') + '\n';
+  }
+}
+
+
+function scraperMetrics(registry) {
+  const labels = ['browser', 'feed'];
+  return {
+    runs: registry.counter('hn_scraper_runs_total', 'Feed/browser runs by result (pass, fail, or error when the run could not finish)', [...labels, 'result']),
+    pageLoad: registry.histogram('hn_scraper_page_load_seconds', 'Time to load and process one listing page', labels),
+    sortingErrors: registry.counter('hn_scraper_sorting_errors_total', 'Adjacent articles found out of newest-to-oldest order', labels),
+    retries: registry.counter('hn_scraper_retries_total', 'Navigations retried after rate limits, 5xx responses, timeouts or network errors', [...labels, 'operation', 'reason']),
+    processingErrors: registry.counter('hn_scraper_processing_errors_total', 'Articles and pages that could not be processed', [...labels, 'type']),
+    networkRequests: registry.counter('hn_scraper_network_requests_total', 'Requests made by the browser page, or listing pages fetched by the http engine', labels),
+    articles: registry.gauge('hn_scraper_articles_collected', 'Articles collected by the latest run', labels),
+    success: registry.gauge('hn_scraper_last_run_success', '1 if the latest run passed, 0 if it failed', labels),
+    duration: registry.gauge('hn_scraper_run_duration_seconds', 'Duration of the latest run', labels),
+    lastRun: registry.gauge('hn_scraper_last_run_timestamp_seconds', 'When the latest run finished, as a Unix timestamp', labels)
+  };
+}
+
+
+// Adds one runAllTests() result to the registry: counters and histograms accumulate across runs,
+// gauges describe the latest run of each feed/browser
+function recordRunMetrics(registry, results) {
+  const metrics = scraperMetrics(registry);
+
+  results.testRuns.forEach(run => {
+    const labels = { browser: run.browser, feed: run.feed };
+    const perf = run.performanceMetrics || {};
+
+    metrics.runs.inc({ ...labels, result: run.error ? 'error' : run.success ? 'pass' : 'fail' });
+    metrics.sortingErrors.inc(labels, run.sortingErrors?.length || 0);
+    metrics.networkRequests.inc(labels, perf.networkRequests || 0);
+    (perf.pageLoadTimes || []).forEach(ms => metrics.pageLoad.observe(labels, ms / 1000));
+    (perf.errors || []).forEach(error => {
+      if (error.type === 'retry') {
+        metrics.retries.inc({ ...labels, operation: error.operation, reason: error.reason });
+      } else {
+        metrics.processingErrors.inc({ ...labels, type: error.type });
+      }
+    });
+
+    metrics.articles.set(labels, run.articlesCollected || 0);
+    metrics.success.set(labels, run.success ? 1 : 0);
+    if (perf.totalTime !== undefined) {
+      metrics.duration.set(labels, perf.totalTime / 1000);
+    }
+    metrics.lastRun.set(labels, Math.floor((Date.parse(run.timestamp || results.endTime) || Date.now()) / 1000));
+  });
+}
+
+
+// For node_exporter's textfile collector: written to a temporary file and renamed, so the
+// collector never reads a half-written file
+async function writeTextfile(registry, filePath) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, registry.render());
+  await fs.rename(tempPath, filePath);
+}
+
+
+// GET /metrics for Prometheus to scrape; resolves with the server once it is listening
+async function startMetricsServer(registry, { port, host = '0.0.0.0' } = {}) {
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (req.method !== 'GET' || pathname !== '/metrics') {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found; metrics are at /metrics\n');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPE });
+    res.end(registry.render());
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+  return server;
+}
+
+module.exports = {
+  MetricsRegistry,
+  PAGE_LOAD_BUCKETS,
+  scraperMetrics,
+  recordRunMetrics,
+  writeTextfile,
+  startMetricsServer
+};
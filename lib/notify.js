@@ -0,0 +1,283 @@
+const path = require('path');
+const { fetchWithRetryClassification, withRetry } = require('./retry');
+
+const WEBHOOK_FORMATS = ['json', 'slack', 'teams'];
+// `failure` endpoints only hear about runs that failed (and, in watch mode, about every alert)
+const WEBHOOK_EVENTS = ['always', 'failure'];
+const WEBHOOK_KEYS = ['url', 'format', 'on', 'headers', 'timeoutMs', 'retries'];
+
+const REPORT_FILES = {
+  html: 'validation-report.html',
+  text: 'validation-report.txt',
+  json: 'validation-report.json',
+  junit: 'validation-report.junit.xml',
+  tap: 'validation-report.tap'
+};
+
+// Sorting errors listed in a notification; the rest are counted
+const MAX_LISTED_ERRORS = 5;
+
+const WEBHOOK_RETRY_POLICY = { baseDelayMs: 1000, maxDelayMs: 30000, factor: 2, jitter: 0.5 };
+
+
+function detectFormat(url) {
+  const host = new URL(url).hostname;
+  if (host === 'hooks.slack.com') return 'slack';
+  if (/(^|\.)webhook\.office\.com$|(^|\.)logic\.azure\.com$/.test(host)) return 'teams';
+  return 'json';
+}
+
+
+// A webhook is a URL, or { url, format, on, headers, timeoutMs, retries }
+function resolveWebhook(spec) {
+  if (!spec || (typeof spec !== 'object' && typeof spec !== 'string') || Array.isArray(spec)) {
+    throw new Error(`expected a URL or an object with a url, got ${JSON.stringify(spec)}`);
+  }
+  const webhook = typeof spec === 'string' ? { url: spec } : { ...spec };
+
+  const unknown = Object.keys(webhook).filter(key => !WEBHOOK_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`unknown webhook setting(s) ${unknown.join(', ')} (expected ${WEBHOOK_KEYS.join(', ')})`);
+  }
+
+  let url;
+  try {
+    url = new URL(webhook.url);
+  } catch (error) {
+    url = null;
+  }
+  if (!url || !['http:', 'https:'].includes(url.protocol)) {
+    throw new Error(`url must be an absolute http(s) URL, got ${JSON.stringify(webhook.url)}`);
+  }
+
+  const format = webhook.format ?? detectFormat(webhook.url);
+  if (!WEBHOOK_FORMATS.includes(format)) {
+    throw new Error(`format must be one of ${WEBHOOK_FORMATS.join(', ')}, got "${format}"`);
+  }
+  const on = webhook.on ?? 'always';
+  if (!WEBHOOK_EVENTS.includes(on)) {
+    throw new Error(`on must be one of ${WEBHOOK_EVENTS.join(', ')}, got "${on}"`);
+  }
+  const timeoutMs = webhook.timeoutMs ?? 10000;
+  const retries = webhook.retries ?? 3;
+  if (!Number.isInteger(timeoutMs) || timeoutMs < 1 || !Number.isInteger(retries) || retries < 0) {
+    throw new Error('timeoutMs must be a positive integer and retries a non-negative integer');
+  }
+
+  return { url: webhook.url, format, on, headers: webhook.headers || {}, timeoutMs, retries };
+}
+
+
+// Webhook URLs often carry their secret in the path, so logs only get the origin
+function describeWebhook(webhook) {
+  return `${new URL(webhook.url).origin} (${webhook.format})`;
+}
+
+
+// Links to the reports the run wrote: under reportUrl when the output directory is published
+// somewhere, as local paths otherwise
+function reportLinks(reporters, outputDir, reportUrl = null) {
+  return reporters.filter(name => REPORT_FILES[name]).map(name => ({
+    name,
+    url: reportUrl
+      ? `${reportUrl.replace(/\/+$/, '')}/${REPORT_FILES[name]}`
+      : path.resolve(outputDir, REPORT_FILES[name])
+  }));
+}
+
+
+function listSortingErrors(testRuns, limit = MAX_LISTED_ERRORS) {
+  return testRuns.flatMap(run => (run.sortingErrors || []).map(error => ({
+    feed: run.feed,
+    browser: run.browser,
+    position: error.position,
+    reason: error.reason,
+    current: { id: error.current.id ?? null, title: error.current.title, timestamp: error.current.timestamp },
+    next: { id: error.next.id ?? null, title: error.next.title, timestamp: error.next.timestamp }
+  }))).slice(0, limit);
+}
+
+
+// Format-independent content of a notification about one finished run
+function buildRunNotification(results, { links = [] } = {}) {
+  const { summary } = results;
+  const passed = summary.failed === 0 && summary.totalSortingErrors === 0;
+  return {
+    event: 'run',
+    status: passed ? 'pass' : 'fail',
+    title: passed
+      ? `HN sorting check passed (${summary.successful}/${summary.totalRuns} runs)`
+      : `HN sorting check failed (${summary.failed}/${summary.totalRuns} runs, ${summary.totalSortingErrors} sorting errors)`,
+    runId: results.runId,
+    startTime: results.startTime,
+    endTime: results.endTime,
+    summary: {
+      totalRuns: summary.totalRuns,
+      successful: summary.successful,
+      failed: summary.failed,
+      successRate: summary.successRate,
+      totalSortingErrors: summary.totalSortingErrors,
+      totalRuleErrors: summary.totalRuleErrors,
+      averageArticlesCollected: summary.averageArticlesCollected
+    },
+    runs: results.testRuns.map(run => ({
+      feed: run.feed,
+      browser: run.browser,
+      success: run.success,
+      articlesCollected: run.articlesCollected ?? 0,
+      sortingErrors: run.sortingErrors?.length || 0,
+      error: run.error || null
+    })),
+    sortingErrors: listSortingErrors(results.testRuns),
+    links
+  };
+}
+
+
+// Same shape for a watch-mode alert (see lib/watch.js)
+function buildAlertNotification(alert, { links = [] } = {}) {
+  return {
+    event: 'alert',
+    alertType: alert.type,
+    status: alert.status,
+    previousStatus: alert.previousStatus,
+    consecutiveFailures: alert.consecutiveFailures,
+    title: `HN sorting check: ${alert.message}`,
+    runId: alert.runId,
+    summary: alert.summary,
+    runs: alert.failures.map(failure => ({ ...failure, success: false })),
+    sortingErrors: alert.sortingErrors || [],
+    error: alert.error,
+    links
+  };
+}
+
+
+function escapeSlack(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+
+function describeSortingError(error) {
+  return `${error.feed}/${error.browser} #${error.position}: "${error.current.title}" (${error.current.timestamp}) ` +
+    `before "${error.next.title}" (${error.next.timestamp})`;
+}
+
+
+function formatSlack(notification) {
+  const icon = notification.status === 'pass' ? ':white_check_mark:' : ':x:';
+  const blocks = [
+    { type: 'section', text: { type: 'mrkdwn', text: `${icon} *${escapeSlack(notification.title)}*` } }
+  ];
+
+  if (notification.runs.length > 0) {
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: notification.runs.map(run =>
+          `${run.success ? '•' : '• :x:'} ${escapeSlack(`${run.feed}/${run.browser}`)}: ` +
+          escapeSlack(run.error || `${run.articlesCollected ?? '?'} articles, ${run.sortingErrors} sorting errors`)).join('\n')
+      }
+    });
+  }
+
+  if (notification.sortingErrors.length > 0) {
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: `*First sorting errors*\n${notification.sortingErrors.map(error => `• ${escapeSlack(describeSortingError(error))}`).join('\n')}` }
+    });
+  }
+
+  const context = [`Run ${notification.runId || 'unknown'}`, ...notification.links.map(link =>
+    /^https?:/.test(link.url) ? `<${link.url}|${link.name} report>` : `${link.name}: ${escapeSlack(link.url)}`)];
+  blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: context.join(' | ') }] });
+
+  return { text: notification.title, blocks };
+}
+
+
+// Office 365 connector card, accepted by Teams incoming webhooks and Workflows
+function formatTeams(notification) {
+  const facts = notification.runs.map(run => ({
+    name: `${run.feed}/${run.browser}`,
+    value: run.error || `${run.success ? 'passed' : 'failed'}, ${run.articlesCollected ?? '?'} articles, ${run.sortingErrors} sorting errors`
+  }));
+  const sections = [{ activityTitle: notification.title, activitySubtitle: `Run ${notification.runId || 'unknown'}`, facts }];
+
+  if (notification.sortingErrors.length > 0) {
+    sections.push({
+      title: 'First sorting errors',
+      text: notification.sortingErrors.map(error => `- ${describeSortingError(error)}`).join('\n\n')
+    });
+  }
+  const localLinks = notification.links.filter(link => !/^https?:/.test(link.url));
+  if (localLinks.length > 0) {
+    sections.push({ title: 'Reports', text: localLinks.map(link => `- ${link.name}: ${link.url}`).join('\n\n') });
+  }
+
+  return {
+    '@type': 'MessageCard',
+    '@context': 'https://schema.org/extensions',
+    summary: notification.title,
+    themeColor: notification.status === 'pass' ? '2EB886' : 'D93F0B',
+    title: notification.title,
+    sections,
+    potentialAction: notification.links.filter(link => /^https?:/.test(link.url)).map(link => ({
+      '@type': 'OpenUri',
+      name: `Open ${link.name} report`,
+      targets: [{ os: 'default', uri: link.url }]
+    }))
+  };
+}
+
+
+function formatPayload(format, notification) {
+  switch (format) {
+    case 'slack':
+      return formatSlack(notification);
+    case 'teams':
+      return formatTeams(notification);
+    default:
+      return { ...notification, timestamp: new Date().toISOString() };
+  }
+}
+
+
+// POSTs the payload, retrying timeouts, connection failures, 429 and 5xx with backoff (honoring
+// Retry-After). Resolves with { status, attempts }; throws once the retries are used up.
+async function sendWebhook(webhook, payload, { onRetry = () => {}, wait, random } = {}) {
+  let attempts = 0;
+
+  const status = await withRetry(async () => {
+    attempts++;
+    const { response, text } = await fetchWithRetryClassification(webhook.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...webhook.headers },
+      body: JSON.stringify(payload),
+      timeoutMs: webhook.timeoutMs
+    });
+    if (response.ok) return response.status;
+    throw new Error(`HTTP ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`);
+  }, {
+    policy: { ...WEBHOOK_RETRY_POLICY, retries: webhook.retries },
+    onRetry,
+    ...(wait ? { wait } : {}),
+    ...(random ? { random } : {})
+  });
+
+  return { status, attempts };
+}
+
+module.exports = {
+  WEBHOOK_FORMATS,
+  REPORT_FILES,
+  resolveWebhook,
+  describeWebhook,
+  reportLinks,
+  listSortingErrors,
+  buildRunNotification,
+  buildAlertNotification,
+  formatPayload,
+  sendWebhook
+};
@@ -0,0 +1,154 @@
+// Per-navigation measurements taken inside the page: the Navigation Timing breakdown, bytes
+// transferred per resource type (Resource Timing), largest contentful paint and long tasks.
+// Engines without LCP or long task support (Firefox, WebKit) report those as null.
+
+// Aggregated in the summary and shown in the reports, in this order
+const PAGE_METRICS = [
+  { key: 'dns', label: 'DNS', unit: 'ms', value: page => page.timing?.dns },
+  { key: 'tls', label: 'TLS', unit: 'ms', value: page => page.timing?.tls },
+  { key: 'ttfb', label: 'TTFB', unit: 'ms', value: page => page.timing?.ttfb },
+  { key: 'domContentLoaded', label: 'DOMContentLoaded', unit: 'ms', value: page => page.timing?.domContentLoaded },
+  { key: 'load', label: 'Load', unit: 'ms', value: page => page.timing?.load },
+  { key: 'lcp', label: 'LCP', unit: 'ms', value: page => page.lcp },
+  { key: 'transferBytes', label: 'Transferred', unit: 'bytes', value: page => page.transfer?.total },
+  { key: 'longTaskMs', label: 'Long Tasks', unit: 'ms', value: page => page.longTasks?.totalMs }
+];
+
+// How long to wait for the load event before measuring anyway; load then comes back null
+const LOAD_WAIT_MS = 5000;
+
+
+// Runs in the page before any of its scripts (page.addInitScript): LCP and long task entries are
+// only delivered to observers, so they have to be listening from the start
+function installPerformanceObservers() {
+  const supported = (typeof PerformanceObserver !== 'undefined' && PerformanceObserver.supportedEntryTypes) || [];
+  const store = {
+    lcp: null,
+    longTasks: [],
+    supportsLcp: supported.includes('largest-contentful-paint'),
+    supportsLongTasks: supported.includes('longtask')
+  };
+  Object.defineProperty(window, '__hnScraperPerformance', { value: store, configurable: true });
+
+  try {
+    if (store.supportsLcp) {
+      new PerformanceObserver(list => {
+        const entries = list.getEntries();
+        store.lcp = entries[entries.length - 1].startTime;
+      }).observe({ type: 'largest-contentful-paint', buffered: true });
+    }
+    if (store.supportsLongTasks) {
+      new PerformanceObserver(list => {
+        list.getEntries().forEach(entry => store.longTasks.push(entry.duration));
+      }).observe({ type: 'longtask', buffered: true });
+    }
+  } catch (error) {
+    // Measurements are best effort; the scrape doesn't depend on them
+  }
+}
+
+
+// Evaluated in the page once it has loaded. Times are milliseconds from the start of the navigation.
+async function readPerformance() {
+  // Lets pending observer callbacks run first
+  await new Promise(resolve => setTimeout(resolve, 0));
+
+  const round = value => Math.round(value * 10) / 10;
+  const [navigation] = performance.getEntriesByType('navigation');
+  const timing = navigation ? {
+    dns: round(navigation.domainLookupEnd - navigation.domainLookupStart),
+    connect: round(navigation.connectEnd - navigation.connectStart),
+    tls: navigation.secureConnectionStart > 0 ? round(navigation.connectEnd - navigation.secureConnectionStart) : null,
+    ttfb: round(navigation.responseStart - navigation.startTime),
+    download: round(navigation.responseEnd - navigation.responseStart),
+    domContentLoaded: navigation.domContentLoadedEventEnd > 0 ? round(navigation.domContentLoadedEventEnd - navigation.startTime) : null,
+    load: navigation.loadEventEnd > 0 ? round(navigation.loadEventEnd - navigation.startTime) : null
+  } : null;
+
+  // transferSize is 0 for cached responses and for cross-origin ones without Timing-Allow-Origin
+  const transfer = { document: navigation ? navigation.transferSize || 0 : 0 };
+  performance.getEntriesByType('resource').forEach(entry => {
+    const type = entry.initiatorType || 'other';
+    transfer[type] = (transfer[type] || 0) + (entry.transferSize || 0);
+  });
+  transfer.total = Object.values(transfer).reduce((sum, bytes) => sum + bytes, 0);
+
+  const store = window.__hnScraperPerformance;
+  const longTasks = store?.supportsLongTasks ? {
+    count: store.longTasks.length,
+    totalMs: round(store.longTasks.reduce((sum, duration) => sum + duration, 0)),
+    maxMs: round(Math.max(0, ...store.longTasks))
+  } : null;
+
+  return {
+    url: location.href,
+    timing,
+    transfer,
+    lcp: store?.supportsLcp && store.lcp !== null ? round(store.lcp) : null,
+    longTasks,
+    resources: performance.getEntriesByType('resource').length
+  };
+}
+
+
+async function collectPagePerformance(page) {
+  await page.waitForLoadState('load', { timeout: LOAD_WAIT_MS }).catch(() => {});
+  return page.evaluate(readPerformance);
+}
+
+
+// Nearest-rank percentile of the finite values, or null when there are none
+function percentile(values, p) {
+  const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1))];
+}
+
+
+function aggregate(pages) {
+  return {
+    pages: pages.length,
+    metrics: Object.fromEntries(PAGE_METRICS.map(metric => {
+      const values = pages.map(metric.value).filter(Number.isFinite);
+      return [metric.key, { p50: percentile(values, 50), p95: percentile(values, 95), samples: values.length }];
+    }))
+  };
+}
+
+
+// p50/p95 of every metric over all page loads of all runs, and per browser
+function summarizePagePerformance(testRuns) {
+  const pagesOf = runs => runs.flatMap(run => run.performanceMetrics?.pages || []);
+  const browsers = [...new Set(testRuns.map(run => run.browser))];
+  return {
+    ...aggregate(pagesOf(testRuns)),
+    byBrowser: Object.fromEntries(browsers.map(browser => [browser, aggregate(pagesOf(testRuns.filter(run => run.browser === browser)))]))
+  };
+}
+
+
+function formatMetricValue(metric, value) {
+  if (!Number.isFinite(value)) return '-';
+  if (metric.unit === 'bytes') return value >= 1024 ? `${(value / 1024).toFixed(1)} KB` : `${value} B`;
+  return `${Math.round(value)}ms`;
+}
+
+
+// Whether a page's value for the metric is at or above the run-wide p95, i.e. among the slowest
+function isSlow(metric, page, summary) {
+  const value = metric.value(page);
+  const p95 = summary?.metrics?.[metric.key]?.p95;
+  if (!Number.isFinite(p95)) return false;
+  return summary.metrics[metric.key].samples > 1 && Number.isFinite(value) && value > 0 && value >= p95;
+}
+
+module.exports = {
+  PAGE_METRICS,
+  installPerformanceObservers,
+  readPerformance,
+  collectPagePerformance,
+  percentile,
+  summarizePagePerformance,
+  formatMetricValue,
+  isSlow
+};
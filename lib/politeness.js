@@ -0,0 +1,119 @@
+// Product token matched against robots.txt User-agent lines; groups for "*" apply otherwise
+const ROBOTS_USER_AGENT = 'hn-scraper';
+
+
+// Labels for the testResult.stoppedBy codes a politeness limit can leave behind
+const STOP_REASONS = {
+  maxPages: 'page limit reached',
+  requestBudget: 'request budget used up',
+  robotsTxt: 'disallowed by robots.txt'
+};
+
+
+// Raised instead of navigating when robots.txt or the run's request budget says no
+class PolitenessLimitError extends Error {
+  constructor(message, reason) {
+    super(message);
+    this.name = 'PolitenessLimitError';
+    this.reason = reason;
+  }
+}
+
+
+// Only the parts we act on: Allow/Disallow for our group (or "*") and its Crawl-delay
+function parseRobotsTxt(text, userAgent = ROBOTS_USER_AGENT) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  String(text || '').split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const match = line.match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+    if (!match) return;
+
+    const field = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelayMs: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      return;
+    }
+
+    lastWasAgent = false;
+    if (!current) return;
+
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow allows everything, so it adds no rule
+      if (value) current.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay') {
+      const seconds = parseFloat(value);
+      if (Number.isFinite(seconds) && seconds >= 0) current.crawlDelayMs = Math.round(seconds * 1000);
+    }
+  });
+
+  const token = userAgent.toLowerCase();
+  const specific = groups.filter(group => group.agents.some(agent => agent !== '*' && token.includes(agent)));
+  const matched = specific.length > 0 ? specific : groups.filter(group => group.agents.includes('*'));
+
+  const delays = matched.map(group => group.crawlDelayMs).filter(delay => delay !== null);
+  return {
+    rules: matched.flatMap(group => group.rules),
+    crawlDelayMs: delays.length > 0 ? Math.max(...delays) : null
+  };
+}
+
+
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+
+// Longest matching rule wins and Allow wins a tie, as in RFC 9309
+function isAllowed(robots, pathWithQuery) {
+  let best = null;
+
+  (robots?.rules || []).forEach(rule => {
+    if (!patternToRegExp(rule.path).test(pathWithQuery)) return;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  });
+
+  return best ? best.allow : true;
+}
+
+
+// Spaces out navigations to one host, across every browser that shares it
+class NavigationThrottle {
+  constructor(intervalMs = 0) {
+    this.intervalMs = intervalMs;
+    this.lastNavigationAt = 0;
+    this.queue = Promise.resolve();
+  }
+
+  wait() {
+    const turn = this.queue.then(async () => {
+      const waitMs = this.lastNavigationAt + this.intervalMs - Date.now();
+      if (waitMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, waitMs));
+      }
+      this.lastNavigationAt = Date.now();
+    });
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+}
+
+
+module.exports = { ROBOTS_USER_AGENT, STOP_REASONS, PolitenessLimitError, parseRobotsTxt, isAllowed, NavigationThrottle };
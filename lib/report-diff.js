@@ -0,0 +1,373 @@
+const { escapeHtml } = require('./html');
+
+// Metrics compared between runs; lower is better for all of them
+const PERFORMANCE_METRICS = [
+  { key: 'totalTime', label: 'Total Time', unit: 'ms' },
+  { key: 'averagePageLoadTime', label: 'Average Page Load', unit: 'ms' },
+  { key: 'averageArticleProcessingTime', label: 'Average Article Processing', unit: 'ms' },
+  { key: 'networkRequests', label: 'Network Requests', unit: '' },
+  { key: 'errors', label: 'Page Errors', unit: '' }
+];
+
+
+// Identifies an article across runs and engines: its HN item ID, or title and timestamp for rows without one
+function articleKey(article) {
+  return Number.isInteger(article.id) ? String(article.id) : `${article.title}|${article.timestamp}`;
+}
+
+
+function runKey(run) {
+  return `${run.feed || 'newest'}/${run.browser}`;
+}
+
+
+function sortingErrorKey(error) {
+  return `${error.reason || 'timestamp'}:${articleKey(error.current)}>${articleKey(error.next)}`;
+}
+
+
+function metricValue(metrics, key) {
+  const value = metrics?.[key];
+  if (Array.isArray(value)) return value.length;
+  return Number.isFinite(value) ? value : null;
+}
+
+
+// Indexes of one longest strictly increasing subsequence of values (patience sorting)
+function longestIncreasingSubsequence(values) {
+  // tails[k]: index of the smallest value ending an increasing subsequence of length k + 1
+  const tails = [];
+  const previous = new Array(values.length);
+  values.forEach((value, index) => {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (values[tails[middle]] < value) low = middle + 1;
+      else high = middle;
+    }
+    previous[index] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = index;
+  });
+
+  const indexes = new Set();
+  for (let index = tails.length > 0 ? tails[tails.length - 1] : -1; index >= 0; index = previous[index]) {
+    indexes.add(index);
+  }
+  return indexes;
+}
+
+
+// Articles in both runs whose order relative to the others changed. Positions alone would flag
+// everything on /newest, where every new submission pushes the rest of the listing down, and
+// index changes would flag every article a moved one jumped over. The largest set of articles
+// still in their base order stayed put; the rest are the ones that moved.
+function findOrderChanges(baseArticles, headArticles) {
+  const headKeys = new Set(headArticles.map(articleKey));
+  const baseKeys = new Set(baseArticles.map(articleKey));
+  const commonBase = baseArticles.filter(article => headKeys.has(articleKey(article)));
+  const commonHead = headArticles.filter(article => baseKeys.has(articleKey(article)));
+  const headIndex = new Map(commonHead.map((article, index) => [articleKey(article), index]));
+
+  const headIndexes = commonBase.map(article => headIndex.get(articleKey(article)));
+  const unmoved = longestIncreasingSubsequence(headIndexes);
+
+  return commonBase
+    .filter((article, index) => !unmoved.has(index))
+    .map(article => {
+      const moved = commonHead[headIndex.get(articleKey(article))];
+      return {
+        id: article.id ?? null,
+        title: article.title,
+        from: article.position,
+        to: moved.position
+      };
+    });
+}
+
+
+function diffRun(baseRun, headRun) {
+  const diff = {
+    key: runKey(headRun || baseRun),
+    feed: (headRun || baseRun).feed || 'newest',
+    browser: (headRun || baseRun).browser,
+    status: !baseRun ? 'added' : !headRun ? 'removed' : 'compared',
+    base: baseRun ? { success: !!baseRun.success, error: baseRun.error || null, articlesCollected: baseRun.articlesCollected || 0 } : null,
+    head: headRun ? { success: !!headRun.success, error: headRun.error || null, articlesCollected: headRun.articlesCollected || 0 } : null,
+    articlesAdded: [],
+    articlesRemoved: [],
+    orderChanges: [],
+    newSortingErrors: [],
+    resolvedSortingErrors: [],
+    performance: []
+  };
+
+  if (!baseRun || !headRun) return diff;
+
+  const baseArticles = baseRun.articles || [];
+  const headArticles = headRun.articles || [];
+  const baseKeys = new Set(baseArticles.map(articleKey));
+  const headKeys = new Set(headArticles.map(articleKey));
+
+  diff.articlesAdded = headArticles.filter(article => !baseKeys.has(articleKey(article)));
+  diff.articlesRemoved = baseArticles.filter(article => !headKeys.has(articleKey(article)));
+  diff.orderChanges = findOrderChanges(baseArticles, headArticles);
+
+  const baseErrors = new Set((baseRun.sortingErrors || []).map(sortingErrorKey));
+  const headErrors = new Set((headRun.sortingErrors || []).map(sortingErrorKey));
+  diff.newSortingErrors = (headRun.sortingErrors || []).filter(error => !baseErrors.has(sortingErrorKey(error)));
+  diff.resolvedSortingErrors = (baseRun.sortingErrors || []).filter(error => !headErrors.has(sortingErrorKey(error)));
+
+  diff.performance = PERFORMANCE_METRICS.map(({ key, label, unit }) => {
+    const before = metricValue(baseRun.performanceMetrics, key);
+    const after = metricValue(headRun.performanceMetrics, key);
+    const delta = before !== null && after !== null ? after - before : null;
+    return {
+      metric: key,
+      label,
+      unit,
+      base: before,
+      head: after,
+      delta,
+      percent: delta !== null && before ? (delta / before) * 100 : null
+    };
+  });
+
+  return diff;
+}
+
+
+// Compares two validation-report.json payloads, matching runs by feed and browser
+function diffReports(base, head) {
+  const baseRuns = new Map((base.testRuns || []).map(run => [runKey(run), run]));
+  const headRuns = new Map((head.testRuns || []).map(run => [runKey(run), run]));
+  const keys = [...new Set([...baseRuns.keys(), ...headRuns.keys()])];
+  const runs = keys.map(key => diffRun(baseRuns.get(key), headRuns.get(key)));
+
+  const summaryDelta = key => {
+    const before = base.summary?.[key];
+    const after = head.summary?.[key];
+    return Number.isFinite(before) && Number.isFinite(after) ? { base: before, head: after, delta: after - before } : null;
+  };
+
+  return {
+    base: { runId: base.runId || null, startTime: base.startTime || null },
+    head: { runId: head.runId || null, startTime: head.startTime || null },
+    summary: {
+      successRate: summaryDelta('successRate'),
+      totalSortingErrors: summaryDelta('totalSortingErrors'),
+      averageArticlesCollected: summaryDelta('averageArticlesCollected')
+    },
+    runs,
+    totals: {
+      articlesAdded: runs.reduce((sum, run) => sum + run.articlesAdded.length, 0),
+      articlesRemoved: runs.reduce((sum, run) => sum + run.articlesRemoved.length, 0),
+      orderChanges: runs.reduce((sum, run) => sum + run.orderChanges.length, 0),
+      newSortingErrors: runs.reduce((sum, run) => sum + run.newSortingErrors.length, 0),
+      resolvedSortingErrors: runs.reduce((sum, run) => sum + run.resolvedSortingErrors.length, 0),
+      newlyFailing: runs.filter(run => run.base?.success && run.head && !run.head.success).map(run => run.key),
+      newlyPassing: runs.filter(run => run.base && !run.base.success && run.head?.success).map(run => run.key)
+    }
+  };
+}
+
+
+// A head run that started failing or picked up sorting errors it didn't have before
+function hasRegressions(diff) {
+  return diff.totals.newSortingErrors > 0 || diff.totals.newlyFailing.length > 0;
+}
+
+
+function formatSigned(value, digits = 0) {
+  if (value === null) return 'n/a';
+  const text = value.toFixed(digits);
+  return value > 0 ? `+${text}` : text;
+}
+
+
+function formatMetricChange(metric) {
+  if (metric.delta === null) return 'n/a';
+  const percent = metric.percent === null ? '' : ` (${formatSigned(metric.percent, 1)}%)`;
+  return `${formatSigned(metric.delta)}${metric.unit}${percent}`;
+}
+
+
+function describeRunStatus(side) {
+  if (!side) return 'absent';
+  return side.success ? `passed (${side.articlesCollected} articles)` : `failed${side.error ? `: ${side.error}` : ''}`;
+}
+
+
+function describeSortingError(error) {
+  return `position ${error.position}: "${error.current.title}" (${error.current.timestamp}) before "${error.next.title}" (${error.next.timestamp})`;
+}
+
+
+function formatDiffText(diff) {
+  const lines = [
+    '='.repeat(80),
+    'HACKER NEWS VALIDATION RUN DIFF',
+    '='.repeat(80),
+    `Base: ${diff.base.startTime || 'unknown'}${diff.base.runId ? ` (${diff.base.runId})` : ''}`,
+    `Head: ${diff.head.startTime || 'unknown'}${diff.head.runId ? ` (${diff.head.runId})` : ''}`,
+    '',
+    'SUMMARY',
+    '-'.repeat(40)
+  ];
+
+  if (diff.summary.successRate) {
+    lines.push(`Success Rate: ${diff.summary.successRate.base.toFixed(1)}% -> ${diff.summary.successRate.head.toFixed(1)}% (${formatSigned(diff.summary.successRate.delta, 1)})`);
+  }
+  if (diff.summary.totalSortingErrors) {
+    lines.push(`Sorting Errors: ${diff.summary.totalSortingErrors.base} -> ${diff.summary.totalSortingErrors.head} (${formatSigned(diff.summary.totalSortingErrors.delta)})`);
+  }
+  lines.push(`Articles Added: ${diff.totals.articlesAdded}`);
+  lines.push(`Articles Removed: ${diff.totals.articlesRemoved}`);
+  lines.push(`Order Changes: ${diff.totals.orderChanges}`);
+  lines.push(`New Sorting Errors: ${diff.totals.newSortingErrors}`);
+  lines.push(`Resolved Sorting Errors: ${diff.totals.resolvedSortingErrors}`);
+  if (diff.totals.newlyFailing.length > 0) lines.push(`Newly Failing: ${diff.totals.newlyFailing.join(', ')}`);
+  if (diff.totals.newlyPassing.length > 0) lines.push(`Newly Passing: ${diff.totals.newlyPassing.join(', ')}`);
+
+  diff.runs.forEach(run => {
+    lines.push('', `${run.key.toUpperCase()}`, '-'.repeat(40));
+    lines.push(`  Base: ${describeRunStatus(run.base)}`);
+    lines.push(`  Head: ${describeRunStatus(run.head)}`);
+    if (run.status !== 'compared') {
+      lines.push(`  Run ${run.status === 'added' ? 'only in head' : 'only in base'}`);
+      return;
+    }
+
+    const list = (label, items, describe) => {
+      if (items.length === 0) return;
+      lines.push(`  ${label} (${items.length}):`);
+      items.slice(0, 10).forEach(item => lines.push(`    ${describe(item)}`));
+      if (items.length > 10) lines.push(`    ... and ${items.length - 10} more`);
+    };
+
+    list('Added', run.articlesAdded, article => `+ #${article.position} ${article.title}`);
+    list('Removed', run.articlesRemoved, article => `- #${article.position} ${article.title}`);
+    list('Order changes', run.orderChanges, change => `~ ${change.title}: position ${change.from} -> ${change.to}`);
+    list('New sorting errors', run.newSortingErrors, error => `! ${describeSortingError(error)}`);
+    list('Resolved sorting errors', run.resolvedSortingErrors, error => `✓ ${describeSortingError(error)}`);
+
+    lines.push('  Performance:');
+    run.performance.forEach(metric => {
+      const base = metric.base === null ? 'n/a' : `${metric.base.toFixed(0)}${metric.unit}`;
+      const head = metric.head === null ? 'n/a' : `${metric.head.toFixed(0)}${metric.unit}`;
+      lines.push(`    ${metric.label}: ${base} -> ${head} ${formatMetricChange(metric)}`);
+    });
+  });
+
+  return lines.join('\n');
+}
+
+
+function formatDiffHTML(diff) {
+  const articleRows = (articles, sign) => articles.map(article => `
+                    <tr class="${sign === '+' ? 'added' : 'removed'}">
+                        <td>${sign}</td>
+                        <td>${escapeHtml(article.position)}</td>
+                        <td>${escapeHtml(article.id ?? '')}</td>
+                        <td>${escapeHtml(article.title)}</td>
+                        <td>${escapeHtml(article.timestamp)}</td>
+                    </tr>`).join('');
+
+  const sortingRows = (errors, status) => errors.map(error => `
+                    <tr class="${status === 'new' ? 'removed' : 'added'}">
+                        <td>${status}</td>
+                        <td>${escapeHtml(error.position)}</td>
+                        <td>${escapeHtml(error.current.title)} (${escapeHtml(error.current.timestamp)})</td>
+                        <td>${escapeHtml(error.next.title)} (${escapeHtml(error.next.timestamp)})</td>
+                    </tr>`).join('');
+
+  const runSections = diff.runs.map(run => `
+        <div class="run">
+            <h2>${escapeHtml(run.key)}</h2>
+            <p><strong>Base:</strong> ${escapeHtml(describeRunStatus(run.base))}<br>
+               <strong>Head:</strong> ${escapeHtml(describeRunStatus(run.head))}</p>
+            ${run.status !== 'compared' ? `<p>Run ${run.status === 'added' ? 'only in head' : 'only in base'}.</p>` : `
+            <h3>Performance</h3>
+            <table>
+                <thead><tr><th>Metric</th><th>Base</th><th>Head</th><th>Change</th></tr></thead>
+                <tbody>
+                    ${run.performance.map(metric => `
+                    <tr class="${metric.delta > 0 ? 'worse' : metric.delta < 0 ? 'better' : ''}">
+                        <td>${escapeHtml(metric.label)}</td>
+                        <td>${metric.base === null ? 'n/a' : `${metric.base.toFixed(0)}${metric.unit}`}</td>
+                        <td>${metric.head === null ? 'n/a' : `${metric.head.toFixed(0)}${metric.unit}`}</td>
+                        <td>${formatMetricChange(metric)}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>
+            ${run.newSortingErrors.length + run.resolvedSortingErrors.length > 0 ? `
+            <h3>Sorting Errors</h3>
+            <table>
+                <thead><tr><th>Status</th><th>Position</th><th>Current</th><th>Next</th></tr></thead>
+                <tbody>${sortingRows(run.newSortingErrors, 'new')}${sortingRows(run.resolvedSortingErrors, 'resolved')}
+                </tbody>
+            </table>` : ''}
+            ${run.articlesAdded.length + run.articlesRemoved.length > 0 ? `
+            <h3>Articles Added / Removed</h3>
+            <table>
+                <thead><tr><th></th><th>Position</th><th>ID</th><th>Title</th><th>Timestamp</th></tr></thead>
+                <tbody>${articleRows(run.articlesAdded, '+')}${articleRows(run.articlesRemoved, '-')}
+                </tbody>
+            </table>` : ''}
+            ${run.orderChanges.length > 0 ? `
+            <h3>Order Changes</h3>
+            <table>
+                <thead><tr><th>ID</th><th>Title</th><th>Base Position</th><th>Head Position</th></tr></thead>
+                <tbody>
+                    ${run.orderChanges.map(change => `
+                    <tr>
+                        <td>${escapeHtml(change.id ?? '')}</td>
+                        <td>${escapeHtml(change.title)}</td>
+                        <td>${escapeHtml(change.from)}</td>
+                        <td>${escapeHtml(change.to)}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>` : ''}`}
+        </div>`).join('');
+
+  return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Hacker News Validation Run Diff</title>
+    <style>
+        body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; margin: 0; padding: 20px; background: #f5f5f5; }
+        .container { max-width: 1200px; margin: 0 auto; background: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1); }
+        h1 { color: #ff6600; text-align: center; margin-bottom: 30px; }
+        .summary { display: grid; grid-template-columns: repeat(auto-fit, minmax(180px, 1fr)); gap: 15px; margin-bottom: 30px; }
+        .metric { background: #f8f9fa; padding: 15px; border-radius: 8px; text-align: center; }
+        .metric-value { font-size: 1.6em; font-weight: bold; color: #ff6600; }
+        .metric-label { color: #666; margin-top: 5px; }
+        .run { margin-bottom: 30px; border-left: 4px solid #ff6600; padding-left: 15px; }
+        table { width: 100%; border-collapse: collapse; margin: 15px 0; }
+        th, td { text-align: left; padding: 6px 10px; border-bottom: 1px solid #ddd; }
+        th { background: #f8f9fa; font-weight: 600; }
+        .added, .better { background: #e6f4ea; }
+        .removed, .worse { background: #fdecea; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h1>🔀 Validation Run Diff</h1>
+        <p><strong>Base:</strong> ${escapeHtml(diff.base.startTime || 'unknown')} &middot; <strong>Head:</strong> ${escapeHtml(diff.head.startTime || 'unknown')}</p>
+        <div class="summary">
+            <div class="metric"><div class="metric-value">${diff.totals.articlesAdded}</div><div class="metric-label">Articles Added</div></div>
+            <div class="metric"><div class="metric-value">${diff.totals.articlesRemoved}</div><div class="metric-label">Articles Removed</div></div>
+            <div class="metric"><div class="metric-value">${diff.totals.orderChanges}</div><div class="metric-label">Order Changes</div></div>
+            <div class="metric"><div class="metric-value">${diff.totals.newSortingErrors}</div><div class="metric-label">New Sorting Errors</div></div>
+            <div class="metric"><div class="metric-value">${diff.totals.resolvedSortingErrors}</div><div class="metric-label">Resolved Sorting Errors</div></div>
+        </div>
+        ${runSections}
+    </div>
+</body>
+</html>`;
+}
+
+module.exports = { articleKey, diffReports, hasRegressions, formatDiffText, formatDiffHTML };
@@ -0,0 +1,163 @@
+// HN's throttling page; it comes back with a 200 as often as with a 503
+const RATE_LIMIT_TEXT = /not able to serve your requests this quickly/i;
+
+// Per-operation backoff settings. Delays double from baseDelayMs up to maxDelayMs, and up to
+// `jitter` of each delay is randomized so concurrent browsers don't retry in lockstep.
+const DEFAULT_RETRY_POLICY = {
+  initialLoad: { retries: 4, baseDelayMs: 5000, maxDelayMs: 60000, factor: 2, jitter: 0.5 },
+  pagination: { retries: 4, baseDelayMs: 5000, maxDelayMs: 60000, factor: 2, jitter: 0.5 },
+  reload: { retries: 2, baseDelayMs: 3000, maxDelayMs: 30000, factor: 2, jitter: 0.5 }
+};
+
+// A Retry-After longer than this is treated as "come back much later" and ends the retries
+const MAX_RETRY_AFTER_MS = 5 * 60 * 1000;
+
+
+class RetryableResponseError extends Error {
+  constructor(message, { reason, status = null, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'RetryableResponseError';
+    this.reason = reason;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+
+// `overrides` may set fields for every operation at the top level and per operation underneath,
+// e.g. { retries: 2, pagination: { baseDelayMs: 10000 } }
+function resolveRetryPolicy(overrides = {}) {
+  const { initialLoad, pagination, reload, ...shared } = overrides || {};
+  const perOperation = { initialLoad, pagination, reload };
+
+  return Object.fromEntries(Object.entries(DEFAULT_RETRY_POLICY).map(([operation, defaults]) => [
+    operation,
+    { ...defaults, ...shared, ...(perOperation[operation] || {}) }
+  ]));
+}
+
+
+// Retry-After is either delta-seconds or an HTTP date
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || value === '') return null;
+  const text = String(value).trim();
+
+  if (/^\d+$/.test(text)) return parseInt(text, 10) * 1000;
+
+  const date = Date.parse(text);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+
+// Looks at a navigation's response and the page it produced; returns null when it's a normal page
+function classifyResponse({ status = null, headers = {}, bodyText = '' } = {}) {
+  const retryAfterMs = parseRetryAfter(headers['retry-after']);
+
+  if (status === 429 || status === 503 || RATE_LIMIT_TEXT.test(bodyText || '')) {
+    return { reason: 'rate_limited', status, retryAfterMs };
+  }
+  if (status !== null && status >= 500) {
+    return { reason: 'server_error', status, retryAfterMs };
+  }
+  return null;
+}
+
+
+// The error withRetry retries for a problem classifyResponse found
+function problemError(problem) {
+  const message = problem.reason === 'rate_limited'
+    ? `Rate limited${problem.status ? ` (HTTP ${problem.status})` : ''}`
+    : `Server error (HTTP ${problem.status})`;
+  return new RetryableResponseError(message, problem);
+}
+
+
+// One attempt of a plain fetch made under withRetry. Timeouts stay TimeoutErrors, connection
+// failures become retryable network errors, and a 429 or 5xx response a retryable error carrying
+// its Retry-After. Any other response resolves with its body text and how long the headers
+// (ttfbMs) and the whole body (durationMs) took to arrive.
+async function fetchWithRetryClassification(url, { timeoutMs, ...init } = {}) {
+  const startedAt = Date.now();
+  let response;
+  let text;
+  let ttfbMs;
+  try {
+    response = await fetch(url, { ...init, signal: AbortSignal.timeout(timeoutMs) });
+    ttfbMs = Date.now() - startedAt;
+    text = await response.text();
+  } catch (error) {
+    if (error.name === 'TimeoutError') {
+      throw error;
+    }
+    // fetch reports refused connections and DNS failures as "fetch failed" with the real cause attached
+    throw new RetryableResponseError(error.cause?.message || error.message, { reason: 'network_error' });
+  }
+
+  const problem = classifyResponse({ status: response.status, headers: Object.fromEntries(response.headers) });
+  if (problem) {
+    throw problemError(problem);
+  }
+  return { response, text, ttfbMs, durationMs: Date.now() - startedAt };
+}
+
+
+function computeDelay(attempt, policy, retryAfterMs = null, random = Math.random) {
+  if (retryAfterMs !== null) return retryAfterMs;
+
+  const exponential = Math.min(policy.maxDelayMs, policy.baseDelayMs * Math.pow(policy.factor, attempt));
+  return Math.round(exponential * (1 - policy.jitter * random()));
+}
+
+
+// Timeouts and connection-level failures are worth another try; anything else (a closed page,
+// a bad URL) will fail the same way again
+function isRetryable(error) {
+  if (error instanceof RetryableResponseError) return true;
+  return error?.name === 'TimeoutError' || /net::ERR_|NS_ERROR_|ECONNRESET|ECONNREFUSED|ETIMEDOUT/.test(error?.message || '');
+}
+
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+
+// Runs fn until it succeeds or the operation's retries are used up. onRetry is told about each
+// retry before the wait starts.
+async function withRetry(fn, { policy, onRetry = () => {}, wait = sleep, random = Math.random }) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (!isRetryable(error) || attempt >= policy.retries) throw error;
+
+      const retryAfterMs = error.retryAfterMs ?? null;
+      if (retryAfterMs !== null && retryAfterMs > MAX_RETRY_AFTER_MS) throw error;
+
+      const delayMs = computeDelay(attempt, policy, retryAfterMs, random);
+      await onRetry({
+        attempt: attempt + 1,
+        retries: policy.retries,
+        delayMs,
+        reason: error.reason || (error.name === 'TimeoutError' ? 'timeout' : 'network_error'),
+        status: error.status ?? null,
+        retryAfterMs,
+        message: error.message
+      });
+      await wait(delayMs);
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_RETRY_POLICY,
+  RetryableResponseError,
+  resolveRetryPolicy,
+  parseRetryAfter,
+  classifyResponse,
+  problemError,
+  fetchWithRetryClassification,
+  computeDelay,
+  isRetryable,
+  withRetry
+};
@@ -0,0 +1,288 @@
+const path = require('path');
+const { parseTimestamp } = require('./timestamp');
+
+const SEVERITIES = ['error', 'warning', 'info'];
+
+
+// Timestamps decide the order; item IDs (which HN hands out in submission order) break ties.
+// A tie that the IDs cannot settle is reported as ambiguous rather than assumed correct.
+function analyzeOrdering(articles, parse = parseTimestamp) {
+  const violations = [];
+  const ambiguousTies = [];
+  const parseFailures = [];
+  let resolvedTies = 0;
+
+  const parsed = articles.map((article, index) => {
+    const date = parse(article.timestamp, article.capturedAt);
+    if (!date) {
+      parseFailures.push({ position: index + 1, title: article.title, timestamp: article.timestamp });
+    }
+    return date;
+  });
+
+  for (let i = 0; i < articles.length - 1; i++) {
+    const current = parsed[i];
+    const next = parsed[i + 1];
+
+    // Unparseable timestamps can't be ordered; they are counted in parseFailures instead
+    if (!current || !next) continue;
+
+    if (current < next) {
+      violations.push({
+        position: i + 1,
+        reason: 'timestamp',
+        current: articles[i],
+        next: articles[i + 1]
+      });
+      continue;
+    }
+
+    if (current.getTime() !== next.getTime()) continue;
+
+    const currentId = articles[i].id;
+    const nextId = articles[i + 1].id;
+
+    if (!Number.isInteger(currentId) || !Number.isInteger(nextId) || currentId === nextId) {
+      ambiguousTies.push({
+        position: i + 1,
+        current: articles[i],
+        next: articles[i + 1]
+      });
+    } else if (currentId < nextId) {
+      violations.push({
+        position: i + 1,
+        reason: 'item_id',
+        current: articles[i],
+        next: articles[i + 1]
+      });
+    } else {
+      resolvedTies++;
+    }
+  }
+
+  return { violations, ambiguousTies, resolvedTies, parseFailures };
+}
+
+
+const BUILT_IN_RULES = [
+  {
+    name: 'monotonicTimestamps',
+    description: 'Posts run newest to oldest; same-timestamp posts by descending item ID',
+    severity: 'error',
+    check(articles, context) {
+      const { violations, ambiguousTies, parseFailures } = analyzeOrdering(articles, context.parseTimestamp);
+      return [
+        ...violations.map(violation => ({
+          position: violation.position,
+          message: violation.reason === 'item_id'
+            ? `Same timestamp but item ${violation.current.id} precedes newer item ${violation.next.id}`
+            : `"${violation.next.title}" (${violation.next.timestamp}) is newer than "${violation.current.title}" (${violation.current.timestamp})`
+        })),
+        ...ambiguousTies.map(tie => ({
+          severity: 'warning',
+          position: tie.position,
+          message: `Ambiguous tie: "${tie.current.title}" and "${tie.next.title}" share a timestamp and have no usable item IDs`
+        })),
+        ...parseFailures.map(failure => ({
+          severity: 'warning',
+          position: failure.position,
+          message: `Could not parse timestamp "${failure.timestamp}"`
+        }))
+      ];
+    }
+  },
+  {
+    name: 'uniqueItemIds',
+    description: 'No item ID appears twice',
+    severity: 'error',
+    check(articles) {
+      const seen = new Map();
+      return articles.flatMap((article, index) => {
+        if (!Number.isInteger(article.id)) return [];
+        if (seen.has(article.id)) {
+          return [{
+            position: index + 1,
+            message: `Item ${article.id} already appeared at position ${seen.get(article.id)}`
+          }];
+        }
+        seen.set(article.id, index + 1);
+        return [];
+      });
+    }
+  },
+  {
+    name: 'contiguousRanks',
+    description: 'Rank numbers run 1, 2, 3, ... without gaps or repeats',
+    severity: 'error',
+    check(articles) {
+      return articles.flatMap((article, index) => {
+        const previous = articles[index - 1];
+        if (!Number.isInteger(article.rank) || (previous && !Number.isInteger(previous.rank))) return [];
+
+        const expected = previous ? previous.rank + 1 : 1;
+        return article.rank === expected ? [] : [{
+          position: index + 1,
+          message: `Expected rank ${expected}, found ${article.rank} (${article.title})`
+        }];
+      });
+    }
+  },
+  {
+    name: 'maxPostGap',
+    description: 'Consecutive posts are no further apart than maxGapMinutes',
+    severity: 'warning',
+    defaults: { maxGapMinutes: 120 },
+    check(articles, context) {
+      const limitMs = context.config.maxGapMinutes * 60 * 1000;
+      const findings = [];
+
+      for (let i = 0; i < articles.length - 1; i++) {
+        const current = context.parseTimestamp(articles[i].timestamp, articles[i].capturedAt);
+        const next = context.parseTimestamp(articles[i + 1].timestamp, articles[i + 1].capturedAt);
+        if (!current || !next) continue;
+
+        const gapMs = Math.abs(current - next);
+        if (gapMs > limitMs) {
+          findings.push({
+            position: i + 1,
+            gapMinutes: Math.round(gapMs / 60000),
+            message: `${Math.round(gapMs / 60000)} minutes between "${articles[i].title}" and "${articles[i + 1].title}" (limit ${context.config.maxGapMinutes})`
+          });
+        }
+      }
+
+      return findings;
+    }
+  },
+  {
+    name: 'minArticles',
+    description: 'At least minArticles articles were collected (defaults to targetArticles)',
+    severity: 'error',
+    check(articles, context) {
+      const min = context.config.minArticles ?? context.targetArticles;
+      if (min === null || min === undefined || articles.length >= min) return [];
+      // A politeness limit (maxPages, requestBudget, robots.txt) ends the run early on purpose
+      return [{
+        message: `Collected ${articles.length} articles, expected at least ${min}${context.stoppedBy ? ` (stopped by ${context.stoppedBy})` : ''}`,
+        ...(context.stoppedBy ? { severity: 'warning' } : {})
+      }];
+    }
+  },
+  {
+    name: 'dateBounds',
+    description: 'Every post falls inside the feed\'s date bounds',
+    severity: 'error',
+    check(articles, context) {
+      const bounds = context.config.bounds || context.feed?.dateBounds;
+      if (!bounds) return [];
+
+      const toleranceMs = (bounds.toleranceHours || 0) * 60 * 60 * 1000;
+      const from = Date.parse(bounds.from) - toleranceMs;
+      const to = Date.parse(bounds.to) + toleranceMs;
+
+      return articles.flatMap((article, index) => {
+        const date = context.parseTimestamp(article.timestamp, article.capturedAt);
+        if (!date || (date.getTime() >= from && date.getTime() < to)) return [];
+
+        return [{
+          position: index + 1,
+          message: `Posted ${date.toISOString()}, outside ${bounds.from} – ${bounds.to} (${article.title})`
+        }];
+      });
+    }
+  }
+];
+
+
+class RuleRegistry {
+  constructor() {
+    this.rules = new Map();
+  }
+
+  register(rule) {
+    if (!rule || typeof rule.name !== 'string' || typeof rule.check !== 'function') {
+      throw new Error('A rule needs a name and a check(articles, context) function');
+    }
+    if (rule.severity && !SEVERITIES.includes(rule.severity)) {
+      throw new Error(`Rule ${rule.name} has unknown severity "${rule.severity}" (expected ${SEVERITIES.join(', ')})`);
+    }
+
+    this.rules.set(rule.name, { severity: 'error', defaults: {}, ...rule });
+    return this;
+  }
+
+  has(name) {
+    return this.rules.has(name);
+  }
+
+  list() {
+    return [...this.rules.values()];
+  }
+
+  // Runs the named rules; ruleConfig[name] may override severity and parameters, or be false to disable
+  async run(names, articles, context = {}, ruleConfig = {}) {
+    const results = [];
+
+    for (const name of names) {
+      const rule = this.rules.get(name);
+      if (!rule) {
+        throw new Error(`Unknown validation rule: ${name}`);
+      }
+      if (ruleConfig[name] === false) continue;
+
+      const { severity: severityOverride, ...params } = ruleConfig[name] || {};
+      const severity = severityOverride || rule.severity;
+      const config = { ...rule.defaults, ...params };
+
+      let findings;
+      try {
+        findings = await rule.check(articles, { parseTimestamp, ...context, config });
+      } catch (error) {
+        findings = [{ severity: 'error', message: `Rule threw: ${error.message}` }];
+      }
+
+      // A finding may downgrade itself (e.g. ambiguous ties), but never above the rule's configured severity
+      const normalized = (findings || []).map(finding => ({
+        rule: name,
+        ...finding,
+        severity: finding.severity && SEVERITIES.indexOf(finding.severity) > SEVERITIES.indexOf(severity)
+          ? finding.severity
+          : severity
+      }));
+
+      results.push({
+        rule: name,
+        description: rule.description || '',
+        severity,
+        passed: !normalized.some(finding => finding.severity === 'error'),
+        findings: normalized
+      });
+    }
+
+    return results;
+  }
+}
+
+
+function createDefaultRegistry() {
+  const registry = new RuleRegistry();
+  BUILT_IN_RULES.forEach(rule => registry.register(rule));
+  return registry;
+}
+
+
+// A rules file is a CommonJS module exporting { rules: [...], config: {...} } or a function(registry)
+function loadRulesFile(registry, filePath) {
+  const resolved = path.resolve(filePath);
+  const loaded = require(resolved);
+  const exported = typeof loaded === 'function' ? loaded(registry) || {} : loaded;
+
+  (exported.rules || []).forEach(rule => registry.register(rule));
+
+  return {
+    customRules: (exported.rules || []).map(rule => rule.name),
+    config: exported.config || {}
+  };
+}
+
+module.exports = { RuleRegistry, BUILT_IN_RULES, SEVERITIES, analyzeOrdering, createDefaultRegistry, loadRulesFile };
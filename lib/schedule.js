@@ -0,0 +1,145 @@
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+const CRON_ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *'
+};
+
+// Give up looking for the next match after this many steps (e.g. "0 0 30 2 *" never matches)
+const MAX_CRON_STEPS = 100000;
+
+
+// "90s", "15m", "1h", "1.5h", "500ms"
+function parseInterval(text) {
+  const match = String(text).trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)$/);
+  if (!match) {
+    throw new Error(`Invalid interval "${text}" (expected a duration such as 90s, 15m or 1h)`);
+  }
+  const ms = Math.round(parseFloat(match[1]) * DURATION_UNITS[match[2]]);
+  if (ms <= 0) {
+    throw new Error(`Invalid interval "${text}" (must be longer than 0)`);
+  }
+  return ms;
+}
+
+
+function parseCronField(text, field) {
+  const values = new Set();
+
+  text.split(',').forEach(part => {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid ${field.name} "${part}"`);
+    }
+
+    const step = match[4] !== undefined ? parseInt(match[4], 10) : 1;
+    let from = field.min;
+    let to = field.max;
+    if (match[1] !== '*') {
+      from = parseInt(match[2], 10);
+      // "5/15" means every 15 starting at 5
+      to = match[3] !== undefined ? parseInt(match[3], 10) : match[4] !== undefined ? field.max : from;
+    }
+
+    if (step < 1 || from < field.min || to > field.max || from > to) {
+      throw new Error(`Invalid ${field.name} "${part}" (allowed ${field.min}-${field.max})`);
+    }
+    for (let value = from; value <= to; value += step) {
+      values.add(field.name === 'day of week' && value === 7 ? 0 : value);
+    }
+  });
+
+  return { any: text === '*', values };
+}
+
+
+// Standard five-field cron (minute hour day-of-month month day-of-week) in local time, or an @alias
+function parseCron(expression) {
+  const text = String(expression).trim();
+  const fields = (CRON_ALIASES[text] || text).split(/\s+/);
+  if (fields.length !== CRON_FIELDS.length) {
+    throw new Error(`Invalid cron expression "${expression}" (expected 5 fields: minute hour day-of-month month day-of-week)`);
+  }
+
+  try {
+    const [minute, hour, dayOfMonth, month, dayOfWeek] = fields.map((field, index) => parseCronField(field, CRON_FIELDS[index]));
+    return { expression: text, minute, hour, dayOfMonth, month, dayOfWeek };
+  } catch (error) {
+    throw new Error(`Invalid cron expression "${expression}": ${error.message}`);
+  }
+}
+
+
+// As in cron, a restricted day of month and day of week match if either does
+function matchesDay(cron, date) {
+  const dayOfMonth = cron.dayOfMonth.values.has(date.getDate());
+  const dayOfWeek = cron.dayOfWeek.values.has(date.getDay());
+  if (!cron.dayOfMonth.any && !cron.dayOfWeek.any) return dayOfMonth || dayOfWeek;
+  return dayOfMonth && dayOfWeek;
+}
+
+
+// First matching minute strictly after `from`
+function nextCronTime(cron, from = new Date()) {
+  const time = new Date(from.getTime());
+  time.setSeconds(0, 0);
+  time.setMinutes(time.getMinutes() + 1);
+
+  for (let steps = 0; steps < MAX_CRON_STEPS; steps++) {
+    if (!cron.month.values.has(time.getMonth() + 1)) {
+      time.setMonth(time.getMonth() + 1, 1);
+      time.setHours(0, 0, 0, 0);
+    } else if (!matchesDay(cron, time)) {
+      time.setDate(time.getDate() + 1);
+      time.setHours(0, 0, 0, 0);
+    } else if (!cron.hour.values.has(time.getHours())) {
+      time.setHours(time.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minute.values.has(time.getMinutes())) {
+      time.setMinutes(time.getMinutes() + 1, 0, 0);
+    } else {
+      return time;
+    }
+  }
+
+  throw new Error(`Cron expression "${cron.expression}" never matches`);
+}
+
+
+// When watch mode runs: every `interval` from the start of the previous run (the first run starts
+// right away), or at each time matching `cron`
+function createSchedule({ interval = null, cron = null } = {}) {
+  if (interval !== null && cron !== null) {
+    throw new Error('Use either an interval or a cron expression, not both');
+  }
+
+  if (cron !== null) {
+    const parsed = parseCron(cron);
+    // Fails now, rather than at the first run, for expressions such as February 30th
+    nextCronTime(parsed);
+    return {
+      description: `cron "${parsed.expression}"`,
+      first: (now = new Date()) => nextCronTime(parsed, now),
+      next: (lastStart, now = new Date()) => nextCronTime(parsed, now)
+    };
+  }
+
+  const intervalMs = parseInterval(interval ?? '30m');
+  return {
+    description: `every ${interval ?? '30m'}`,
+    first: (now = new Date()) => now,
+    next: lastStart => new Date(lastStart.getTime() + intervalMs)
+  };
+}
+
+module.exports = { parseInterval, parseCron, nextCronTime, createSchedule };
@@ -0,0 +1,120 @@
+const base = require('@playwright/test');
+const { HackerNewsScraper } = require('../index');
+const { HackerNewsFixtureServer } = require('./fixture-server');
+const { loadOptions } = require('./config');
+
+const { expect } = base;
+
+
+// Wraps the scraper's sorting and rule checks in Playwright assertions with readable failure messages
+class ArticleValidator {
+  constructor(scraper, feed) {
+    this.scraper = scraper;
+    this.feed = feed;
+  }
+
+  sortingErrors(articles) {
+    return this.scraper.validateSorting(articles);
+  }
+
+  ruleResults(articles, context = {}) {
+    return this.scraper.evaluateRules(this.feed, articles, context);
+  }
+
+  // Error-severity findings only; warnings never fail a run
+  async failures(articles, context = {}) {
+    const results = await this.ruleResults(articles, context);
+    return results.flatMap(result => result.findings.filter(finding => finding.severity === 'error'));
+  }
+
+  expectSorted(articles) {
+    const violations = this.sortingErrors(articles);
+    const described = violations.map(violation =>
+      `#${violation.position} "${violation.current.title}" (${violation.current.timestamp}) before "${violation.next.title}" (${violation.next.timestamp})`);
+    expect(described, `${this.feed.name} should be sorted newest to oldest`).toEqual([]);
+  }
+
+  async expectValid(articles, context = {}) {
+    const failures = await this.failures(articles, context);
+    expect(failures.map(finding => `${finding.rule}: ${finding.message}`), `${this.feed.name} should pass ${this.scraper.getFeedRules(this.feed).join(', ')}`).toEqual([]);
+  }
+}
+
+
+const test = base.test.extend({
+  // Extra HackerNewsScraper options, on top of hn-scraper.config.* and HN_SCRAPER_* variables
+  scraperOptions: [{}, { option: true }],
+  // Feed the articles fixture collects, e.g. test.use({ feed: 'show' })
+  feed: ['newest', { option: true }],
+  // Name of a fixtures/hn scenario to scrape instead of the live site
+  scenario: [null, { option: true }],
+
+  fixtureServer: [async ({}, use) => {
+    const server = new HackerNewsFixtureServer();
+    await server.start();
+    await use(server);
+    await server.stop();
+  }, { scope: 'worker' }],
+
+  scraper: async ({ scraperOptions, feed, scenario, fixtureServer, browserName }, use, testInfo) => {
+    const { options } = await loadOptions({ overrides: scraperOptions });
+    const scraper = new HackerNewsScraper({
+      // Playwright keeps its own history of runs, and the test's output directory holds the rest
+      history: false,
+      ...options,
+      ...(scenario ? {
+        baseUrl: fixtureServer.scenarioUrl(scenario),
+        apiBaseUrl: fixtureServer.apiUrl(scenario),
+        respectRobotsTxt: false,
+        minNavigationIntervalMs: 0
+      } : {}),
+      browsers: [browserName],
+      feeds: [feed],
+      outputDir: testInfo.outputPath('reports')
+    });
+    await scraper.initializeReporting();
+    await use(scraper);
+  },
+
+  // The full run result for the project's browser: articles, rule results, metrics, stoppedBy, ...
+  scrapeResult: async ({ scraper, page, browserName }, use, testInfo) => {
+    const feed = scraper.feeds[0];
+    const { sessionMode } = scraper.options;
+    let session = null;
+
+    if (sessionMode === 'record') {
+      throw new Error('sessionMode "record" needs a browser context the scraper creates; record with `hn-scraper run` and replay here');
+    }
+    if (sessionMode === 'replay') {
+      session = { mode: sessionMode, path: scraper.getSessionPath(browserName, feed) };
+      await page.context().routeFromHAR(session.path, { notFound: 'abort' });
+    }
+
+    const result = await scraper.scrapeArticlesWithPage(page, browserName, feed, { session });
+    scraper.results.testRuns.push(result);
+
+    await testInfo.attach('scrape-result.json', {
+      body: JSON.stringify(result, null, 2),
+      contentType: 'application/json'
+    });
+    const screenshots = (await scraper.findScreenshots())[feed.name]?.[browserName] || {};
+    for (const [pageNumber, relativePath] of Object.entries(screenshots)) {
+      await testInfo.attach(`page-${pageNumber}`, { path: testInfo.outputPath('reports', relativePath), contentType: 'image/png' });
+    }
+
+    await use(result);
+  },
+
+  articles: async ({ scrapeResult }, use) => {
+    if (scrapeResult.error) {
+      throw new Error(`Scraping ${scrapeResult.feed} with ${scrapeResult.browser} failed: ${scrapeResult.error}`);
+    }
+    await use(scrapeResult.articles);
+  },
+
+  validator: async ({ scraper }, use) => {
+    await use(new ArticleValidator(scraper, scraper.feeds[0]));
+  }
+});
+
+module.exports = { test, expect, ArticleValidator };
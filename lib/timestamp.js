@@ -0,0 +1,68 @@
+const UNIT_MS = {
+  second: 1000,
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  // HN rounds long ages coarsely, so calendar-exact months and years would be false precision
+  month: 30 * 24 * 60 * 60 * 1000,
+  year: 365 * 24 * 60 * 60 * 1000
+};
+
+// "2024-01-15T10:30:00 1705314600": the .age title attribute, ISO (UTC, no offset) followed by unix seconds
+const HN_TITLE_PATTERN = /^(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?)(Z|[+-]\d{2}:?\d{2})?(?:\s+(\d{9,11}))?$/;
+
+// "3 minutes ago", "1 hour ago", "an hour ago", "a day ago"
+const RELATIVE_PATTERN = /^(\d+|an?|one)\s+(second|minute|hour|day|week|month|year)s?\s+ago$/i;
+
+
+function toReferenceMs(referenceTime) {
+  if (referenceTime === null || referenceTime === undefined) return Date.now();
+  const ms = referenceTime instanceof Date ? referenceTime.getTime() : new Date(referenceTime).getTime();
+  return Number.isNaN(ms) ? Date.now() : ms;
+}
+
+
+function validDate(ms) {
+  return Number.isFinite(ms) ? new Date(ms) : null;
+}
+
+
+// Returns a Date, or null when the value cannot be understood. Relative ages are resolved
+// against referenceTime, which should be the moment the page was loaded, not "now".
+function parseTimestamp(value, referenceTime = null) {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return validDate(value.getTime());
+  if (typeof value === 'number') return validDate(value < 1e12 ? value * 1000 : value);
+
+  const text = String(value).trim();
+  if (!text) return null;
+
+  const hnMatch = text.match(HN_TITLE_PATTERN);
+  if (hnMatch) {
+    const [, isoPart, offset, epoch] = hnMatch;
+    if (epoch) return validDate(parseInt(epoch, 10) * 1000);
+    return validDate(Date.parse(isoPart + (offset || 'Z')));
+  }
+
+  if (/^(just now|now)$/i.test(text)) {
+    return new Date(toReferenceMs(referenceTime));
+  }
+
+  const relativeMatch = text.match(RELATIVE_PATTERN);
+  if (relativeMatch) {
+    const amount = /^\d+$/.test(relativeMatch[1]) ? parseInt(relativeMatch[1], 10) : 1;
+    const unit = relativeMatch[2].toLowerCase();
+    return validDate(toReferenceMs(referenceTime) - amount * UNIT_MS[unit]);
+  }
+
+  if (/^\d{9,13}$/.test(text)) {
+    const numeric = parseInt(text, 10);
+    return validDate(text.length <= 11 ? numeric * 1000 : numeric);
+  }
+
+  // Fallback to direct parsing for anything else Date understands (RFC 2822 and friends)
+  return validDate(Date.parse(text));
+}
+
+module.exports = { parseTimestamp };
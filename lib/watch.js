@@ -0,0 +1,267 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { Logger } = require('./logger');
+const { listSortingErrors } = require('./notify');
+
+const INITIAL_STATE = {
+  runs: 0,
+  status: null,
+  consecutiveFailures: 0,
+  lastRunId: null,
+  lastRunAt: null,
+  statusSince: null
+};
+
+
+// Same pass/fail rule as the exit code of `hn-scraper run`
+function runPassed(results) {
+  return results.summary.failed === 0 && results.summary.totalSortingErrors === 0;
+}
+
+
+function summarizeOutcome(results) {
+  const { summary } = results;
+  return {
+    status: runPassed(results) ? 'pass' : 'fail',
+    runId: results.runId,
+    summary: {
+      totalRuns: summary.totalRuns,
+      failed: summary.failed,
+      successRate: summary.successRate,
+      totalSortingErrors: summary.totalSortingErrors,
+      totalRuleErrors: summary.totalRuleErrors
+    },
+    failures: results.testRuns
+      .filter(run => !run.success || run.sortingErrors?.length > 0)
+      .map(run => ({
+        feed: run.feed,
+        browser: run.browser,
+        error: run.error || null,
+        sortingErrors: run.sortingErrors?.length || 0,
+        ruleErrors: run.ruleErrors || 0
+      })),
+    sortingErrors: listSortingErrors(results.testRuns)
+  };
+}
+
+
+// Folds one run's outcome into the watch state. Alerts are raised when the status changes (the very
+// first run only when it fails) and when a failure streak reaches alertAfterFailures.
+function recordOutcome(state, outcome, { alertAfterFailures = 3 } = {}) {
+  const timestamp = new Date().toISOString();
+  const failed = outcome.status === 'fail';
+  const consecutiveFailures = failed ? state.consecutiveFailures + 1 : 0;
+  const changed = outcome.status !== state.status;
+
+  const next = {
+    runs: state.runs + 1,
+    status: outcome.status,
+    consecutiveFailures,
+    lastRunId: outcome.runId,
+    lastRunAt: timestamp,
+    statusSince: changed ? timestamp : state.statusSince
+  };
+
+  const base = {
+    status: outcome.status,
+    previousStatus: state.status,
+    consecutiveFailures,
+    runId: outcome.runId,
+    timestamp,
+    summary: outcome.summary,
+    failures: outcome.failures,
+    sortingErrors: outcome.sortingErrors || [],
+    error: outcome.error || null
+  };
+
+  const alerts = [];
+  if (changed && (state.status !== null || failed)) {
+    alerts.push({
+      type: 'status_change',
+      ...base,
+      message: failed
+        ? `Validation is failing${state.status === 'pass' ? ' (was passing)' : ''}`
+        : `Validation recovered after ${state.consecutiveFailures} failed run(s)`
+    });
+  }
+  if (failed && consecutiveFailures === alertAfterFailures) {
+    alerts.push({
+      type: 'failure_threshold',
+      ...base,
+      message: `Validation failed ${consecutiveFailures} times in a row`
+    });
+  }
+
+  return { state: next, alerts };
+}
+
+
+// Runs a fresh scraper on a schedule, remembers the outcome between runs (and restarts, through the
+// state file) and raises alerts only when something changed
+class Watcher {
+  constructor(options = {}) {
+    this.createScraper = options.createScraper;
+    this.schedule = options.schedule;
+    this.alertAfterFailures = options.alertAfterFailures ?? 3;
+    this.maxRuns = options.maxRuns ?? null;
+    this.stateFile = options.stateFile;
+    this.alertsFile = options.alertsFile;
+    // Called with every alert after it is logged and written to the alerts file
+    this.onAlert = options.onAlert || null;
+    // Shared with the scrapers (see lib/metrics.js); the watch adds its own state to it
+    this.metrics = options.metrics || null;
+    this.logger = new Logger({ level: options.logLevel });
+
+    this.state = { ...INITIAL_STATE };
+    this.runsThisSession = 0;
+    this.currentScraper = null;
+    this.stopping = false;
+    this.wake = null;
+  }
+
+  log(level, message, metadata = {}) {
+    this.logger.log(level, `[watch] ${message}`, metadata);
+  }
+
+  async loadState() {
+    try {
+      this.state = { ...INITIAL_STATE, ...JSON.parse(await fs.readFile(this.stateFile, 'utf8')) };
+      this.log('INFO', `Resuming from ${this.stateFile}`, {
+        status: this.state.status,
+        consecutiveFailures: this.state.consecutiveFailures,
+        runs: this.state.runs
+      });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.log('WARN', 'Could not read watch state, starting fresh', { path: this.stateFile, error: error.message });
+      }
+    }
+  }
+
+  async saveState() {
+    await fs.mkdir(path.dirname(this.stateFile), { recursive: true });
+    await fs.writeFile(this.stateFile, JSON.stringify(this.state, null, 2));
+  }
+
+  async start() {
+    await this.loadState();
+    this.log('INFO', `Watching ${this.schedule.description}`, {
+      alertAfterFailures: this.alertAfterFailures,
+      stateFile: this.stateFile
+    });
+
+    let nextRun = this.schedule.first();
+    while (!this.stopping) {
+      await this.sleepUntil(nextRun);
+      if (this.stopping) break;
+
+      const startedAt = new Date();
+      await this.runOnce();
+      if (this.stopping || (this.maxRuns !== null && this.runsThisSession >= this.maxRuns)) break;
+
+      nextRun = this.schedule.next(startedAt);
+      if (nextRun <= new Date()) {
+        this.log('WARN', 'Run took longer than the schedule allows; starting the next one now');
+      } else {
+        this.log('INFO', `Next run at ${nextRun.toISOString()}`);
+      }
+    }
+
+    this.log('INFO', 'Watch stopped', { runs: this.runsThisSession, status: this.state.status });
+    return this.state;
+  }
+
+  sleepUntil(time) {
+    const delay = time.getTime() - Date.now();
+    if (delay <= 0) return Promise.resolve();
+    return new Promise(resolve => {
+      const timer = setTimeout(resolve, delay);
+      this.wake = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+    }).finally(() => {
+      this.wake = null;
+    });
+  }
+
+  // One scheduled run; returns its outcome, or null when shutdown interrupted it
+  async runOnce() {
+    const scraper = this.createScraper();
+    this.currentScraper = scraper;
+
+    let outcome;
+    try {
+      const results = await scraper.runAllTests();
+      if (results.interrupted) return null;
+      outcome = summarizeOutcome(results);
+    } catch (error) {
+      if (this.stopping) return null;
+      this.log('ERROR', 'Run crashed', { error: error.message });
+      outcome = { status: 'fail', runId: scraper.results.runId, summary: null, failures: [], sortingErrors: [], error: error.message };
+    } finally {
+      this.currentScraper = null;
+    }
+
+    this.runsThisSession++;
+    const { state, alerts } = recordOutcome(this.state, outcome, { alertAfterFailures: this.alertAfterFailures });
+    this.state = state;
+    await this.saveState();
+    this.recordMetrics(alerts);
+
+    this.log(outcome.status === 'pass' ? 'SUCCESS' : 'WARN', `Run ${state.runs} ${outcome.status === 'pass' ? 'passed' : 'failed'}`, {
+      runId: outcome.runId,
+      consecutiveFailures: state.consecutiveFailures
+    });
+
+    for (const alert of alerts) {
+      await this.raiseAlert(alert);
+    }
+    return outcome;
+  }
+
+  recordMetrics(alerts) {
+    if (!this.metrics) return;
+    this.metrics.gauge('hn_scraper_watch_status', '1 while the watch is passing, 0 while it is failing').set({}, this.state.status === 'pass' ? 1 : 0);
+    this.metrics.gauge('hn_scraper_watch_consecutive_failures', 'Runs in a row that failed').set({}, this.state.consecutiveFailures);
+    const alertCounter = this.metrics.counter('hn_scraper_watch_alerts_total', 'Alerts raised by the watch', ['type']);
+    alerts.forEach(alert => alertCounter.inc({ type: alert.type }));
+  }
+
+  async raiseAlert(alert) {
+    this.log(alert.status === 'pass' ? 'SUCCESS' : 'ERROR', `ALERT: ${alert.message}`, {
+      type: alert.type,
+      runId: alert.runId,
+      failures: alert.failures.map(failure => `${failure.feed}/${failure.browser}`)
+    });
+
+    try {
+      await fs.mkdir(path.dirname(this.alertsFile), { recursive: true });
+      await fs.appendFile(this.alertsFile, JSON.stringify(alert) + '\n');
+    } catch (error) {
+      this.log('WARN', 'Could not write alert', { path: this.alertsFile, error: error.message });
+    }
+
+    if (this.onAlert) {
+      try {
+        await this.onAlert(alert);
+      } catch (error) {
+        this.log('WARN', 'Alert handler failed', { error: error.message });
+      }
+    }
+  }
+
+  // Safe to call more than once (e.g. from a signal handler); the run in progress is interrupted
+  // and its browsers closed
+  async stop() {
+    if (this.stopping) return;
+    this.stopping = true;
+    if (this.wake) this.wake();
+    if (this.currentScraper) {
+      this.log('INFO', 'Interrupting the run in progress');
+      await this.currentScraper.shutdown();
+    }
+  }
+}
+
+module.exports = { Watcher, recordOutcome, summarizeOutcome, runPassed };
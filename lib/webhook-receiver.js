@@ -0,0 +1,104 @@
+const http = require('http');
+
+
+// Local stand-in for a webhook endpoint: records every POST and can fail or stall on purpose, so
+// notifications (retries and timeouts included) can be tried without a real Slack or Teams
+class WebhookReceiver {
+  constructor(options = {}) {
+    this.options = {
+      host: options.host || '127.0.0.1',
+      port: options.port || 0,
+      // Answer the first `failures` requests with `failureStatus` (and Retry-After, if set)
+      failures: options.failures || 0,
+      failureStatus: options.failureStatus || 503,
+      retryAfter: options.retryAfter ?? null,
+      // Hold every response this long, to trigger client timeouts
+      delayMs: options.delayMs || 0,
+      onRequest: options.onRequest || null
+    };
+
+    this.server = null;
+    this.requests = [];
+    this.attempts = 0;
+  }
+
+  get url() {
+    if (!this.server) return null;
+    const { port } = this.server.address();
+    return `http://${this.options.host}:${port}`;
+  }
+
+  async handleRequest(req, res) {
+    const chunks = [];
+    for await (const chunk of req) {
+      chunks.push(chunk);
+    }
+    const raw = Buffer.concat(chunks).toString('utf8');
+    this.attempts++;
+
+    if (this.options.delayMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.options.delayMs));
+    }
+
+    if (this.attempts <= this.options.failures) {
+      res.writeHead(this.options.failureStatus, {
+        'Content-Type': 'text/plain',
+        ...(this.options.retryAfter !== null ? { 'Retry-After': String(this.options.retryAfter) } : {})
+      });
+      res.end('try again later');
+      return;
+    }
+
+    let body = raw;
+    try {
+      body = JSON.parse(raw);
+    } catch (error) {
+      // Kept as text; the receiver doesn't judge payloads
+    }
+
+    const request = { method: req.method, path: req.url, headers: req.headers, body, receivedAt: new Date().toISOString() };
+    this.requests.push(request);
+    if (this.options.onRequest) this.options.onRequest(request);
+
+    res.writeHead(200, { 'Content-Type': 'text/plain' });
+    res.end('ok');
+  }
+
+  async start() {
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end(error.message);
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.options.port, this.options.host, resolve);
+    });
+
+    return this.url;
+  }
+
+  async stop() {
+    if (!this.server) return;
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+}
+
+
+async function main() {
+  const receiver = new WebhookReceiver({
+    port: parseInt(process.argv[2] || '8081', 10),
+    onRequest: request => console.log(`\n${request.receivedAt} ${request.method} ${request.path}\n${JSON.stringify(request.body, null, 2)}`)
+  });
+  const url = await receiver.start();
+  console.log(`Receiving webhooks at ${url} (try --webhooks ${url}/hook)`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { WebhookReceiver };
@@ -12,6 +12,8 @@ const { defineConfig, devices } = require('@playwright/test');
  */
 module.exports = defineConfig({
   testDir: './tests',
+  /* A scrape pages through the listing with a pause between navigations, well past the 30s default */
+  timeout: 5 * 60 * 1000,
   /* Run tests in files in parallel */
   fullyParallel: true,
   /* Fail the build on CI if you accidentally left test.only in the source code. */
@@ -33,18 +35,27 @@ module.exports = defineConfig({
 
   /* Configure projects for major browsers */
   projects: [
+    /* Specs under tests/unit never open a page, so they run once, without a browser */
+    {
+      name: 'unit',
+      testMatch: /unit\/.*\.spec\.js/,
+    },
+
     {
       name: 'chromium',
+      testIgnore: /unit\//,
       use: { ...devices['Desktop Chrome'] },
     },
 
     {
       name: 'firefox',
+      testIgnore: /unit\//,
       use: { ...devices['Desktop Firefox'] },
     },
 
     {
       name: 'webkit',
+      testIgnore: /unit\//,
       use: { ...devices['Desktop Safari'] },
     },
 
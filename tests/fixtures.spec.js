@@ -0,0 +1,113 @@
+const { test, expect } = require('../lib/test-fixtures');
+
+// Offline scenarios from fixtures/hn, served by lib/fixture-server.js; each project scrapes them
+// with its own browser, so these also cover the scraper itself on every engine
+
+test.describe('sorted listing', () => {
+  test.use({ scenario: 'sorted', scraperOptions: { targetArticles: 90 } });
+
+  test('collects all three pages and passes', async ({ scrapeResult, articles, validator }) => {
+    expect(articles).toHaveLength(90);
+    expect(new Set(articles.map(article => article.page))).toEqual(new Set([1, 2, 3]));
+    validator.expectSorted(articles);
+    await validator.expectValid(articles);
+    expect(scrapeResult.success).toBe(true);
+  });
+
+  test('matches the official API', async ({ scraper, articles }) => {
+    const check = await scraper.verifyWithApi(scraper.feeds[0], articles);
+    expect(check.articlesCompared).toBe(90);
+    expect(check.consistent).toBe(true);
+  });
+
+  test('measures every page load', async ({ scrapeResult }) => {
+    const pages = scrapeResult.performanceMetrics.pages;
+    expect(pages.map(page => page.page)).toEqual([1, 2, 3]);
+    pages.forEach(page => {
+      expect(page.timing.ttfb).toBeGreaterThanOrEqual(0);
+      expect(page.timing.domContentLoaded).toBeGreaterThan(0);
+    });
+  });
+});
+
+test.describe('missorted listing', () => {
+  test.use({ scenario: 'missorted', scraperOptions: { targetArticles: 60 } });
+
+  test('reports the swap and the page-boundary inversion', async ({ scrapeResult, articles, validator }) => {
+    const violations = validator.sortingErrors(articles);
+    expect(violations.map(violation => violation.position)).toEqual([5, 30]);
+    expect((await validator.failures(articles)).map(finding => finding.rule)).toContain('monotonicTimestamps');
+    expect(scrapeResult.success).toBe(false);
+  });
+});
+
+test.describe('same-minute posts', () => {
+  test.use({ scenario: 'ties', scraperOptions: { targetArticles: 30 } });
+
+  test('orders ties by item ID', async ({ scrapeResult, articles, validator }) => {
+    const violations = validator.sortingErrors(articles);
+    expect(violations).toHaveLength(1);
+    expect(violations[0]).toMatchObject({ position: 8, reason: 'item_id' });
+    expect(scrapeResult.resolvedTies).toBeGreaterThan(0);
+  });
+});
+
+test.describe('listing that moves while paging', () => {
+  test.use({ scenario: 'drift', scraperOptions: { targetArticles: 90 } });
+
+  test('reports drift without counting it as a sorting error', async ({ scrapeResult, articles, validator }) => {
+    const types = scrapeResult.paginationFindings.map(finding => finding.type);
+    expect(types).toContain('duplicate');
+    expect(types).toContain('gap');
+    // Repeated rows are dropped, not collected twice
+    expect(new Set(articles.map(article => article.id)).size).toBe(articles.length);
+    validator.expectSorted(articles);
+  });
+});
+
+test.describe('truncated listing', () => {
+  test.use({ scenario: 'truncated', scraperOptions: { targetArticles: 90 } });
+
+  test('fails when the listing ends before targetArticles', async ({ scrapeResult, articles }) => {
+    expect(articles.length).toBeLessThan(90);
+    expect(scrapeResult.ruleResults.find(result => result.rule === 'minArticles')).toMatchObject({ passed: false, severity: 'error' });
+    expect(scrapeResult.success).toBe(false);
+  });
+});
+
+test.describe('rate-limited listing', () => {
+  test.use({
+    scenario: 'rate-limited',
+    scraperOptions: { targetArticles: 60, retry: { baseDelayMs: 100, maxDelayMs: 1000 } }
+  });
+
+  test('retries through the throttling page', async ({ scrapeResult, articles, validator }) => {
+    const retries = scrapeResult.performanceMetrics.errors.filter(error => error.type === 'retry');
+    expect(retries.map(retry => retry.operation)).toEqual(['initialLoad', 'pagination', 'pagination']);
+    expect(retries.every(retry => retry.reason === 'rate_limited')).toBe(true);
+    expect(articles).toHaveLength(60);
+    await validator.expectValid(articles);
+  });
+});
+
+test.describe('listing the official API disagrees with', () => {
+  test.use({ scenario: 'api-mismatch', scraperOptions: { targetArticles: 30 } });
+
+  test('reports each kind of disagreement', async ({ scraper, articles, validator }) => {
+    validator.expectSorted(articles);
+    const check = await scraper.verifyWithApi(scraper.feeds[0], articles);
+    expect(check.consistent).toBe(false);
+    expect(check.missingFromApi.map(article => article.id)).toEqual([39000988]);
+    expect(check.missingFromScrape).toMatchObject([{ id: 39000974, dead: true }]);
+    expect(check.timestampMismatches).toMatchObject([{ id: 39000970, differenceSec: 600 }]);
+    expect(check.orderDisagreements).toMatchObject([{ id: 39000961, next: { id: 39000958 } }]);
+  });
+});
+
+test.describe('empty listing', () => {
+  test.use({ scenario: 'empty', scraperOptions: { targetArticles: 30 } });
+
+  test('fails instead of passing with nothing to check', async ({ scrapeResult }) => {
+    expect(scrapeResult.success).toBe(false);
+  });
+});
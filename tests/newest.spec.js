@@ -0,0 +1,23 @@
+const { test, expect } = require('../lib/test-fixtures');
+
+// Live check of https://news.ycombinator.com/newest with the project's browser; the scraper's
+// options come from hn-scraper.config.* and HN_SCRAPER_* like they do for `hn-scraper run`.
+// It needs the network and sends real requests to HN, so it only runs with HN_LIVE set.
+test.skip(!process.env.HN_LIVE, 'Set HN_LIVE=1 to scrape the live site');
+
+test('newest is sorted from newest to oldest', async ({ scrapeResult, articles, validator, scraper }) => {
+  await test.step('collects the target number of articles', async () => {
+    // A politeness limit ends the run early on purpose, so fewer articles are fine then
+    if (!scrapeResult.stoppedBy) {
+      expect(articles).toHaveLength(scraper.options.targetArticles);
+    }
+  });
+
+  await test.step('timestamps descend', async () => {
+    validator.expectSorted(articles);
+  });
+
+  await test.step('every rule for the feed passes', async () => {
+    await validator.expectValid(articles, { browser: scrapeResult.browser });
+  });
+});
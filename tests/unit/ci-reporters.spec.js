@@ -0,0 +1,116 @@
+const { test, expect } = require('@playwright/test');
+const { buildTestCases, formatJUnit, formatTAP } = require('../../lib/ci-reporters');
+
+// JUnit XML and TAP output from lib/ci-reporters.js for a passing, a failing and a crashed run
+
+const current = { id: 2, title: 'Tom & Jerry <3 "quotes"', timestamp: '2024-01-15T10:00:00' };
+const next = { id: 1, title: "It's newer", timestamp: '2024-01-15T10:05:00' };
+
+const results = {
+  testRuns: [
+    {
+      feed: 'newest',
+      browser: 'chromium',
+      success: true,
+      articlesCollected: 90,
+      timestamp: '2024-01-15T10:10:00.000Z',
+      performanceMetrics: { totalTime: 1500 },
+      sortingErrors: [],
+      ruleResults: [
+        { rule: 'monotonicTimestamps', severity: 'error', passed: true, findings: [] },
+        { rule: 'maxPostGap', severity: 'warning', passed: true, findings: [{ severity: 'warning', message: 'Gap of 3h between #4 and #5' }] }
+      ]
+    },
+    {
+      feed: 'newest',
+      browser: 'firefox',
+      success: false,
+      articlesCollected: 90,
+      performanceMetrics: { totalTime: 2500 },
+      sortingErrors: [{ position: 7, reason: 'timestamp', current, next }],
+      ruleResults: [
+        { rule: 'monotonicTimestamps', severity: 'error', passed: false, findings: [{ severity: 'error', message: 'sorting error' }] },
+        { rule: 'uniqueItemIds', severity: 'error', passed: false, findings: [{ severity: 'error', message: 'Item 5 appears twice' }, { severity: 'error', message: 'Item 6 appears twice' }] }
+      ]
+    },
+    { feed: 'show', browser: 'webkit', success: false, error: 'Browser <webkit> crashed & burned' }
+  ]
+};
+
+test.describe('buildTestCases', () => {
+  test('splits the ordering rule into one case per sorting error', () => {
+    expect(buildTestCases(results.testRuns[1]).map(c => [c.name, c.passed])).toEqual([
+      ['monotonicTimestamps: sorting error at position 7', false],
+      ['uniqueItemIds', false]
+    ]);
+  });
+
+  test('reports a run that crashed as a single errored case', () => {
+    expect(buildTestCases(results.testRuns[2])).toMatchObject([{ name: 'scrape', passed: false, error: true }]);
+  });
+});
+
+test.describe('formatJUnit', () => {
+  const xml = formatJUnit(results);
+
+  test('counts tests, failures and errors per suite and overall', () => {
+    expect(xml).toContain('<testsuites name="Hacker News sorting validation" tests="5" failures="2" errors="1" time="4.000">');
+    expect(xml).toContain('<testsuite name="newest / chromium" tests="2" failures="0" errors="0" skipped="0" time="1.500" timestamp="2024-01-15T10:10:00.000Z">');
+    expect(xml).toContain('<testsuite name="newest / firefox" tests="2" failures="2" errors="0"');
+    expect(xml).toContain('<testsuite name="show / webkit" tests="1" failures="0" errors="1"');
+  });
+
+  test('escapes failure messages in attributes and text', () => {
+    const message = 'Position 7: &quot;Tom &amp; Jerry &lt;3 &quot;quotes&quot;&quot; (2024-01-15T10:00:00) is older than the next article &quot;It&#39;s newer&quot; (2024-01-15T10:05:00)';
+    expect(xml).toContain(`<failure message="${message}" type="ValidationFailure">${message}</failure>`);
+    expect(xml).toContain('<error message="Browser &lt;webkit&gt; crashed &amp; burned" type="ScrapeError">Browser &lt;webkit&gt; crashed &amp; burned</error>');
+  });
+
+  test('uses the first finding as the failure message and keeps warnings as output', () => {
+    expect(xml).toContain('<failure message="Item 5 appears twice" type="ValidationFailure">Item 5 appears twice\nItem 6 appears twice</failure>');
+    expect(xml).toContain('<system-out>[warning] Gap of 3h between #4 and #5</system-out>');
+    expect(xml).toContain('<testcase classname="hn-scraper.newest.chromium" name="monotonicTimestamps" time="0"/>');
+  });
+
+  test('leaves no unescaped markup from the data', () => {
+    expect(xml).not.toMatch(/<3|<webkit>|& /);
+  });
+});
+
+test.describe('formatTAP', () => {
+  const tap = formatTAP(results);
+  const lines = tap.trimEnd().split('\n');
+
+  test('plans one subtest per run and reports each with ok or not ok', () => {
+    expect(lines.slice(0, 2)).toEqual(['TAP version 14', '1..3']);
+    expect(lines.filter(line => /^(not )?ok /.test(line))).toEqual([
+      'ok 1 - newest / chromium',
+      'not ok 2 - newest / firefox',
+      'not ok 3 - show / webkit'
+    ]);
+  });
+
+  test('plans and numbers the cases inside each subtest', () => {
+    const firstSubtest = lines.slice(lines.indexOf('# Subtest: newest / chromium') + 1, lines.indexOf('ok 1 - newest / chromium'));
+    expect(firstSubtest).toEqual([
+      '    1..2',
+      '    ok 1 - monotonicTimestamps',
+      '    ok 2 - maxPostGap',
+      '    # [warning] Gap of 3h between #4 and #5'
+    ]);
+    expect(lines).toContain('    not ok 1 - monotonicTimestamps: sorting error at position 7');
+    expect(lines).toContain('    not ok 1 - scrape');
+  });
+
+  test('adds a YAML diagnostic block to each failing case', () => {
+    const start = lines.indexOf('    not ok 1 - monotonicTimestamps: sorting error at position 7') + 1;
+    expect(lines.slice(start, start + 5)).toEqual([
+      '      ---',
+      `      message: ${JSON.stringify('Position 7: "Tom & Jerry <3 "quotes"" (2024-01-15T10:00:00) is older than the next article "It\'s newer" (2024-01-15T10:05:00)')}`,
+      '      position: 7',
+      '      reason: "timestamp"',
+      '      current:'
+    ]);
+    expect(lines).toContain('        title: "Tom & Jerry <3 \\"quotes\\""');
+  });
+});
@@ -0,0 +1,67 @@
+const { test, expect } = require('../../lib/test-fixtures');
+const path = require('path');
+const fs = require('fs').promises;
+const { execFile } = require('child_process');
+
+// `hn-scraper validate` on saved data, run as its own process like a user would
+
+const INDEX = path.join(__dirname, '../../index.js');
+
+function runCli(args) {
+  return new Promise(resolve => {
+    execFile(process.execPath, [INDEX, ...args], { timeout: 60000 }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+}
+
+test.describe('validate', () => {
+  // A passing 60-article run; the CLI's own targetArticles stays at its default of 100
+  test.use({ scenario: 'sorted', scraperOptions: { engine: 'http', targetArticles: 60, logLevel: 'error' } });
+
+  let run;
+
+  test.beforeEach(async ({ scraper }) => {
+    run = await scraper.scrapeArticlesWithHttp(scraper.feeds[0]);
+    expect(run).toMatchObject({ success: true, targetArticles: 60, articlesCollected: 60 });
+  });
+
+  async function validate(data, testInfo) {
+    const inputPath = testInfo.outputPath('input.json');
+    await fs.writeFile(inputPath, JSON.stringify(data));
+    return runCli(['validate', inputPath]);
+  }
+
+  test('passes a short report against its own targetArticles', async ({}, testInfo) => {
+    const { code, stdout } = await validate({ testRuns: [run] }, testInfo);
+    expect(stdout).toContain('✅ minArticles');
+    expect(code).toBe(0);
+  });
+
+  test('fails a report that fell short of its target', async ({}, testInfo) => {
+    const { code, stdout } = await validate({ testRuns: [{ ...run, articles: run.articles.slice(0, 40) }] }, testInfo);
+    expect(stdout).toContain('❌ minArticles: 1 error(s), 0 warning(s)');
+    expect(stdout).toContain('Collected 40 articles, expected at least 60');
+    expect(code).toBe(1);
+  });
+
+  test('only warns when a politeness limit stopped the saved run', async ({}, testInfo) => {
+    const { code, stdout } = await validate({ testRuns: [{ ...run, articles: run.articles.slice(0, 40), stoppedBy: 'maxPages' }] }, testInfo);
+    expect(stdout).toContain('Collected 40 articles, expected at least 60 (stopped by maxPages)');
+    expect(code).toBe(0);
+  });
+
+  test('falls back to the collected count for reports without targetArticles', async ({}, testInfo) => {
+    const { targetArticles, ...older } = run;
+    const { code, stdout } = await validate({ testRuns: [{ ...older, articles: run.articles.slice(0, 40), articlesCollected: 40 }] }, testInfo);
+    expect(stdout).toContain('✅ minArticles');
+    expect(code).toBe(0);
+  });
+
+  test('does not hold a bare article list to a target', async ({}, testInfo) => {
+    const { code, stdout } = await validate(run.articles.slice(0, 30), testInfo);
+    expect(stdout).toContain('Validated 30 articles');
+    expect(stdout).toContain('✅ minArticles');
+    expect(code).toBe(0);
+  });
+});
@@ -0,0 +1,112 @@
+const { test, expect } = require('@playwright/test');
+const path = require('path');
+const fs = require('fs').promises;
+const { ConfigError, normalizeOptions, readEnvOptions, loadOptions, envName } = require('../../lib/config');
+
+// Option defaults, validation and the config file / environment layers from lib/config.js
+
+test.describe('normalizeOptions', () => {
+  test('fills in defaults for missing options', () => {
+    const options = normalizeOptions({});
+    expect(options).toMatchObject({ targetArticles: 100, browsers: ['chromium'], engine: 'browser', enableScreenshots: true, maxRetries: null });
+  });
+
+  test('keeps explicit false and 0 instead of the defaults', () => {
+    const options = normalizeOptions({ enableScreenshots: false, respectRobotsTxt: false, targetArticles: 0, minNavigationIntervalMs: 0, maxRetries: 0 });
+    expect(options).toMatchObject({ enableScreenshots: false, respectRobotsTxt: false, targetArticles: 0, minNavigationIntervalMs: 0, maxRetries: 0 });
+  });
+
+  test('treats null as a value only for nullable options', () => {
+    expect(normalizeOptions({ requestBudget: null, concurrency: undefined })).toMatchObject({ requestBudget: null, concurrency: 3 });
+  });
+
+  test('hands out a fresh copy of object defaults', () => {
+    const first = normalizeOptions({});
+    first.browsers.push('firefox');
+    first.rules.minArticles = false;
+    expect(normalizeOptions({})).toMatchObject({ browsers: ['chromium'], rules: {} });
+  });
+
+  test('rejects unknown browser names', () => {
+    expect(() => normalizeOptions({ browsers: ['chromium', 'chrome'] })).toThrow('browsers[1] must be one of chromium, firefox, webkit, got "chrome"');
+  });
+
+  test('reports every problem at once', () => {
+    let error;
+    try {
+      normalizeOptions({ targetArticles: -1, engine: 'curl', baseUrl: 'ftp://example.com', startPath: 'newest', targetArticels: 5 });
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).toBeInstanceOf(ConfigError);
+    expect(error.problems).toEqual([
+      'targetArticles must be at least 0, got -1',
+      'engine must be one of browser, http, both, got "curl"',
+      'baseUrl must be an absolute http(s) URL, got "ftp://example.com"',
+      'startPath must be a path starting with "/", got "newest"',
+      'unknown option "targetArticels"'
+    ]);
+    expect(error.message).toContain('Invalid configuration:\n  - targetArticles must be at least 0');
+  });
+
+  test('suggests the option a differently cased name meant', () => {
+    expect(() => normalizeOptions({ targetarticles: 5 })).toThrow('unknown option "targetarticles" (did you mean targetArticles?)');
+  });
+});
+
+test.describe('readEnvOptions', () => {
+  test('names variables after the options', () => {
+    expect(envName('targetArticles')).toBe('HN_SCRAPER_TARGET_ARTICLES');
+    expect(envName('minNavigationIntervalMs')).toBe('HN_SCRAPER_MIN_NAVIGATION_INTERVAL_MS');
+  });
+
+  test('coerces values to each option\'s type', () => {
+    expect(readEnvOptions({
+      HN_SCRAPER_TARGET_ARTICLES: '50',
+      HN_SCRAPER_ENABLE_SCREENSHOTS: 'off',
+      HN_SCRAPER_HISTORY: 'YES',
+      HN_SCRAPER_BROWSERS: 'chromium, firefox',
+      HN_SCRAPER_RETRY: '{"retries":2}',
+      HN_SCRAPER_FEEDS: 'newest,show',
+      HN_SCRAPER_OUTPUT_DIR: '',
+      UNRELATED: 'ignored'
+    })).toEqual({
+      targetArticles: 50,
+      enableScreenshots: false,
+      history: true,
+      browsers: ['chromium', 'firefox'],
+      retry: { retries: 2 },
+      feeds: ['newest', 'show']
+    });
+  });
+
+  test('rejects values that do not fit the type', () => {
+    expect(() => readEnvOptions({ HN_SCRAPER_TARGET_ARTICLES: '1.5' })).toThrow('HN_SCRAPER_TARGET_ARTICLES must be an integer, got "1.5"');
+    expect(() => readEnvOptions({ HN_SCRAPER_HISTORY: 'maybe' })).toThrow('HN_SCRAPER_HISTORY must be true or false');
+    expect(() => readEnvOptions({ HN_SCRAPER_RULES: 'minArticles' })).toThrow('HN_SCRAPER_RULES must be JSON');
+    expect(() => readEnvOptions({ HN_SCRAPER_BROWSERS: 'safari' })).toThrow(/Invalid configuration in environment:\n {2}- browsers\[0\] must be one of/);
+  });
+});
+
+test.describe('loadOptions', () => {
+  test('layers the config file, then the environment, then explicit options', async ({}, testInfo) => {
+    const dir = testInfo.outputPath('project');
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, 'hn-scraper.config.json'), JSON.stringify({ targetArticles: 30, concurrency: 1, maxPages: 2, outputDir: 'out' }));
+
+    const { options, configPath } = await loadOptions({
+      cwd: dir,
+      env: { HN_SCRAPER_CONCURRENCY: '2', HN_SCRAPER_MAX_PAGES: '4' },
+      overrides: { maxPages: 5 }
+    });
+    expect(configPath).toBe(path.join(dir, 'hn-scraper.config.json'));
+    // Relative paths are relative to the config file
+    expect(options).toEqual({ targetArticles: 30, concurrency: 2, maxPages: 5, outputDir: path.join(dir, 'out') });
+  });
+
+  test('names the file a problem came from', async ({}, testInfo) => {
+    const file = testInfo.outputPath('bad.json');
+    await fs.writeFile(file, JSON.stringify({ browsers: [] }));
+    await expect(loadOptions({ configFile: file, env: {} })).rejects.toThrow(`Invalid configuration in ${file}:\n  - browsers needs at least 1 entry`);
+  });
+});
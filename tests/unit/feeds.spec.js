@@ -0,0 +1,49 @@
+const { test, expect } = require('@playwright/test');
+const { HackerNewsScraper } = require('../../index');
+const { DEFAULT_RULES, resolveFeed, feedForStartPath } = require('../../lib/feeds');
+
+// Feed specs and bare start paths resolved by lib/feeds.js
+
+test.describe('resolveFeed', () => {
+  test('builds named and parameterized feeds', () => {
+    expect(resolveFeed('newest')).toMatchObject({ name: 'newest', type: 'newest', startPath: '/newest', rules: [...DEFAULT_RULES, 'maxPostGap'] });
+    expect(resolveFeed('front:2024-01-15')).toMatchObject({ name: 'front-2024-01-15', startPath: '/front?day=2024-01-15' });
+    expect(resolveFeed('from:github.com')).toMatchObject({ name: 'from-github.com', startPath: '/from?site=github.com' });
+  });
+
+  test('rejects unknown feeds and missing arguments', () => {
+    expect(() => resolveFeed('best')).toThrow('Unknown feed "best"');
+    expect(() => resolveFeed('front')).toThrow('front feed needs a day');
+    expect(() => resolveFeed({ startPath: '/shownew' })).toThrow('Custom feeds need at least a name and a startPath');
+  });
+});
+
+test.describe('feedForStartPath', () => {
+  test('keeps the rules of the known feed a path points at', () => {
+    expect(feedForStartPath('/newest')).toEqual(resolveFeed('newest'));
+    expect(feedForStartPath('/show')).toEqual(resolveFeed('show'));
+    expect(feedForStartPath('/front?day=2024-01-15')).toEqual(resolveFeed('front:2024-01-15'));
+    expect(feedForStartPath('/from?site=github.com')).toEqual(resolveFeed('from:github.com'));
+  });
+
+  test('checks any other listing as a custom chronological feed', () => {
+    ['/shownew', '/newest?next=100', '/front', '/front?day=yesterday'].forEach(startPath => {
+      expect(feedForStartPath(startPath), startPath).toEqual({ name: 'custom', type: 'custom', startPath, rules: DEFAULT_RULES });
+    });
+  });
+});
+
+test.describe('HackerNewsScraper feeds', () => {
+  const feedsFor = options => new HackerNewsScraper({ history: false, logLevel: 'error', ...options }).feeds;
+
+  test('treats an explicit startPath of a known feed like that feed', () => {
+    expect(feedsFor({ startPath: '/newest' })).toEqual([resolveFeed('newest')]);
+    expect(feedsFor({})).toEqual([resolveFeed('newest')]);
+    expect(feedsFor({ startPath: '/ask' })[0]).toMatchObject({ name: 'ask', rules: ['contiguousRanks', 'uniqueItemIds', 'minArticles'] });
+  });
+
+  test('uses a custom feed for other start paths and ignores startPath when feeds are given', () => {
+    expect(feedsFor({ startPath: '/shownew' })).toEqual([{ name: 'custom', type: 'custom', startPath: '/shownew', rules: DEFAULT_RULES }]);
+    expect(feedsFor({ startPath: '/shownew', feeds: ['show'] }).map(feed => feed.name)).toEqual(['show']);
+  });
+});
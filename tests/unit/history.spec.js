@@ -0,0 +1,93 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs').promises;
+const { appendRun, readHistory, buildTrend, formatTrendText } = require('../../lib/history');
+
+// Run history (JSON Lines) and the trend built from it, from lib/history.js
+
+function runResult(runId, startTime, runs) {
+  return {
+    runId,
+    startTime,
+    endTime: startTime,
+    summary: { totalRuns: runs.length },
+    testRuns: runs.map(run => ({
+      feed: 'newest',
+      success: true,
+      articlesCollected: 90,
+      sortingErrors: [],
+      articles: [{ id: 1 }],
+      ...run
+    }))
+  };
+}
+
+const HISTORY = [
+  runResult('run-2', '2024-01-15T18:00:00.000Z', [
+    { browser: 'chromium', success: false, sortingErrors: [{ position: 5 }, { position: 30 }], articlesCollected: 60, performanceMetrics: { averagePageLoadTime: 3000 } },
+    { browser: 'firefox', performanceMetrics: { averagePageLoadTime: 1000 } }
+  ]),
+  runResult('run-1', '2024-01-14T09:00:00.000Z', [
+    { browser: 'chromium', performanceMetrics: { averagePageLoadTime: 1000 } },
+    { browser: 'chromium', feed: 'show', articlesCollected: 30 }
+  ]),
+  runResult('run-3', '2024-01-16T00:00:00.000Z', [
+    { browser: 'firefox', performanceMetrics: { averagePageLoadTime: 2000 } }
+  ])
+];
+
+test.describe('readHistory', () => {
+  test('reads every complete line and skips a malformed one', async ({}, testInfo) => {
+    const file = testInfo.outputPath('history.jsonl');
+    await appendRun(file, HISTORY[0]);
+    // What a run killed mid-write leaves behind
+    await fs.appendFile(file, '{"runId":"partial","testRuns":[{"brow\n\n');
+    await appendRun(file, HISTORY[1]);
+
+    const { entries, skipped } = await readHistory(file);
+    expect(skipped).toBe(1);
+    expect(entries.map(entry => entry.runId)).toEqual(['run-2', 'run-1']);
+    // Article lists stay in each run's own report
+    expect(entries[0].testRuns[0]).not.toHaveProperty('articles');
+  });
+
+  test('treats a missing file as an empty history', async ({}, testInfo) => {
+    expect(await readHistory(testInfo.outputPath('missing.jsonl'))).toEqual({ entries: [], skipped: 0 });
+  });
+});
+
+test.describe('buildTrend', () => {
+  const entries = JSON.parse(JSON.stringify(HISTORY));
+
+  test('aggregates each run into one point, oldest first', () => {
+    const trend = buildTrend(entries);
+    expect(trend.points).toEqual([
+      { runId: 'run-1', startTime: '2024-01-14T09:00:00.000Z', runs: 2, successRate: 100, sortingErrors: 0, averagePageLoadTime: 1000, articlesCollected: 60 },
+      { runId: 'run-2', startTime: '2024-01-15T18:00:00.000Z', runs: 2, successRate: 50, sortingErrors: 2, averagePageLoadTime: 2000, articlesCollected: 75 },
+      { runId: 'run-3', startTime: '2024-01-16T00:00:00.000Z', runs: 1, successRate: 100, sortingErrors: 0, averagePageLoadTime: 2000, articlesCollected: 90 }
+    ]);
+    expect(trend.totals).toEqual({
+      runs: 3,
+      successRate: 250 / 3,
+      runsWithSortingErrors: 1,
+      averagePageLoadTime: 5000 / 3,
+      averageArticlesCollected: 75
+    });
+  });
+
+  test('filters by browser and feed, dropping runs with nothing left', () => {
+    expect(buildTrend(entries, { browser: 'chromium' }).points.map(point => [point.runId, point.runs])).toEqual([['run-1', 2], ['run-2', 1]]);
+    expect(buildTrend(entries, { feed: 'show' }).points.map(point => point.runId)).toEqual(['run-1']);
+  });
+
+  test('includes the whole day a bare --until date names', () => {
+    expect(buildTrend(entries, { since: '2024-01-15', until: '2024-01-15' }).points.map(point => point.runId)).toEqual(['run-2']);
+    expect(buildTrend(entries, { until: '2024-01-15T12:00:00Z' }).points.map(point => point.runId)).toEqual(['run-1']);
+  });
+
+  test('summarizes the filters and totals as text', () => {
+    const text = formatTrendText(buildTrend(entries, { browser: 'firefox' }));
+    expect(text).toContain('Filters: browser firefox');
+    expect(text).toContain('Runs: 2');
+    expect(text).toContain('Average Success Rate: 100.00%');
+  });
+});
@@ -0,0 +1,104 @@
+const { test, expect } = require('@playwright/test');
+const { parseHTML, decodeEntities } = require('../../lib/html-parser');
+
+// lib/html-parser.js builds the tree the http engine reads; HN's markup leaves many tags unclosed
+
+test.describe('tree building', () => {
+  test('closes unclosed <tr> and <td> at the next row or cell', () => {
+    const document = parseHTML('<table><tr class="athing" id="1"><td>one<td>two<tr class="spacer"><td>three</table>');
+    const rows = document.querySelectorAll('tr');
+    expect(rows.map(row => row.getAttribute('class'))).toEqual(['athing', 'spacer']);
+    expect(rows[0].children.map(cell => cell.textContent)).toEqual(['one', 'two']);
+    expect(rows[0].nextElementSibling).toBe(rows[1]);
+  });
+
+  test('keeps a nested table inside its cell', () => {
+    const document = parseHTML('<table><tr><td><table><tr><td>inner</table><td>outer</table>');
+    const outerRow = document.querySelector('table > tr');
+    expect(outerRow.children.map(cell => cell.textContent)).toEqual(['inner', 'outer']);
+  });
+
+  test('reads raw-text elements up to their end tag only', () => {
+    const document = parseHTML('<head><script>if (a < b && "</td>") x();</script><title>A &amp; B</title></head><body><p>after</p></body>');
+    expect(document.querySelector('script').textContent).toBe('if (a < b && "</td>") x();');
+    expect(document.querySelector('title').textContent).toBe('A & B');
+    expect(document.querySelector('p').textContent).toBe('after');
+  });
+
+  test('handles void and self-closing elements, comments and stray end tags', () => {
+    const document = parseHTML('<div><img src="a.png"><br/><!-- <span>hidden</span> --></b><span>shown</span></div>');
+    const div = document.querySelector('div');
+    expect(div.children.map(child => child.tagName)).toEqual(['img', 'br', 'span']);
+    expect(div.textContent).toBe('shown');
+  });
+
+  test('keeps what it could parse from truncated markup', () => {
+    const document = parseHTML('<table><tr class="athing" id="7"><td><span class="titleline"><a href="/x">Cut o');
+    expect(document.querySelector('.titleline a').textContent).toBe('Cut o');
+  });
+});
+
+test.describe('entities', () => {
+  test('decodes named and numeric entities in text and attributes', () => {
+    const document = parseHTML('<a title="Tom &amp; Jerry" href="?a=1&amp;b=2">&lt;b&gt; &#39;x&#39; &#x2014;&nbsp;&hellip;</a>');
+    const link = document.querySelector('a');
+    expect(link.getAttribute('title')).toBe('Tom & Jerry');
+    expect(link.getAttribute('href')).toBe('?a=1&b=2');
+    expect(link.textContent).toBe('<b> \'x\' — …');
+  });
+
+  test('knows every HTML5 name, not just the ASCII ones', () => {
+    const document = parseHTML('<span class="titleline">Caf&eacute; &hearts; na&iuml;ve &rarr; &Omega;&ne;&infin; &NotNestedGreaterGreater;</span>');
+    expect(document.querySelector('.titleline').textContent).toBe('Café ♥ naïve → Ω≠∞ ⪢̸');
+  });
+
+  test('leaves unknown names and bare ampersands as written', () => {
+    expect(decodeEntities('AT&T &bogus; &amp')).toBe('AT&T &bogus; &');
+  });
+
+  test('decodes legacy names without ";" in text but not before "=" in attributes', () => {
+    const document = parseHTML('<a href="?a=1&copy=2&amp;b=3">&copy 2024</a>');
+    const link = document.querySelector('a');
+    expect(link.getAttribute('href')).toBe('?a=1&copy=2&b=3');
+    expect(link.textContent).toBe('© 2024');
+  });
+});
+
+test.describe('selectors', () => {
+  const document = parseHTML(`
+    <table id="list">
+      <tr class="athing submission" id="101"><td><span class="rank">1.</span><td><span class="titleline"><a href="https://a.example">A</a> <span class="sitebit"><a href="from?site=a.example">a.example</a></span></span>
+      <tr><td class="subtext"><span class="age" title="2024-01-15T10:00:00"><a href="item?id=101">1 hour ago</a></span>
+    </table>
+    <a class="morelink" href="newest?next=100&amp;n=31" rel="next">More</a>`);
+
+  test('matches tags, ids and classes', () => {
+    expect(document.querySelectorAll('tr.athing').map(row => row.id)).toEqual(['101']);
+    expect(document.querySelector('#list').tagName).toBe('table');
+    expect(document.querySelector('.athing.submission').id).toBe('101');
+  });
+
+  test('distinguishes child from descendant combinators', () => {
+    expect(document.querySelectorAll('.titleline a').map(link => link.textContent)).toEqual(['A', 'a.example']);
+    expect(document.querySelectorAll('.titleline > a').map(link => link.textContent)).toEqual(['A']);
+  });
+
+  test('matches attribute presence and values', () => {
+    expect(document.querySelector('[title]').getAttribute('title')).toBe('2024-01-15T10:00:00');
+    expect(document.querySelector('a[rel=next]').getAttribute('href')).toBe('newest?next=100&n=31');
+    expect(document.querySelector('a[rel="prev"]')).toBeNull();
+  });
+
+  test('returns comma-separated lists in document order', () => {
+    expect(document.querySelectorAll('a.morelink, .rank').map(element => element.tagName)).toEqual(['span', 'a']);
+  });
+
+  test('matches ancestors above the element queried from, as the DOM does', () => {
+    const row = document.querySelector('tr.athing');
+    expect(row.querySelector('table .rank').textContent).toBe('1.');
+  });
+
+  test('rejects selectors it does not support', () => {
+    expect(() => document.querySelector('a:first-child')).toThrow('Unsupported selector');
+  });
+});
@@ -0,0 +1,72 @@
+const { test, expect } = require('@playwright/test');
+const { formatHTMLReport, safeHref } = require('../../lib/html-report');
+
+// Scraped values must come out of lib/html-report.js as text, never as markup or script
+
+const HOSTILE_TITLE = '<img src=x onerror=alert(1)></script><script>alert(2)</script>';
+const ESCAPED_TITLE = '&lt;img src=x onerror=alert(1)&gt;&lt;/script&gt;&lt;script&gt;alert(2)&lt;/script&gt;';
+
+function results(articles, run = {}) {
+  return {
+    summary: { successRate: 0, totalRuns: 1, averageArticlesCollected: articles.length, totalSortingErrors: 1 },
+    testRuns: [{
+      feed: 'newest',
+      browser: 'chromium',
+      rules: ['monotonicTimestamps'],
+      success: false,
+      articlesCollected: articles.length,
+      articles,
+      sortingErrors: [{ position: 1, reason: 'timestamp', current: articles[0], next: articles[1] }],
+      ...run
+    }]
+  };
+}
+
+const article = (position, fields) => ({
+  position,
+  page: 1,
+  rank: position,
+  id: 100 - position,
+  timestamp: `2024-01-15T10:0${position}:00 ${1705312800 + position * 60}`,
+  ...fields
+});
+
+test.describe('formatHTMLReport', () => {
+  const html = formatHTMLReport(results([
+    article(1, { title: HOSTILE_TITLE, url: 'javascript:alert(document.cookie)', author: '"><svg onload=alert(3)>', domain: "x' onmouseover='alert(4)" }),
+    article(2, { title: 'Safe link', url: 'https://example.com/?a=1&b="x"' })
+  ], { error: '</p><script>alert(5)</script>' }));
+
+  test('escapes hostile titles, authors, domains and errors', () => {
+    expect(html).toContain(`<td>${ESCAPED_TITLE}</td>`);
+    expect(html).toContain('<td>&quot;&gt;&lt;svg onload=alert(3)&gt;</td>');
+    expect(html).toContain('<td>x&#39; onmouseover=&#39;alert(4)</td>');
+    expect(html).toContain('<p><strong>Error:</strong> &lt;/p&gt;&lt;script&gt;alert(5)&lt;/script&gt;</p>');
+    // In the sorting error table and the timeline tooltips as well
+    expect(html).toContain(`<td>${ESCAPED_TITLE} <span class="timestamp">`);
+    expect(html).toContain(`<title>#1 ${ESCAPED_TITLE} (2024-01-15T10:01:00.000Z)</title>`);
+  });
+
+  test('contains no markup from the scraped values', () => {
+    expect(html).not.toContain('<img src=x');
+    expect(html).not.toContain('<svg onload');
+    // Only the report's own table script
+    expect(html.match(/<script>/g)).toHaveLength(1);
+    expect(html.match(/<\/script>/g)).toHaveLength(1);
+  });
+
+  test('links only http(s) URLs', () => {
+    expect(html).not.toContain('javascript:');
+    expect(html).toContain('<a href="https://example.com/?a=1&amp;b=%22x%22" rel="noopener noreferrer">Safe link</a>');
+  });
+});
+
+test.describe('safeHref', () => {
+  test('accepts http(s) and rejects every other scheme', () => {
+    expect(safeHref('https://example.com/a b')).toBe('https://example.com/a%20b');
+    expect(safeHref('http://example.com')).toBe('http://example.com/');
+    ['javascript:alert(1)', ' JavaScript:alert(1)', 'data:text/html,<script>alert(1)</script>', 'vbscript:x', 'item?id=1', '', null, undefined].forEach(url => {
+      expect(safeHref(url), String(url)).toBeNull();
+    });
+  });
+});
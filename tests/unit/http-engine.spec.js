@@ -0,0 +1,55 @@
+const { test, expect } = require('../../lib/test-fixtures');
+
+// The http engine against the fixtures/hn scenarios; it needs no browser, so it runs with the unit
+// specs. tests/fixtures.spec.js covers the same scenarios in each browser.
+
+test.describe('sorted listing', () => {
+  test.use({ scenario: 'sorted', scraperOptions: { engine: 'http', targetArticles: 90 } });
+
+  test('collects all three pages and passes', async ({ scraper, validator }) => {
+    const result = await scraper.scrapeArticlesWithHttp(scraper.feeds[0]);
+    expect(result).toMatchObject({ browser: 'http', success: true, sortingErrors: [], articlesCollected: 90 });
+    expect(new Set(result.articles.map(article => article.page))).toEqual(new Set([1, 2, 3]));
+    expect(result.performanceMetrics.pages.map(page => page.page)).toEqual([1, 2, 3]);
+    validator.expectSorted(result.articles);
+    await validator.expectValid(result.articles);
+  });
+
+  test('reads the same articles as a browser', async ({ scraper }) => {
+    const feed = scraper.feeds[0];
+    scraper.results.testRuns.push(await scraper.scrapeArticlesWithHttp(feed));
+    const articles = scraper.collectedArticles[feed.name].http;
+
+    // Stands in for a browser run over the same pages
+    const browserRun = (browser, browserArticles) => {
+      scraper.results.testRuns.push({ browser, feed: feed.name, success: true });
+      scraper.collectedArticles[feed.name][browser] = browserArticles;
+    };
+
+    browserRun('chromium', articles.map(article => ({ ...article })));
+    expect(scraper.checkEngineConsistency(feed.name)).toMatchObject({
+      checked: true,
+      consistent: true,
+      comparisons: [{ browser: 'chromium', articlesCompared: 90, missingFromHttp: [], missingFromBrowser: [], fieldMismatches: [] }]
+    });
+
+    const changed = articles.filter((article, index) => index !== 10).map(article => ({ ...article }));
+    changed[20].title = 'Rendered differently';
+    browserRun('chromium', changed);
+    const check = scraper.checkEngineConsistency(feed.name);
+    expect(check.consistent).toBe(false);
+    expect(check.comparisons[0].missingFromBrowser).toEqual([{ id: articles[10].id, position: articles[10].position, title: articles[10].title }]);
+    expect(check.comparisons[0].fieldMismatches).toMatchObject([{ id: changed[20].id, field: 'title', browserValue: 'Rendered differently' }]);
+  });
+});
+
+test.describe('missorted listing', () => {
+  test.use({ scenario: 'missorted', scraperOptions: { engine: 'http', targetArticles: 60 } });
+
+  test('reports the swap and the page-boundary inversion', async ({ scraper, validator }) => {
+    const result = await scraper.scrapeArticlesWithHttp(scraper.feeds[0]);
+    expect(result.sortingErrors.map(violation => violation.position)).toEqual([5, 30]);
+    expect((await validator.failures(result.articles)).map(finding => finding.rule)).toContain('monotonicTimestamps');
+    expect(result.success).toBe(false);
+  });
+});
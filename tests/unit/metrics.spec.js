@@ -0,0 +1,105 @@
+const { test, expect } = require('@playwright/test');
+const { MetricsRegistry, recordRunMetrics, startMetricsServer } = require('../../lib/metrics');
+
+// Prometheus exposition from lib/metrics.js for a synthetic runAllTests() result
+
+const results = {
+  endTime: '2024-01-15T10:05:00.000Z',
+  testRuns: [
+    {
+      feed: 'newest',
+      browser: 'chromium',
+      success: false,
+      articlesCollected: 60,
+      sortingErrors: [{ position: 5 }, { position: 30 }],
+      timestamp: '2024-01-15T10:00:00.000Z',
+      performanceMetrics: {
+        totalTime: 4500,
+        networkRequests: 12,
+        pageLoadTimes: [400, 1500],
+        errors: [
+          { type: 'retry', operation: 'pagination', reason: 'rate_limited' },
+          { type: 'article_processing' }
+        ]
+      }
+    },
+    { feed: 'show "hn"', browser: 'firefox', error: 'Browser crashed', success: false }
+  ]
+};
+
+test.describe('MetricsRegistry', () => {
+  test('renders counters, gauges and histograms with their labels', () => {
+    const registry = new MetricsRegistry();
+    recordRunMetrics(registry, results);
+    const text = registry.render();
+
+    expect(text).toContain('# HELP hn_scraper_runs_total Feed/browser runs by result');
+    expect(text).toContain('# TYPE hn_scraper_runs_total counter');
+    expect(text).toContain('hn_scraper_runs_total{browser="chromium",feed="newest",result="fail"} 1');
+    // Label values are escaped
+    expect(text).toContain('hn_scraper_runs_total{browser="firefox",feed="show \\"hn\\"",result="error"} 1');
+    expect(text).toContain('hn_scraper_sorting_errors_total{browser="chromium",feed="newest"} 2');
+    expect(text).toContain('hn_scraper_retries_total{browser="chromium",feed="newest",operation="pagination",reason="rate_limited"} 1');
+    expect(text).toContain('hn_scraper_processing_errors_total{browser="chromium",feed="newest",type="article_processing"} 1');
+
+    expect(text).toContain('# TYPE hn_scraper_page_load_seconds histogram');
+    expect(text).toContain('hn_scraper_page_load_seconds_bucket{browser="chromium",feed="newest",le="0.25"} 0');
+    expect(text).toContain('hn_scraper_page_load_seconds_bucket{browser="chromium",feed="newest",le="0.5"} 1');
+    expect(text).toContain('hn_scraper_page_load_seconds_bucket{browser="chromium",feed="newest",le="+Inf"} 2');
+    expect(text).toContain('hn_scraper_page_load_seconds_sum{browser="chromium",feed="newest"} 1.9');
+    expect(text).toContain('hn_scraper_page_load_seconds_count{browser="chromium",feed="newest"} 2');
+
+    expect(text).toContain('hn_scraper_articles_collected{browser="chromium",feed="newest"} 60');
+    expect(text).toContain('hn_scraper_run_duration_seconds{browser="chromium",feed="newest"} 4.5');
+    expect(text).toContain(`hn_scraper_last_run_timestamp_seconds{browser="chromium",feed="newest"} ${Date.parse('2024-01-15T10:00:00Z') / 1000}`);
+    expect(text.endsWith('\n')).toBe(true);
+  });
+
+  test('accumulates counters across runs and keeps the latest gauges', () => {
+    const registry = new MetricsRegistry();
+    recordRunMetrics(registry, results);
+    recordRunMetrics(registry, {
+      ...results,
+      testRuns: [{ ...results.testRuns[0], success: true, sortingErrors: [], articlesCollected: 90 }]
+    });
+    const text = registry.render();
+
+    expect(text).toContain('hn_scraper_runs_total{browser="chromium",feed="newest",result="fail"} 1');
+    expect(text).toContain('hn_scraper_runs_total{browser="chromium",feed="newest",result="pass"} 1');
+    expect(text).toContain('hn_scraper_sorting_errors_total{browser="chromium",feed="newest"} 2');
+    expect(text).toContain('hn_scraper_articles_collected{browser="chromium",feed="newest"} 90');
+    expect(text).toContain('hn_scraper_last_run_success{browser="chromium",feed="newest"} 1');
+  });
+
+  test('leaves out metrics without series and rejects a type clash', () => {
+    const registry = new MetricsRegistry();
+    registry.counter('unused_total', 'Never incremented');
+    expect(registry.render()).toBe('\n');
+    expect(() => registry.gauge('unused_total', 'Now a gauge')).toThrow('already a counter');
+    expect(() => registry.counter('down_total', 'Counter').inc({}, -1)).toThrow('counters only go up');
+  });
+});
+
+test.describe('startMetricsServer', () => {
+  let server;
+
+  test.afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('serves the registry at /metrics and nothing else', async () => {
+    const registry = new MetricsRegistry();
+    recordRunMetrics(registry, results);
+    server = await startMetricsServer(registry, { port: 0, host: '127.0.0.1' });
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    const response = await fetch(`${base}/metrics`);
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toBe('text/plain; version=0.0.4; charset=utf-8');
+    expect(await response.text()).toBe(registry.render());
+
+    const missing = await fetch(`${base}/`);
+    expect(missing.status).toBe(404);
+    await missing.text();
+  });
+});
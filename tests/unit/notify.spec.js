@@ -0,0 +1,52 @@
+const { test, expect } = require('@playwright/test');
+const { resolveWebhook, sendWebhook } = require('../../lib/notify');
+const { WebhookReceiver } = require('../../lib/webhook-receiver');
+
+// Webhook delivery against lib/webhook-receiver.js; retries wait 0ms instead of backing off
+
+const noWait = () => Promise.resolve();
+
+test.describe('sendWebhook', () => {
+  let receiver;
+
+  test.afterEach(async () => {
+    await receiver.stop();
+  });
+
+  test('retries a 503 and delivers the payload once', async () => {
+    receiver = new WebhookReceiver({ failures: 1, failureStatus: 503, retryAfter: 0 });
+    const url = await receiver.start();
+    const retries = [];
+
+    const result = await sendWebhook(resolveWebhook({ url: `${url}/hook`, headers: { 'X-Token': 'secret' } }), { status: 'passed' }, {
+      onRetry: retry => retries.push(retry),
+      wait: noWait
+    });
+
+    expect(result).toEqual({ status: 200, attempts: 2 });
+    expect(retries).toMatchObject([{ attempt: 1, reason: 'rate_limited', status: 503, retryAfterMs: 0 }]);
+    expect(receiver.requests).toHaveLength(1);
+    expect(receiver.requests[0]).toMatchObject({ method: 'POST', path: '/hook', headers: { 'x-token': 'secret' } });
+    expect(receiver.requests[0].body).toMatchObject({ status: 'passed' });
+  });
+
+  test('gives up once a slow endpoint has timed out every attempt', async () => {
+    receiver = new WebhookReceiver({ delayMs: 300 });
+    const url = await receiver.start();
+    const retries = [];
+
+    await expect(sendWebhook(resolveWebhook({ url, timeoutMs: 50, retries: 1 }), { status: 'passed' }, {
+      onRetry: retry => retries.push(retry),
+      wait: noWait
+    })).rejects.toMatchObject({ name: 'TimeoutError' });
+    expect(retries).toMatchObject([{ attempt: 1, reason: 'timeout' }]);
+  });
+
+  test('does not retry a 4xx', async () => {
+    receiver = new WebhookReceiver({ failures: 5, failureStatus: 404 });
+    const url = await receiver.start();
+
+    await expect(sendWebhook(resolveWebhook(url), { status: 'passed' }, { wait: noWait })).rejects.toThrow('HTTP 404: try again later');
+    expect(receiver.attempts).toBe(1);
+  });
+});
@@ -0,0 +1,139 @@
+const { test, expect } = require('@playwright/test');
+const http = require('http');
+const { HackerNewsScraper } = require('../../index');
+const { parseRobotsTxt, isAllowed, NavigationThrottle, PolitenessLimitError } = require('../../lib/politeness');
+
+// robots.txt handling, the request budget and navigation pacing from lib/politeness.js
+
+const ROBOTS_TXT = `
+# Everyone else
+User-agent: *
+Disallow: /x
+Crawl-delay: 30
+
+User-agent: Googlebot
+User-agent: hn-scraper
+Disallow: /item
+Allow: /item?id=1$
+Disallow: /*.json$
+Crawl-delay: 0.25
+
+User-agent: hn-scraper/beta
+Disallow: /newest
+`;
+
+test.describe('parseRobotsTxt', () => {
+  test('uses every group naming our product token, and only those', () => {
+    const robots = parseRobotsTxt(ROBOTS_TXT);
+    expect(robots.rules).toEqual([
+      { allow: false, path: '/item' },
+      { allow: true, path: '/item?id=1$' },
+      { allow: false, path: '/*.json$' }
+    ]);
+    expect(robots.crawlDelayMs).toBe(250);
+    // A more specific token picks up its own group as well
+    expect(parseRobotsTxt(ROBOTS_TXT, 'hn-scraper/beta').rules.map(rule => rule.path)).toEqual(['/item', '/item?id=1$', '/*.json$', '/newest']);
+  });
+
+  test('falls back to the * group for other agents', () => {
+    expect(parseRobotsTxt(ROBOTS_TXT, 'SomeOtherBot')).toEqual({ rules: [{ allow: false, path: '/x' }], crawlDelayMs: 30000 });
+  });
+
+  test('treats an empty Disallow as allowing everything', () => {
+    expect(parseRobotsTxt('User-agent: *\nDisallow:\n')).toEqual({ rules: [], crawlDelayMs: null });
+    expect(parseRobotsTxt('')).toEqual({ rules: [], crawlDelayMs: null });
+  });
+});
+
+test.describe('isAllowed', () => {
+  const robots = parseRobotsTxt(ROBOTS_TXT, 'hn-scraper/1.0');
+
+  test('lets the longest matching rule decide', () => {
+    expect(isAllowed(robots, '/item?id=2')).toBe(false);
+    expect(isAllowed(robots, '/item?id=1')).toBe(true);
+    // The $ anchor stops the Allow from matching a longer query
+    expect(isAllowed(robots, '/item?id=10')).toBe(false);
+    expect(isAllowed(robots, '/newest?next=1')).toBe(true);
+  });
+
+  test('expands * wildcards', () => {
+    expect(isAllowed(robots, '/v0/topstories.json')).toBe(false);
+    expect(isAllowed(robots, '/v0/topstories.json?x=1')).toBe(true);
+  });
+
+  test('prefers Allow when two rules are equally long', () => {
+    const tied = { rules: [{ allow: false, path: '/show' }, { allow: true, path: '/show' }] };
+    expect(isAllowed(tied, '/show')).toBe(true);
+  });
+
+  test('allows everything without robots.txt', () => {
+    expect(isAllowed(null, '/anything')).toBe(true);
+  });
+});
+
+test.describe('NavigationThrottle', () => {
+  test('spaces navigations by the interval', async () => {
+    const throttle = new NavigationThrottle(100);
+    const times = [];
+    await Promise.all([1, 2, 3].map(() => throttle.wait().then(() => times.push(Date.now()))));
+    expect(times[1] - times[0]).toBeGreaterThanOrEqual(95);
+    expect(times[2] - times[1]).toBeGreaterThanOrEqual(95);
+  });
+});
+
+test.describe('beforeNavigation', () => {
+  let server;
+  let baseUrl;
+
+  test.beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      res.writeHead(req.url === '/robots.txt' ? 200 : 404, { 'Content-Type': 'text/plain' });
+      res.end(req.url === '/robots.txt' ? ROBOTS_TXT : '');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  test.afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const createScraper = (options, testInfo) => new HackerNewsScraper({
+    baseUrl,
+    history: false,
+    logLevel: 'error',
+    outputDir: testInfo.outputPath('reports'),
+    ...options
+  });
+
+  test('raises the navigation interval to the Crawl-delay', async ({}, testInfo) => {
+    const scraper = createScraper({ minNavigationIntervalMs: 100 }, testInfo);
+    await scraper.preparePoliteness();
+    expect(scraper.throttle.intervalMs).toBe(250);
+  });
+
+  test('keeps a longer configured interval', async ({}, testInfo) => {
+    const scraper = createScraper({ minNavigationIntervalMs: 1000 }, testInfo);
+    await scraper.preparePoliteness();
+    expect(scraper.throttle.intervalMs).toBe(1000);
+  });
+
+  test('stops at a disallowed path and at the request budget', async ({}, testInfo) => {
+    const scraper = createScraper({ minNavigationIntervalMs: 0, requestBudget: 1 }, testInfo);
+
+    const blocked = { navigations: 0, stoppedBy: null };
+    await expect(scraper.beforeNavigation(`${baseUrl}/item?id=5`, blocked)).rejects.toThrow(PolitenessLimitError);
+    expect(blocked).toEqual({ navigations: 0, stoppedBy: 'robotsTxt' });
+
+    const crawl = { navigations: 0, stoppedBy: null };
+    await scraper.beforeNavigation(`${baseUrl}/news`, crawl);
+    await expect(scraper.beforeNavigation(`${baseUrl}/news?p=2`, crawl)).rejects.toThrow('Request budget of 1 navigations used up');
+    expect(crawl).toEqual({ navigations: 1, stoppedBy: 'requestBudget' });
+  });
+
+  test('ignores robots.txt when told to', async ({}, testInfo) => {
+    const scraper = createScraper({ minNavigationIntervalMs: 0, respectRobotsTxt: false }, testInfo);
+    await scraper.beforeNavigation(`${baseUrl}/item?id=5`);
+    expect(scraper.throttle.intervalMs).toBe(0);
+  });
+});
@@ -0,0 +1,117 @@
+const { test, expect } = require('@playwright/test');
+const path = require('path');
+const fs = require('fs').promises;
+const { execFile } = require('child_process');
+const { diffReports, hasRegressions, formatDiffText } = require('../../lib/report-diff');
+
+// `hn-scraper diff` and lib/report-diff.js on hand-made validation reports
+
+const article = (id, position) => ({ id, position, title: `Post ${id}`, timestamp: `2024-01-15T10:${String(60 - position).padStart(2, '0')}:00` });
+const listing = ids => ids.map((id, index) => article(id, index + 1));
+
+function report(runs, summary = {}) {
+  return {
+    startTime: '2024-01-15T10:00:00.000Z',
+    summary: { successRate: 100, totalSortingErrors: 0, ...summary },
+    testRuns: runs.map(run => ({ feed: 'newest', browser: 'chromium', success: true, sortingErrors: [], ...run, articlesCollected: run.articles?.length ?? 0 }))
+  };
+}
+
+const sortingError = (current, next) => ({ position: current.position, reason: 'timestamp', current, next });
+
+test.describe('diffReports', () => {
+  test('lists added and removed articles', () => {
+    const diff = diffReports(report([{ articles: listing([10, 9, 8, 7]) }]), report([{ articles: listing([11, 10, 9, 7]) }]));
+    const [run] = diff.runs;
+    expect(run.status).toBe('compared');
+    expect(run.articlesAdded.map(a => a.id)).toEqual([11]);
+    expect(run.articlesRemoved.map(a => a.id)).toEqual([8]);
+    expect(run.orderChanges).toEqual([]);
+  });
+
+  test('does not report the articles a new submission pushed down as moves', () => {
+    const base = listing([10, 9, 8, 7, 6, 5, 4, 3, 2, 1]);
+    const head = listing([11, 10, 9, 8, 7, 6, 5, 4, 3, 2, 1]);
+    const diff = diffReports(report([{ articles: base }]), report([{ articles: head }]));
+    expect(diff.totals).toMatchObject({ articlesAdded: 1, articlesRemoved: 0, orderChanges: 0 });
+  });
+
+  test('reports only the article that moved, not those it jumped over', () => {
+    const diff = diffReports(report([{ articles: listing([10, 9, 8, 7, 6, 5]) }]), report([{ articles: listing([10, 5, 9, 8, 7, 6]) }]));
+    expect(diff.runs[0].orderChanges).toEqual([{ id: 5, title: 'Post 5', from: 6, to: 2 }]);
+  });
+
+  test('keeps the longest run in base order when the listing is reversed', () => {
+    const diff = diffReports(report([{ articles: listing([4, 3, 2, 1]) }]), report([{ articles: listing([1, 2, 3, 4]) }]));
+    expect(diff.runs[0].orderChanges.map(change => change.id)).toHaveLength(3);
+  });
+
+  test('matches runs by feed and browser', () => {
+    const diff = diffReports(
+      report([{ browser: 'chromium', articles: [] }, { browser: 'firefox', articles: [] }]),
+      report([{ browser: 'chromium', articles: [] }, { browser: 'webkit', articles: [] }])
+    );
+    expect(diff.runs.map(run => [run.key, run.status])).toEqual([
+      ['newest/chromium', 'compared'],
+      ['newest/firefox', 'removed'],
+      ['newest/webkit', 'added']
+    ]);
+  });
+
+  test('counts new and resolved sorting errors and newly failing runs as regressions', () => {
+    const articles = listing([10, 9, 8, 7]);
+    const fixed = sortingError(articles[0], articles[1]);
+    const introduced = sortingError(articles[2], articles[3]);
+    const diff = diffReports(
+      report([{ articles, sortingErrors: [fixed] }], { totalSortingErrors: 1 }),
+      report([{ articles, success: false, sortingErrors: [introduced] }], { successRate: 0, totalSortingErrors: 1 })
+    );
+
+    expect(diff.runs[0].newSortingErrors).toEqual([introduced]);
+    expect(diff.runs[0].resolvedSortingErrors).toEqual([fixed]);
+    expect(diff.totals.newlyFailing).toEqual(['newest/chromium']);
+    expect(hasRegressions(diff)).toBe(true);
+
+    const text = formatDiffText(diff);
+    expect(text).toContain('New Sorting Errors: 1');
+    expect(text).toContain('Newly Failing: newest/chromium');
+  });
+
+  test('does not count added articles alone as a regression', () => {
+    const diff = diffReports(report([{ articles: listing([2, 1]) }]), report([{ articles: listing([3, 2, 1]) }]));
+    expect(hasRegressions(diff)).toBe(false);
+  });
+});
+
+test.describe('hn-scraper diff', () => {
+  const INDEX = path.join(__dirname, '../../index.js');
+
+  async function runDiff(base, head, testInfo) {
+    const basePath = testInfo.outputPath('base.json');
+    const headPath = testInfo.outputPath('head.json');
+    await fs.writeFile(basePath, JSON.stringify(base));
+    await fs.writeFile(headPath, JSON.stringify(head));
+    return new Promise(resolve => {
+      execFile(process.execPath, [INDEX, 'diff', basePath, headPath], { timeout: 60000 }, (error, stdout) => {
+        resolve({ code: error ? error.code : 0, stdout });
+      });
+    });
+  }
+
+  test('exits 0 when nothing regressed', async ({}, testInfo) => {
+    const { code, stdout } = await runDiff(report([{ articles: listing([2, 1]) }]), report([{ articles: listing([3, 2, 1]) }]), testInfo);
+    expect(stdout).toContain('Articles Added: 1');
+    expect(code).toBe(0);
+  });
+
+  test('exits 1 on a new sorting error', async ({}, testInfo) => {
+    const articles = listing([10, 9]);
+    const { code, stdout } = await runDiff(
+      report([{ articles }]),
+      report([{ articles, sortingErrors: [sortingError(articles[0], articles[1])] }], { totalSortingErrors: 1 }),
+      testInfo
+    );
+    expect(stdout).toContain('New Sorting Errors: 1');
+    expect(code).toBe(1);
+  });
+});
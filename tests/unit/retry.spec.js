@@ -0,0 +1,143 @@
+const { test, expect } = require('@playwright/test');
+const {
+  RetryableResponseError,
+  resolveRetryPolicy,
+  parseRetryAfter,
+  classifyResponse,
+  computeDelay,
+  isRetryable,
+  withRetry
+} = require('../../lib/retry');
+
+// Backoff and response classification from lib/retry.js; waits are recorded instead of slept
+
+const policy = { retries: 3, baseDelayMs: 1000, maxDelayMs: 5000, factor: 2, jitter: 0.5 };
+
+test.describe('parseRetryAfter', () => {
+  test('reads delta-seconds and HTTP dates', () => {
+    const now = Date.parse('2024-01-15T10:00:00Z');
+    expect(parseRetryAfter('120')).toBe(120000);
+    expect(parseRetryAfter(' 0 ')).toBe(0);
+    expect(parseRetryAfter('Mon, 15 Jan 2024 10:00:30 GMT', now)).toBe(30000);
+    // A date already past means retry now
+    expect(parseRetryAfter('Mon, 15 Jan 2024 09:59:00 GMT', now)).toBe(0);
+  });
+
+  test('ignores missing and unreadable values', () => {
+    [undefined, null, '', 'soon'].forEach(value => expect(parseRetryAfter(value)).toBeNull());
+  });
+});
+
+test.describe('classifyResponse', () => {
+  test('treats 429, 503 and the throttling page as rate limiting', () => {
+    expect(classifyResponse({ status: 429, headers: { 'retry-after': '7' } })).toEqual({ reason: 'rate_limited', status: 429, retryAfterMs: 7000 });
+    expect(classifyResponse({ status: 503 })).toMatchObject({ reason: 'rate_limited', status: 503 });
+    expect(classifyResponse({ status: 200, bodyText: "Sorry, we're not able to serve your requests this quickly." })).toMatchObject({ reason: 'rate_limited', status: 200 });
+  });
+
+  test('treats other 5xx as server errors and leaves 2xx-4xx alone', () => {
+    expect(classifyResponse({ status: 502 })).toEqual({ reason: 'server_error', status: 502, retryAfterMs: null });
+    [200, 301, 403, 404].forEach(status => expect(classifyResponse({ status })).toBeNull());
+  });
+});
+
+test.describe('computeDelay', () => {
+  test('doubles from the base delay up to the cap', () => {
+    const noJitter = () => 0;
+    expect([0, 1, 2, 3, 4].map(attempt => computeDelay(attempt, policy, null, noJitter))).toEqual([1000, 2000, 4000, 5000, 5000]);
+  });
+
+  test('takes off at most `jitter` of each delay', () => {
+    expect(computeDelay(1, policy, null, () => 0.999999)).toBe(1000);
+    expect(computeDelay(1, policy, null, () => 0.5)).toBe(1500);
+    for (let i = 0; i < 50; i++) {
+      const delay = computeDelay(2, policy);
+      expect(delay).toBeGreaterThanOrEqual(2000);
+      expect(delay).toBeLessThanOrEqual(4000);
+    }
+  });
+
+  test('uses Retry-After as given', () => {
+    expect(computeDelay(0, policy, 30000)).toBe(30000);
+  });
+});
+
+test.describe('resolveRetryPolicy', () => {
+  test('applies shared overrides, then per-operation ones', () => {
+    const resolved = resolveRetryPolicy({ retries: 1, pagination: { baseDelayMs: 100 } });
+    expect(resolved.initialLoad).toMatchObject({ retries: 1, baseDelayMs: 5000 });
+    expect(resolved.pagination).toMatchObject({ retries: 1, baseDelayMs: 100 });
+    expect(resolved.reload).toMatchObject({ retries: 1, baseDelayMs: 3000 });
+  });
+});
+
+test.describe('withRetry', () => {
+  const rateLimited = (retryAfterMs = null) => new RetryableResponseError('Rate limited (HTTP 429)', { reason: 'rate_limited', status: 429, retryAfterMs });
+
+  async function run(outcomes, options = {}) {
+    const waits = [];
+    const retries = [];
+    let calls = 0;
+    const result = withRetry(async attempt => {
+      expect(attempt).toBe(calls);
+      const outcome = outcomes[calls++];
+      if (outcome instanceof Error) throw outcome;
+      return outcome;
+    }, {
+      policy,
+      onRetry: retry => retries.push(retry),
+      wait: async ms => waits.push(ms),
+      random: () => 0,
+      ...options
+    });
+    return { result, waits, retries, calls: () => calls };
+  }
+
+  test('retries until the call succeeds', async () => {
+    const timeout = Object.assign(new Error('Timeout 1000ms exceeded'), { name: 'TimeoutError' });
+    const { result, waits, retries, calls } = await run([rateLimited(), timeout, 'ok']);
+    expect(await result).toBe('ok');
+    expect(calls()).toBe(3);
+    expect(waits).toEqual([1000, 2000]);
+    expect(retries).toMatchObject([
+      { attempt: 1, retries: 3, reason: 'rate_limited', status: 429 },
+      { attempt: 2, reason: 'timeout', status: null }
+    ]);
+  });
+
+  test('gives up after the policy\'s retries and throws the last error', async () => {
+    const errors = [rateLimited(), rateLimited(), rateLimited(), rateLimited(), 'never reached'];
+    const { result, waits, calls } = await run(errors);
+    await expect(result).rejects.toBe(errors[3]);
+    expect(calls()).toBe(4);
+    expect(waits).toHaveLength(3);
+  });
+
+  test('waits as long as Retry-After asks', async () => {
+    const { result, waits } = await run([rateLimited(12000), 'ok']);
+    await result;
+    expect(waits).toEqual([12000]);
+  });
+
+  test('stops when Retry-After is beyond the cap', async () => {
+    const error = rateLimited(10 * 60 * 1000);
+    const { result, waits } = await run([error, 'ok']);
+    await expect(result).rejects.toBe(error);
+    expect(waits).toEqual([]);
+  });
+
+  test('does not retry errors that would fail the same way again', async () => {
+    const notFound = new Error('HTTP 404 from https://example.com/item');
+    const { result, calls } = await run([notFound, 'ok']);
+    await expect(result).rejects.toBe(notFound);
+    expect(calls()).toBe(1);
+  });
+
+  test('knows which errors are worth another try', () => {
+    expect(isRetryable(rateLimited())).toBe(true);
+    expect(isRetryable(new Error('net::ERR_CONNECTION_RESET at https://news.ycombinator.com'))).toBe(true);
+    expect(isRetryable(new Error('connect ECONNREFUSED 127.0.0.1:80'))).toBe(true);
+    expect(isRetryable(new Error('Target page, context or browser has been closed'))).toBe(false);
+    expect(isRetryable(undefined)).toBe(false);
+  });
+});
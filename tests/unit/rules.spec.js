@@ -0,0 +1,44 @@
+const { test, expect } = require('@playwright/test');
+const { createDefaultRegistry } = require('../../lib/rules');
+
+// Built-in rules from lib/rules.js, run through the registry as a scrape or `validate` runs them
+
+const articles = Array.from({ length: 40 }, (_, index) => ({ id: 1000 - index, rank: index + 1, title: `Post ${index + 1}` }));
+
+function runMinArticles(context, ruleConfig = {}) {
+  return createDefaultRegistry().run(['minArticles'], articles, context, ruleConfig).then(([result]) => result);
+}
+
+test.describe('minArticles', () => {
+  test('fails a run that ended short of targetArticles on its own', async () => {
+    const result = await runMinArticles({ targetArticles: 60, stoppedBy: null });
+    expect(result.passed).toBe(false);
+    expect(result.findings).toEqual([
+      { rule: 'minArticles', message: 'Collected 40 articles, expected at least 60', severity: 'error' }
+    ]);
+  });
+
+  test('only warns when a politeness limit stopped the run', async () => {
+    const result = await runMinArticles({ targetArticles: 60, stoppedBy: 'requestBudget' });
+    expect(result.passed).toBe(true);
+    expect(result.findings).toEqual([
+      { rule: 'minArticles', message: 'Collected 40 articles, expected at least 60 (stopped by requestBudget)', severity: 'warning' }
+    ]);
+  });
+
+  test('passes once targetArticles is reached', async () => {
+    expect(await runMinArticles({ targetArticles: 40 })).toMatchObject({ passed: true, findings: [] });
+  });
+
+  test('skips a list with no target, as validate does for bare article lists', async () => {
+    expect(await runMinArticles({ targetArticles: null })).toMatchObject({ passed: true, findings: [] });
+    // An explicit minimum still applies
+    const result = await runMinArticles({ targetArticles: null }, { minArticles: { minArticles: 50 } });
+    expect(result.findings).toMatchObject([{ message: 'Collected 40 articles, expected at least 50', severity: 'error' }]);
+  });
+
+  test('lets the rule config lower the severity', async () => {
+    const result = await runMinArticles({ targetArticles: 60 }, { minArticles: { severity: 'warning' } });
+    expect(result).toMatchObject({ passed: true, severity: 'warning', findings: [{ severity: 'warning' }] });
+  });
+});
@@ -0,0 +1,102 @@
+const { test, expect } = require('@playwright/test');
+const { parseInterval, parseCron, nextCronTime, createSchedule } = require('../../lib/schedule');
+
+// Watch-mode schedules from lib/schedule.js; cron times are local, so dates are built in local time
+
+test.describe('parseInterval', () => {
+  test('reads durations with a unit', () => {
+    expect(parseInterval('500ms')).toBe(500);
+    expect(parseInterval('90s')).toBe(90000);
+    expect(parseInterval(' 15m ')).toBe(15 * 60 * 1000);
+    expect(parseInterval('1.5h')).toBe(90 * 60 * 1000);
+    expect(parseInterval('1d')).toBe(24 * 60 * 60 * 1000);
+  });
+
+  test('rejects missing units and empty durations', () => {
+    expect(() => parseInterval('15')).toThrow('Invalid interval "15"');
+    expect(() => parseInterval('1w')).toThrow('Invalid interval "1w"');
+    expect(() => parseInterval('0s')).toThrow('must be longer than 0');
+  });
+});
+
+test.describe('parseCron', () => {
+  test('expands lists, ranges and steps', () => {
+    const cron = parseCron('*/20 9-17/4 1,15 * 5-7');
+    expect([...cron.minute.values]).toEqual([0, 20, 40]);
+    expect([...cron.hour.values]).toEqual([9, 13, 17]);
+    expect([...cron.dayOfMonth.values]).toEqual([1, 15]);
+    expect(cron.month.any).toBe(true);
+    // 7 is Sunday, the same as 0
+    expect([...cron.dayOfWeek.values]).toEqual([5, 6, 0]);
+  });
+
+  test('reads "5/15" as every 15 starting at 5', () => {
+    expect([...parseCron('5/15 * * * *').minute.values]).toEqual([5, 20, 35, 50]);
+  });
+
+  test('expands aliases', () => {
+    expect(parseCron('@daily').expression).toBe('@daily');
+    expect([...parseCron('@daily').hour.values]).toEqual([0]);
+    expect([...parseCron('@weekly').dayOfWeek.values]).toEqual([0]);
+  });
+
+  test('rejects the wrong number of fields and out-of-range values', () => {
+    expect(() => parseCron('* * * *')).toThrow('expected 5 fields');
+    expect(() => parseCron('60 * * * *')).toThrow('Invalid minute "60" (allowed 0-59)');
+    expect(() => parseCron('* * 0 * *')).toThrow('Invalid day of month "0"');
+    expect(() => parseCron('* 5-2 * * *')).toThrow('Invalid hour "5-2"');
+    expect(() => parseCron('* * * jan *')).toThrow('Invalid month "jan"');
+  });
+});
+
+test.describe('nextCronTime', () => {
+  test('returns the next matching minute strictly after the start', () => {
+    const cron = parseCron('*/15 * * * *');
+    expect(nextCronTime(cron, new Date(2024, 0, 15, 10, 7, 30))).toEqual(new Date(2024, 0, 15, 10, 15));
+    expect(nextCronTime(cron, new Date(2024, 0, 15, 10, 15))).toEqual(new Date(2024, 0, 15, 10, 30));
+    expect(nextCronTime(cron, new Date(2024, 0, 15, 23, 50))).toEqual(new Date(2024, 0, 16, 0, 0));
+  });
+
+  test('skips to the next allowed weekday and month', () => {
+    // Friday evening to Monday morning
+    expect(nextCronTime(parseCron('0 9 * * 1-5'), new Date(2024, 0, 19, 17, 0))).toEqual(new Date(2024, 0, 22, 9, 0));
+    expect(nextCronTime(parseCron('@yearly'), new Date(2024, 5, 1))).toEqual(new Date(2025, 0, 1, 0, 0));
+  });
+
+  test('matches either a restricted day of month or day of week', () => {
+    // The 13th or any Friday; 2024-01-05 is a Friday
+    const cron = parseCron('0 0 13 * 5');
+    expect(nextCronTime(cron, new Date(2024, 0, 1))).toEqual(new Date(2024, 0, 5));
+    expect(nextCronTime(cron, new Date(2024, 0, 12, 12))).toEqual(new Date(2024, 0, 13));
+  });
+
+  test('gives up on expressions that never match', () => {
+    expect(() => nextCronTime(parseCron('0 0 30 2 *'), new Date(2024, 0, 1))).toThrow('never matches');
+  });
+});
+
+test.describe('createSchedule', () => {
+  test('runs an interval schedule right away, then from the start of the previous run', () => {
+    const schedule = createSchedule({ interval: '15m' });
+    const now = new Date(2024, 0, 15, 10, 7);
+    expect(schedule.description).toBe('every 15m');
+    expect(schedule.first(now)).toBe(now);
+    expect(schedule.next(now)).toEqual(new Date(2024, 0, 15, 10, 22));
+  });
+
+  test('defaults to every 30 minutes', () => {
+    expect(createSchedule().description).toBe('every 30m');
+  });
+
+  test('runs a cron schedule at each matching time', () => {
+    const schedule = createSchedule({ cron: '0 * * * *' });
+    expect(schedule.description).toBe('cron "0 * * * *"');
+    expect(schedule.first(new Date(2024, 0, 15, 10, 7))).toEqual(new Date(2024, 0, 15, 11, 0));
+    expect(schedule.next(new Date(2024, 0, 15, 11, 0), new Date(2024, 0, 15, 11, 20))).toEqual(new Date(2024, 0, 15, 12, 0));
+  });
+
+  test('rejects both kinds at once and cron expressions that never match', () => {
+    expect(() => createSchedule({ interval: '15m', cron: '@hourly' })).toThrow('not both');
+    expect(() => createSchedule({ cron: '0 0 31 4 *' })).toThrow('never matches');
+  });
+});
@@ -0,0 +1,60 @@
+const { test, expect } = require('@playwright/test');
+const { parseTimestamp } = require('../../lib/timestamp');
+
+// lib/timestamp.js; relative ages resolve against a fixed capture time, never the clock
+
+const CAPTURED_AT = '2024-01-15T12:00:00.000Z';
+const ago = ms => new Date(Date.parse(CAPTURED_AT) - ms);
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+test.describe('parseTimestamp', () => {
+  test('reads the .age title attribute, preferring its epoch', () => {
+    expect(parseTimestamp('2024-01-15T10:00:00 1705312800')).toEqual(new Date('2024-01-15T10:00:00Z'));
+    // The epoch wins when the two disagree
+    expect(parseTimestamp('2024-01-15T10:00:00 1705312860')).toEqual(new Date('2024-01-15T10:01:00Z'));
+  });
+
+  test('treats ISO without an offset as UTC and honours one when given', () => {
+    expect(parseTimestamp('2024-01-15T10:00:00')).toEqual(new Date('2024-01-15T10:00:00Z'));
+    expect(parseTimestamp('2024-01-15T10:00')).toEqual(new Date('2024-01-15T10:00:00Z'));
+    expect(parseTimestamp('2024-01-15T10:00:00+02:00')).toEqual(new Date('2024-01-15T08:00:00Z'));
+  });
+
+  test('resolves relative ages against the capture time', () => {
+    expect(parseTimestamp('an hour ago', CAPTURED_AT)).toEqual(ago(HOUR));
+    expect(parseTimestamp('1 minute ago', CAPTURED_AT)).toEqual(ago(MINUTE));
+    expect(parseTimestamp('3 minutes ago', CAPTURED_AT)).toEqual(ago(3 * MINUTE));
+    expect(parseTimestamp('a day ago', new Date(CAPTURED_AT))).toEqual(ago(DAY));
+    expect(parseTimestamp('just now', CAPTURED_AT)).toEqual(ago(0));
+  });
+
+  test('reads seconds, weeks, months and years', () => {
+    expect(parseTimestamp('45 seconds ago', CAPTURED_AT)).toEqual(ago(45 * 1000));
+    expect(parseTimestamp('2 weeks ago', CAPTURED_AT)).toEqual(ago(14 * DAY));
+    // HN rounds long ages, so a month is 30 days and a year 365
+    expect(parseTimestamp('one month ago', CAPTURED_AT)).toEqual(ago(30 * DAY));
+    expect(parseTimestamp('3 Years Ago', CAPTURED_AT)).toEqual(ago(3 * 365 * DAY));
+  });
+
+  test('reads unix seconds and milliseconds', () => {
+    expect(parseTimestamp(1705312800)).toEqual(new Date('2024-01-15T10:00:00Z'));
+    expect(parseTimestamp(1705312800000)).toEqual(new Date('2024-01-15T10:00:00Z'));
+    expect(parseTimestamp('1705312800')).toEqual(new Date('2024-01-15T10:00:00Z'));
+  });
+
+  test('falls back to the clock only without a usable capture time', () => {
+    const before = Date.now();
+    const parsed = parseTimestamp('5 minutes ago', 'not a date');
+    expect(parsed.getTime()).toBeGreaterThanOrEqual(before - 5 * MINUTE);
+    expect(parsed.getTime()).toBeLessThanOrEqual(Date.now() - 5 * MINUTE);
+  });
+
+  test('returns null for anything it cannot read', () => {
+    ['', '   ', 'yesterday-ish', 'ago', '5 fortnights ago', 'NaN', null, undefined, Number.NaN, new Date('nope')].forEach(value => {
+      expect(parseTimestamp(value, CAPTURED_AT), String(value)).toBeNull();
+    });
+  });
+});
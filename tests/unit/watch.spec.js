@@ -0,0 +1,175 @@
+const { test, expect } = require('@playwright/test');
+const fs = require('fs').promises;
+const { Watcher, recordOutcome, summarizeOutcome } = require('../../lib/watch');
+const { MetricsRegistry } = require('../../lib/metrics');
+
+// Watch mode from lib/watch.js, with scrapers that return canned runAllTests() results
+
+const INITIAL_STATE = { runs: 0, status: null, consecutiveFailures: 0, lastRunId: null, lastRunAt: null, statusSince: null };
+
+function makeResults(runId, { failed = 0, sortingErrors = [] } = {}) {
+  return {
+    runId,
+    summary: { totalRuns: 1, failed, successRate: failed ? '0.0%' : '100.0%', totalSortingErrors: sortingErrors.length, totalRuleErrors: failed },
+    testRuns: [{ feed: 'newest', browser: 'chromium', success: failed === 0, sortingErrors }]
+  };
+}
+
+const passed = runId => makeResults(runId);
+const failed = runId => makeResults(runId, { failed: 1 });
+
+// Each createScraper() call takes the next result; an Error makes runAllTests() throw
+function fakeScrapers(results) {
+  const queue = [...results];
+  return () => {
+    const result = queue.shift();
+    return {
+      results: { runId: result.runId || 'crashed-run' },
+      runAllTests: async () => {
+        if (result instanceof Error) throw result;
+        return result;
+      },
+      shutdown: async () => {}
+    };
+  };
+}
+
+// Runs back to back, without waiting between them
+const immediately = { description: 'back to back', first: () => new Date(), next: () => new Date(0) };
+
+async function readAlerts(file) {
+  return (await fs.readFile(file, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+}
+
+test.describe('summarizeOutcome', () => {
+  test('lists the failed runs and their sorting errors', () => {
+    const results = makeResults('run-1', {
+      sortingErrors: [{ position: 5, reason: 'timestamp', current: { id: 2, title: 'B', timestamp: 't2' }, next: { id: 3, title: 'C', timestamp: 't3' } }]
+    });
+    const outcome = summarizeOutcome(results);
+    expect(outcome.status).toBe('fail');
+    expect(outcome.failures).toEqual([{ feed: 'newest', browser: 'chromium', error: null, sortingErrors: 1, ruleErrors: 0 }]);
+    expect(outcome.sortingErrors).toMatchObject([{ feed: 'newest', position: 5, current: { id: 2 }, next: { id: 3 } }]);
+    expect(summarizeOutcome(passed('run-2'))).toMatchObject({ status: 'pass', failures: [] });
+  });
+});
+
+test.describe('recordOutcome', () => {
+  test('stays quiet while a first run and later runs pass', () => {
+    const first = recordOutcome(INITIAL_STATE, summarizeOutcome(passed('run-1')));
+    expect(first.alerts).toEqual([]);
+    expect(first.state).toMatchObject({ runs: 1, status: 'pass', consecutiveFailures: 0, lastRunId: 'run-1' });
+    expect(first.state.statusSince).toBe(first.state.lastRunAt);
+
+    const second = recordOutcome(first.state, summarizeOutcome(passed('run-2')));
+    expect(second.alerts).toEqual([]);
+    expect(second.state.statusSince).toBe(first.state.statusSince);
+  });
+
+  test('alerts when a first run fails', () => {
+    const { alerts } = recordOutcome(INITIAL_STATE, summarizeOutcome(failed('run-1')));
+    expect(alerts).toMatchObject([{ type: 'status_change', status: 'fail', previousStatus: null, message: 'Validation is failing' }]);
+  });
+
+  test('alerts on each status change and once when a failure streak reaches the threshold', () => {
+    const outcomes = ['pass', 'fail', 'fail', 'fail', 'pass'].map((status, index) => summarizeOutcome(
+      status === 'pass' ? passed(`run-${index}`) : failed(`run-${index}`)
+    ));
+
+    let state = INITIAL_STATE;
+    const alerts = outcomes.map(outcome => {
+      const next = recordOutcome(state, outcome, { alertAfterFailures: 2 });
+      state = next.state;
+      return next.alerts.map(alert => `${alert.type}: ${alert.message}`);
+    });
+
+    expect(alerts).toEqual([
+      [],
+      ['status_change: Validation is failing (was passing)'],
+      ['failure_threshold: Validation failed 2 times in a row'],
+      [],
+      ['status_change: Validation recovered after 3 failed run(s)']
+    ]);
+    expect(state).toMatchObject({ runs: 5, status: 'pass', consecutiveFailures: 0 });
+  });
+});
+
+test.describe('Watcher', () => {
+  let stateFile;
+  let alertsFile;
+
+  test.beforeEach(async ({}, testInfo) => {
+    stateFile = testInfo.outputPath('watch-state.json');
+    alertsFile = testInfo.outputPath('alerts.jsonl');
+  });
+
+  function createWatcher(results, options = {}) {
+    return new Watcher({
+      createScraper: fakeScrapers(results),
+      schedule: immediately,
+      maxRuns: results.length,
+      stateFile,
+      alertsFile,
+      logLevel: 'error',
+      ...options
+    });
+  }
+
+  test('runs on schedule, saves its state and writes alerts', async () => {
+    const received = [];
+    const metrics = new MetricsRegistry();
+    const watcher = createWatcher([passed('run-1'), failed('run-2'), failed('run-3')], {
+      alertAfterFailures: 2,
+      metrics,
+      onAlert: alert => received.push(alert.type)
+    });
+
+    const state = await watcher.start();
+    expect(state).toMatchObject({ runs: 3, status: 'fail', consecutiveFailures: 2, lastRunId: 'run-3' });
+    expect(JSON.parse(await fs.readFile(stateFile, 'utf8'))).toEqual(state);
+
+    expect(received).toEqual(['status_change', 'failure_threshold']);
+    expect((await readAlerts(alertsFile)).map(alert => alert.runId)).toEqual(['run-2', 'run-3']);
+
+    const text = metrics.render();
+    expect(text).toContain('hn_scraper_watch_status 0');
+    expect(text).toContain('hn_scraper_watch_consecutive_failures 2');
+    expect(text).toContain('hn_scraper_watch_alerts_total{type="failure_threshold"} 1');
+  });
+
+  test('resumes a failure streak from the state file', async () => {
+    await fs.writeFile(stateFile, JSON.stringify({ ...INITIAL_STATE, runs: 4, status: 'fail', consecutiveFailures: 4 }));
+    const watcher = createWatcher([passed('run-5')]);
+
+    expect(await watcher.start()).toMatchObject({ runs: 5, status: 'pass', consecutiveFailures: 0 });
+    expect(await readAlerts(alertsFile)).toMatchObject([
+      { type: 'status_change', previousStatus: 'fail', message: 'Validation recovered after 4 failed run(s)' }
+    ]);
+  });
+
+  test('counts a crashed run as a failure and survives a failing alert handler', async () => {
+    const watcher = createWatcher([new Error('Browser closed unexpectedly')], {
+      onAlert: () => {
+        throw new Error('webhook down');
+      }
+    });
+
+    expect(await watcher.start()).toMatchObject({ runs: 1, status: 'fail', lastRunId: 'crashed-run' });
+    expect(await readAlerts(alertsFile)).toMatchObject([
+      { type: 'status_change', summary: null, error: 'Browser closed unexpectedly' }
+    ]);
+  });
+
+  test('stops while waiting for the next run', async () => {
+    const watcher = createWatcher([passed('run-1')], {
+      schedule: { description: 'much later', first: () => new Date(Date.now() + 60 * 60 * 1000), next: () => null }
+    });
+
+    const started = watcher.start();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    await watcher.stop();
+
+    expect(await started).toMatchObject({ runs: 0, status: null });
+    await expect(fs.access(alertsFile)).rejects.toThrow();
+  });
+});